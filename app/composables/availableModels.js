@@ -32,10 +32,53 @@
  * | Toggleable              | disabled     | { enabled: false }              |
  * | Model routing           | enabled      | model: "alt-model-id"           |
  * | Model routing           | disabled     | {} (original model)             |
+ *
+ * ================================================
+ * PRICING (optional)
+ * ================================================
+ *
+ * pricing: { prompt: 0.5, completion: 1.5 }  // USD per million tokens
+ *
+ * Only used to estimate cost in the usage view when the provider doesn't
+ * report a cost itself. Filled in from the provider's catalog when missing.
+ *
+ * ================================================
+ * CATALOG MERGE
+ * ================================================
+ *
+ * This list is the curated capability data (reasoning, tool_use, vision, names).
+ * `/api/models` merges it with the provider's live model list, which adds
+ * `context_length`, `pricing` and `modalities`, appends models that aren't curated
+ * yet, and drops curated models the provider no longer serves.
+ *
+ * Retired IDs are remapped through DEPRECATED_MODEL_IDS, or a curated entry's
+ * `replacedBy` field, so saved settings keep working.
  */
 
 export const DEFAULT_MODEL_ID = "moonshotai/kimi-k2.5";
 
+/**
+ * Retired model IDs and the model that replaces them
+ */
+export const DEPRECATED_MODEL_IDS = {
+  "moonshotai/kimi-k2-instruct-0905": "moonshotai/kimi-k2.5",
+};
+
+/**
+ * Follows deprecation aliases to the current model ID
+ * @param {string} id - A possibly retired model ID
+ * @param {Object} [aliases=DEPRECATED_MODEL_IDS] - Map of retired ID to replacement ID
+ * @returns {string} The current model ID
+ */
+export function resolveModelAlias(id, aliases = DEPRECATED_MODEL_IDS) {
+  let current = id;
+  // Bounded so a cyclic alias map can't hang
+  for (let i = 0; i < 10 && aliases[current]; i++) {
+    current = aliases[current];
+  }
+  return current;
+}
+
 /**
  * Normalizes legacy reasoning formats to the new schema
  * @param {Object} model - The model object
@@ -0,0 +1,146 @@
+/**
+ * @file chatErrors.js
+ * @description Client side of the error taxonomy. The server classifies upstream failures
+ * into categories (see server/utils/errors.js); this module turns them into the
+ * `errorDetails` stored on assistant messages and describes the recovery action the
+ * chat UI offers for each category.
+ */
+
+export const ERROR_CATEGORIES = {
+  INVALID_API_KEY: "invalid_api_key",
+  RATE_LIMITED: "rate_limited",
+  CONTEXT_LENGTH_EXCEEDED: "context_length_exceeded",
+  MODEL_UNAVAILABLE: "model_unavailable",
+  CONTENT_FILTERED: "content_filtered",
+  NETWORK_TIMEOUT: "network_timeout",
+  UNKNOWN: "unknown",
+};
+
+export const RECOVERY_ACTIONS = {
+  OPEN_API_KEY_SETTINGS: "open_api_key_settings",
+  RETRY: "retry",
+  TRIM_HISTORY: "trim_history",
+  SWITCH_MODEL: "switch_model",
+};
+
+/**
+ * Display text and recovery action for each category
+ */
+const CATEGORY_INFO = {
+  [ERROR_CATEGORIES.INVALID_API_KEY]: {
+    title: "Invalid API Key",
+    hint: "Your API key was rejected or has expired. Check it in Settings → General.",
+    action: RECOVERY_ACTIONS.OPEN_API_KEY_SETTINGS,
+    actionLabel: "Open API key settings",
+  },
+  [ERROR_CATEGORIES.RATE_LIMITED]: {
+    title: "Rate Limit Reached",
+    hint: "You can add your own Hack Club API key in Settings → General to bypass rate limits.",
+    action: RECOVERY_ACTIONS.RETRY,
+    actionLabel: "Retry",
+  },
+  [ERROR_CATEGORIES.CONTEXT_LENGTH_EXCEEDED]: {
+    title: "Conversation Too Long",
+    hint: "This conversation no longer fits in the model's context window.",
+    action: RECOVERY_ACTIONS.TRIM_HISTORY,
+    actionLabel: "Retry with shorter history",
+  },
+  [ERROR_CATEGORIES.MODEL_UNAVAILABLE]: {
+    title: "Model Unavailable",
+    hint: "The selected model can't be reached right now.",
+    action: RECOVERY_ACTIONS.SWITCH_MODEL,
+    actionLabel: "Switch model",
+  },
+  [ERROR_CATEGORIES.CONTENT_FILTERED]: {
+    title: "Response Filtered",
+    hint: "The provider's content filter blocked this response. Try rephrasing or another model.",
+    action: RECOVERY_ACTIONS.SWITCH_MODEL,
+    actionLabel: "Switch model",
+  },
+  [ERROR_CATEGORIES.NETWORK_TIMEOUT]: {
+    title: "Connection Problem",
+    hint: "The AI service took too long to respond or the connection dropped.",
+    action: RECOVERY_ACTIONS.RETRY,
+    actionLabel: "Retry",
+  },
+  [ERROR_CATEGORIES.UNKNOWN]: {
+    title: "Error",
+    hint: "",
+    action: RECOVERY_ACTIONS.RETRY,
+    actionLabel: "Retry",
+  },
+};
+
+/**
+ * Gets the display info and recovery action for an error category
+ * @param {string} category - One of ERROR_CATEGORIES
+ * @returns {{ title: string, hint: string, action: string, actionLabel: string }}
+ */
+export function getErrorInfo(category) {
+  return CATEGORY_INFO[category] || CATEGORY_INFO[ERROR_CATEGORIES.UNKNOWN];
+}
+
+/**
+ * Builds message `errorDetails` from a server error payload
+ * @param {Object} error - The `error` object from an API response or stream chunk
+ * @param {number} [status] - HTTP status of the response, if any
+ * @returns {Object} errorDetails
+ */
+export function createErrorDetails(error = {}, status) {
+  const category = Object.values(ERROR_CATEGORIES).includes(error.category)
+    ? error.category
+    : ERROR_CATEGORIES.UNKNOWN;
+
+  const details = {
+    name: error.type === "rate_limit_error" ? "RateLimitError" : error.type || "APIError",
+    category,
+    message: error.message || "Unknown error",
+    status: error.code || status,
+  };
+
+  // Server quota details, shown alongside the message
+  if (error.bucket) {
+    details.bucket = error.bucket;
+    details.limit = error.limit;
+    details.resetAt = error.resetAt;
+  }
+
+  // Absolute time so the countdown survives re-renders and reloads
+  if (error.retryAfter) {
+    details.retryAt = new Date(Date.now() + error.retryAfter * 1000).toISOString();
+  }
+
+  return details;
+}
+
+/**
+ * Builds `errorDetails` for failures raised in the browser (fetch failures, stream stalls)
+ * @param {Error} error - The caught error
+ * @returns {Object} errorDetails
+ */
+export function createClientErrorDetails(error) {
+  // fetch() rejects with a TypeError when the network request itself fails
+  const isNetworkError = error instanceof TypeError || /network|timeout|timed out/i.test(error.message || "");
+
+  return {
+    name: error.name || "UnknownError",
+    category: isNetworkError ? ERROR_CATEGORIES.NETWORK_TIMEOUT : ERROR_CATEGORIES.UNKNOWN,
+    message: error.message || "No detailed information",
+    rawError: error.toString(),
+  };
+}
+
+/**
+ * Formats errorDetails as the Markdown notice appended to the assistant message
+ * @param {Object} errorDetails - Error details stored on the message
+ * @param {boolean} [afterContent=true] - Whether to separate the notice from partial content
+ * @returns {string}
+ */
+export function formatErrorNotice(errorDetails, afterContent = true) {
+  const { title, hint } = getErrorInfo(errorDetails.category);
+  const status = errorDetails.status ? ` (HTTP ${errorDetails.status})` : "";
+
+  return (afterContent ? "\n\n---\n" : "") +
+    `⚠️ **${title}:** ${errorDetails.message}${status}` +
+    (hint ? `\n\n${hint}` : "");
+}
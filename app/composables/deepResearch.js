@@ -0,0 +1,547 @@
+/**
+ * @file deepResearch.js
+ * @description Deep Research mode: instead of the free-form tool loop, the question is
+ * planned into sub-queries, researched over a few search → read rounds under a fixed
+ * budget, and answered with a report citing the numbered sources it read.
+ *
+ * Yields the same chunks as handleIncomingMessage, plus `{ research }` progress snapshots
+ * that the message stores as a `research` part and ChatWidget shows as collapsible steps.
+ */
+
+import { buildReasoningParams } from "~/composables/availableModels";
+import { findCatalogModel } from "~/composables/modelCatalog";
+import { generateSystemPrompt } from "~/composables/systemPrompt";
+import { toolManager } from "~/composables/toolsManager";
+import { ERROR_CATEGORIES, createErrorDetails } from "~/composables/chatErrors";
+
+// Limits for one research run
+export const RESEARCH_BUDGET = {
+  rounds: 3, // Search → read rounds, including the first
+  searches: 10, // Search queries across all rounds
+  reads: 8, // Pages read across all rounds
+  readsPerRound: 4,
+  resultsPerSearch: 5,
+  initialQueries: 5, // Sub-queries taken from the plan
+  followUpQueries: 3, // Sub-queries added after each round
+  sourceLength: 5000, // Characters of each page given to the writer
+};
+
+const PLAN_PROMPT = `You plan web research. Break the user's question into focused web search queries that together cover it: background, key facts, recent developments and differing viewpoints where relevant. Write queries the way you would type them into a search engine.
+Reply with JSON only, no other text: {"queries": ["...", "..."]}`;
+
+const REFLECT_PROMPT = `You review research in progress. Given the question, the queries already run and the sources gathered so far, decide whether important parts of the question are still unanswered.
+Reply with JSON only, no other text: {"done": true} when the sources are enough, or {"done": false, "queries": ["..."]} with new search queries that differ from the ones already run.`;
+
+const REPORT_GUIDELINES = `### Research Report
+You are writing a research report from the numbered sources provided by the user.
+*   Start with a # title and a short summary of the answer, then cover the topic in sections with ## headings, and end with a conclusion.
+*   Support every factual claim with the number of its source in square brackets, like [1] or [2][5]. Only cite sources from the list.
+*   Rely on the sources rather than prior knowledge. Point out where sources disagree, and say plainly what they leave unanswered.
+*   Do not add a list of sources or references at the end; one is appended automatically.`;
+
+/**
+ * Error carrying details of a failed /api/ai request
+ */
+class ResearchRequestError extends Error {
+  constructor(errorDetails) {
+    super(errorDetails.message);
+    this.name = "ResearchRequestError";
+    this.errorDetails = errorDetails;
+  }
+}
+
+/**
+ * Canonical form of a URL so the same page is never read twice
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeSourceUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.hostname.replace(/^www\./, "")}${parsed.pathname.replace(/\/+$/, "")}${parsed.search}`;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Parses a JSON object out of a model reply, tolerating code fences and surrounding text
+ * @param {string} text
+ * @returns {Object|null}
+ */
+function parseJsonReply(text) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end <= start) return null;
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Cleans a list of queries from the model: strings only, no repeats of earlier queries
+ * @param {*} queries - Value from the model's JSON
+ * @param {Set<string>} seen - Lowercased queries already run
+ * @param {number} limit
+ * @returns {string[]}
+ */
+function pickQueries(queries, seen, limit) {
+  if (!Array.isArray(queries)) return [];
+  const picked = [];
+  for (const query of queries) {
+    const text = typeof query === "string" ? query.trim() : "";
+    if (!text || seen.has(text.toLowerCase())) continue;
+    seen.add(text.toLowerCase());
+    picked.push(text);
+    if (picked.length >= limit) break;
+  }
+  return picked;
+}
+
+/**
+ * Recent conversation turns as plain text, so follow-up questions can be planned
+ * @param {Array} history - Conversation history
+ * @returns {string}
+ */
+function summarizeHistory(history) {
+  return history
+    .filter((msg) => (msg.role === "user" || msg.role === "assistant") && typeof msg.content === "string" && msg.content.trim())
+    .slice(-4)
+    .map((msg) => `${msg.role === "user" ? "User" : "Assistant"}: ${msg.content.slice(0, 1000)}`)
+    .join("\n\n");
+}
+
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Tracks research steps and sources, and produces the snapshots stored on the message
+ */
+class ResearchTracker {
+  constructor() {
+    this.status = "planning";
+    this.steps = [];
+    this.sources = [];
+    this.searches = 0;
+    this.reads = 0;
+  }
+
+  addStep(kind, label, items = []) {
+    const step = { kind, label, items, state: "running" };
+    this.steps.push(step);
+    return step;
+  }
+
+  finishStep(step, label, items = step.items, state = "done") {
+    Object.assign(step, { label, items, state });
+  }
+
+  addSource({ url, title, content }) {
+    const source = { id: this.sources.length + 1, url, title: title || getDomain(url), content };
+    this.sources.push(source);
+    return source;
+  }
+
+  snapshot() {
+    return {
+      research: {
+        status: this.status,
+        steps: this.steps.map((step) => ({ ...step, items: [...step.items] })),
+        sources: this.sources.map(({ id, url, title }) => ({ id, url, title })),
+        budget: {
+          searches: this.searches,
+          maxSearches: RESEARCH_BUDGET.searches,
+          reads: this.reads,
+          maxReads: RESEARCH_BUDGET.reads,
+        },
+      },
+    };
+  }
+}
+
+/**
+ * Model, reasoning, key and turn fields shared by every request in a run
+ */
+function buildRequestBase(selectedModel, modelParameters, settings, turnId) {
+  const base = {
+    model: selectedModel,
+    ...(settings.custom_api_key && { customApiKey: settings.custom_api_key }),
+    // The whole run counts as the one turn that started it
+    ...(turnId && { turnId }),
+  };
+
+  const selectedModelInfo = findCatalogModel(selectedModel);
+  if (selectedModelInfo) {
+    const { reasoningParams, alternateModel } = buildReasoningParams(selectedModelInfo, {
+      reasoning_effort: modelParameters?.reasoning?.effort,
+    });
+    if (alternateModel) base.model = alternateModel;
+    if (reasoningParams) base.reasoning = reasoningParams;
+  }
+  return base;
+}
+
+/**
+ * One non-streamed completion, used for planning and reviewing
+ * @returns {Promise<{ text: string, usage: Object|null, model: string }>}
+ * @throws {ResearchRequestError}
+ */
+async function complete(requestBase, messages, signal) {
+  const response = await fetch("/api/ai", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...requestBase, messages, stream: false, temperature: 0.3 }),
+    signal,
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new ResearchRequestError(createErrorDetails(data.error, response.status));
+  }
+
+  return {
+    text: data.choices?.[0]?.message?.content || "",
+    usage: data.usage || null,
+    model: requestBase.model,
+  };
+}
+
+/**
+ * Streams the report, yielding content, reasoning and usage chunks
+ */
+async function* streamReport(requestBody, signal) {
+  const response = await fetch("/api/ai", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(requestBody),
+    signal,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new ResearchRequestError(createErrorDetails(errorData.error, response.status));
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith("data: ")) continue;
+        const data = line.slice(6);
+        if (data === "[DONE]") return;
+
+        let parsed;
+        try {
+          parsed = JSON.parse(data);
+        } catch {
+          continue;
+        }
+
+        if (parsed.error) {
+          throw new ResearchRequestError(createErrorDetails(parsed.error));
+        }
+        if (parsed.usage) {
+          yield { content: null, reasoning: null, tool_calls: [], usage: parsed.usage, model: requestBody.model };
+        }
+
+        const choice = parsed.choices?.[0];
+        if (choice?.delta?.reasoning) {
+          yield { content: null, reasoning: choice.delta.reasoning, tool_calls: [] };
+        }
+        if (choice?.delta?.content) {
+          yield { content: choice.delta.content, reasoning: null, tool_calls: [] };
+        }
+        if (choice?.finish_reason === "content_filter") {
+          throw new ResearchRequestError({
+            name: "ContentFilterError",
+            category: ERROR_CATEGORIES.CONTENT_FILTERED,
+            message: "The response was stopped by the provider's content filter",
+          });
+        }
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Runs searches in parallel
+ * @returns {Promise<Array<{ query: string, results: Array, error?: string }>>}
+ */
+async function runSearches(queries) {
+  const search = toolManager.getTool("search");
+  const settled = await Promise.allSettled(
+    queries.map((q) => search.executor({ q, count: RESEARCH_BUDGET.resultsPerSearch }))
+  );
+
+  return settled.map((outcome, index) => ({
+    query: queries[index],
+    results: outcome.status === "fulfilled" ? outcome.value?.results || [] : [],
+    ...(outcome.status === "rejected" && { error: outcome.reason?.message || "Search failed" }),
+  }));
+}
+
+/**
+ * Picks unread results, taking the best-ranked result of each query in turn
+ */
+function pickPagesToRead(searches, visited, limit) {
+  const picked = [];
+  const depth = Math.max(0, ...searches.map((search) => search.results.length));
+
+  for (let rank = 0; rank < depth && picked.length < limit; rank++) {
+    for (const search of searches) {
+      const result = search.results[rank];
+      if (!result?.url) continue;
+
+      const key = normalizeSourceUrl(result.url);
+      if (visited.has(key)) continue;
+      visited.add(key);
+      picked.push(result);
+      if (picked.length >= limit) break;
+    }
+  }
+  return picked;
+}
+
+/**
+ * Reads pages in parallel
+ * @returns {Promise<Array<{ result: Object, page?: Object, error?: string }>>}
+ */
+async function readPages(results) {
+  const readPage = toolManager.getTool("readPage");
+  const settled = await Promise.allSettled(
+    results.map((result) => readPage.executor({ url: result.url, max_length: RESEARCH_BUDGET.sourceLength }))
+  );
+
+  return settled.map((outcome, index) => ({
+    result: results[index],
+    ...(outcome.status === "fulfilled"
+      ? { page: outcome.value }
+      : { error: outcome.reason?.message || "Couldn't read the page" }),
+  }));
+}
+
+/**
+ * Builds the writer's input: the question and every source, numbered
+ */
+function buildReportRequest(query, sources) {
+  const sourceText = sources
+    .map((source) => `[${source.id}] ${source.title}\nURL: ${source.url}\n\n${source.content}`)
+    .join("\n\n---\n\n");
+
+  return `Question: ${query}\n\nSources:\n\n${sourceText}`;
+}
+
+/**
+ * Numbered source list appended to the report
+ */
+function formatSourceList(sources) {
+  const lines = sources.map((source) => `${source.id}. [${source.title.replace(/[[\]]/g, "")}](${source.url})`);
+  return `\n\n## Sources\n\n${lines.join("\n")}\n`;
+}
+
+/**
+ * Runs Deep Research for one user turn
+ * @param {Object} params
+ * @param {string} params.query - The user's question
+ * @param {Array} params.history - Conversation history without the current message
+ * @param {AbortController} params.controller - Cancels the run
+ * @param {string} params.selectedModel - Model ID
+ * @param {Object} params.modelParameters - Temperature, top_p, seed and reasoning
+ * @param {Object} params.settings - User settings
+ * @param {boolean} params.isIncognito - Whether incognito mode is enabled
+ * @yields {Object} Progress snapshots (`{ research }`) and response chunks
+ */
+export async function* runDeepResearch({
+  query,
+  history = [],
+  controller,
+  selectedModel,
+  modelParameters = {},
+  settings = {},
+  isIncognito = false,
+  turnId = null,
+}) {
+  const { signal } = controller;
+  const tracker = new ResearchTracker();
+  const requestBase = buildRequestBase(selectedModel, modelParameters, settings, turnId);
+  const usageChunk = ({ usage, model }) => (usage ? { content: null, reasoning: null, tool_calls: [], usage, model } : null);
+
+  try {
+    // 1. Plan
+    const planStep = tracker.addStep("plan", "Planning the research");
+    yield tracker.snapshot();
+
+    const context = summarizeHistory(history);
+    const plan = await complete(requestBase, [
+      { role: "system", content: `${PLAN_PROMPT}\nToday's date is ${new Date().toISOString().split("T")[0]}.` },
+      { role: "user", content: context ? `Conversation so far:\n\n${context}\n\nQuestion: ${query}` : `Question: ${query}` },
+    ], signal);
+    const planUsage = usageChunk(plan);
+    if (planUsage) yield planUsage;
+
+    const seenQueries = new Set();
+    let queries = pickQueries(parseJsonReply(plan.text)?.queries, seenQueries, RESEARCH_BUDGET.initialQueries);
+    // An unusable plan still gets one search for the question itself
+    if (queries.length === 0) queries = pickQueries([query], seenQueries, 1);
+
+    tracker.finishStep(planStep, `Planned ${queries.length} ${queries.length === 1 ? "search" : "searches"}`, queries.map((text) => ({ text })));
+    tracker.status = "researching";
+
+    // 2. Search → read rounds
+    const visited = new Set();
+    const snippets = [];
+
+    for (let round = 1; round <= RESEARCH_BUDGET.rounds && queries.length > 0; round++) {
+      signal.throwIfAborted();
+
+      queries = queries.slice(0, RESEARCH_BUDGET.searches - tracker.searches);
+      if (queries.length === 0) break;
+
+      const searchStep = tracker.addStep("search", `Searching ${queries.length} ${queries.length === 1 ? "query" : "queries"}`, queries.map((text) => ({ text })));
+      yield tracker.snapshot();
+
+      const searches = await runSearches(queries);
+      tracker.searches += queries.length;
+      const resultCount = searches.reduce((total, search) => total + search.results.length, 0);
+      snippets.push(...searches.flatMap((search) => search.results));
+      tracker.finishStep(
+        searchStep,
+        `Searched ${queries.length} ${queries.length === 1 ? "query" : "queries"}, ${resultCount} results`,
+        searches.map((search) => ({
+          text: search.query,
+          detail: search.error || `${search.results.length} results`,
+          ...(search.error && { error: true }),
+        }))
+      );
+
+      signal.throwIfAborted();
+
+      const readLimit = Math.min(RESEARCH_BUDGET.readsPerRound, RESEARCH_BUDGET.reads - tracker.reads);
+      const toRead = pickPagesToRead(searches, visited, readLimit);
+      if (toRead.length > 0) {
+        const readStep = tracker.addStep("read", `Reading ${toRead.length} ${toRead.length === 1 ? "page" : "pages"}`,
+          toRead.map((result) => ({ url: result.url, title: result.title })));
+        yield tracker.snapshot();
+
+        const reads = await readPages(toRead);
+        tracker.reads += toRead.length;
+        const items = reads.map(({ result, page, error }) => {
+          if (error) return { url: result.url, title: result.title, detail: error, error: true };
+          const source = tracker.addSource({ url: page.url || result.url, title: page.title || result.title, content: page.content });
+          return { url: source.url, title: source.title, source: source.id };
+        });
+        const readCount = items.filter((item) => !item.error).length;
+        tracker.finishStep(readStep, `Read ${readCount} of ${toRead.length} ${toRead.length === 1 ? "page" : "pages"}`, items);
+      }
+
+      // 3. Review: look for gaps while budget remains
+      const canContinue = round < RESEARCH_BUDGET.rounds
+        && tracker.searches < RESEARCH_BUDGET.searches
+        && tracker.reads < RESEARCH_BUDGET.reads;
+      if (!canContinue) break;
+
+      signal.throwIfAborted();
+      const reviewStep = tracker.addStep("review", "Checking for gaps");
+      yield tracker.snapshot();
+
+      const gathered = tracker.sources
+        .map((source) => `[${source.id}] ${source.title}: ${source.content.slice(0, 600).replace(/\s+/g, " ")}`)
+        .join("\n");
+      const review = await complete(requestBase, [
+        { role: "system", content: REFLECT_PROMPT },
+        { role: "user", content: `Question: ${query}\n\nQueries run:\n${[...seenQueries].map((text) => `- ${text}`).join("\n")}\n\nSources so far:\n${gathered || "(none)"}` },
+      ], signal);
+      const reviewUsage = usageChunk(review);
+      if (reviewUsage) yield reviewUsage;
+
+      const verdict = parseJsonReply(review.text);
+      queries = verdict && verdict.done === false
+        ? pickQueries(verdict.queries, seenQueries, RESEARCH_BUDGET.followUpQueries)
+        : [];
+      tracker.finishStep(
+        reviewStep,
+        queries.length > 0 ? `Following up on ${queries.length} ${queries.length === 1 ? "gap" : "gaps"}` : "Enough to write the report",
+        queries.map((text) => ({ text }))
+      );
+    }
+
+    // Pages may all have failed to load; fall back to what the search results say
+    if (tracker.sources.length === 0) {
+      const seen = new Set();
+      for (const result of snippets) {
+        const key = normalizeSourceUrl(result.url);
+        if (!result.description || seen.has(key)) continue;
+        seen.add(key);
+        tracker.addSource({ url: result.url, title: result.title, content: result.description });
+        if (tracker.sources.length >= RESEARCH_BUDGET.reads) break;
+      }
+    }
+
+    if (tracker.sources.length === 0) {
+      tracker.status = "done";
+      tracker.addStep("write", "No sources found").state = "error";
+      yield tracker.snapshot();
+      yield {
+        content: "Deep Research couldn't find any sources for this question. Try rephrasing it, or turn Deep Research off to get an answer without sources.",
+        reasoning: null,
+      };
+      return;
+    }
+
+    // 4. Write the report
+    signal.throwIfAborted();
+    tracker.status = "writing";
+    const writeStep = tracker.addStep("write", `Writing the report from ${tracker.sources.length} ${tracker.sources.length === 1 ? "source" : "sources"}`);
+    yield tracker.snapshot();
+
+    const systemPrompt = await generateSystemPrompt([], isIncognito ? {} : settings, [], isIncognito, false);
+    const requestBody = {
+      ...requestBase,
+      messages: [
+        { role: "system", content: `${systemPrompt}\n\n${REPORT_GUIDELINES}` },
+        { role: "user", content: buildReportRequest(query, tracker.sources) },
+      ],
+      stream: true,
+      temperature: modelParameters.temperature,
+      top_p: modelParameters.top_p,
+      seed: modelParameters.seed,
+    };
+
+    yield* streamReport(requestBody, signal);
+    yield { content: formatSourceList(tracker.sources), reasoning: null };
+
+    tracker.finishStep(writeStep, `Wrote the report from ${tracker.sources.length} ${tracker.sources.length === 1 ? "source" : "sources"}`);
+    tracker.status = "done";
+    yield tracker.snapshot();
+  } catch (error) {
+    tracker.status = error.name === "AbortError" ? "stopped" : "error";
+    tracker.steps.filter((step) => step.state === "running").forEach((step) => { step.state = "error"; });
+    yield tracker.snapshot();
+
+    if (error instanceof ResearchRequestError) {
+      yield { content: null, reasoning: null, error: true, errorDetails: error.errorDetails };
+      return;
+    }
+    // Aborts and unexpected failures are reported by handleIncomingMessage
+    throw error;
+  }
+}
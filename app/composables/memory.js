@@ -1,8 +1,71 @@
 import localforage from "localforage";
+import { hammingDistance, toPackedEmbedding, decodeEmbedding } from "~/utils/binaryEmbedding";
+import { LexicalIndex, tokenize } from "~/utils/lexicalSearch";
+import { DEFAULT_SPACE_ID, listSpaces, importSpaces } from "./memorySpaces";
 
 // Define the key used for storing memory in localforage
 const MEMORY_STORAGE_KEY = "global_chatbot_memory";
 
+// Model and dimensions of the latest embedding from /api/embeddings, used to tell
+// which stored vectors were made by a different model
+const EMBEDDING_MODEL_STORAGE_KEY = "memory_embedding_model";
+
+// Format marker and version of exported memory files
+const EXPORT_FORMAT = "libre-assistant-memory";
+const EXPORT_VERSION = 1;
+
+// Default retrieval limits (see findRelevantMemories)
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.65;
+export const DEFAULT_TOP_K = 8;
+export const DEFAULT_TOKEN_BUDGET = 500;
+
+// Similarity above which a new fact counts as a restatement of a stored one (see addMemory)
+export const DUPLICATE_SIMILARITY_THRESHOLD = 0.85;
+
+// Looser similarity for grouping facts that may be worth merging (see findMemoryClusters)
+export const CLUSTER_SIMILARITY_THRESHOLD = 0.75;
+
+/**
+ * Where a memory came from, so the fact can be traced back to the message that created it
+ * @typedef {Object} MemorySource
+ * @property {string} conversationId - The conversation the fact was added in
+ * @property {string} messageId - The assistant message whose tool call added the fact
+ */
+
+/**
+ * The model that produced an embedding. Vectors from different models (or with different
+ * dimensions) can't be compared, so each stored vector is tagged with its model.
+ * @typedef {Object} EmbeddingModel
+ * @property {string|null} model - Model ID reported by /api/embeddings
+ * @property {number} dimensions - Number of bits in the vector
+ */
+
+/**
+ * The memory space of a stored item; memories saved before spaces existed are personal.
+ * @param {Object|string} item - Stored memory item
+ * @returns {string} - Space ID
+ */
+function spaceOf(item) {
+  return (typeof item === "object" && item.space) || DEFAULT_SPACE_ID;
+}
+
+/**
+ * The fact of a stored item; memories saved before facts had metadata are plain strings.
+ * @param {Object|string} item - Stored memory item
+ * @returns {string}
+ */
+function factOf(item) {
+  return typeof item === "string" ? item : item.fact;
+}
+
+// Pending memory writes, so concurrent writers (chat tools, the memory manager, the
+// re-embed job) don't overwrite each other's changes
+let memoryWriteQueue = Promise.resolve();
+
+// Rank offset for reciprocal-rank fusion; 60 is the usual choice and keeps one
+// list's top result from drowning out the other list
+const RRF_K = 60;
+
 // Task description for Qwen embeddings instruction format
 const EMBEDDING_TASK = "Retrieve memories relevant to the user's query";
 
@@ -12,7 +75,8 @@ const EMBEDDING_TASK = "Retrieve memories relevant to the user's query";
  * Includes conversation history for better contextual understanding (up to 10 recent messages).
  * @param {string} text - The text to generate embedding for
  * @param {Array<Object>} messageHistory - Recent conversation messages (optional)
- * @returns {Promise<Array<number>|null>} - The binary embedding vector (768 dims) or null on error
+ * @returns {Promise<{embedding: string, model: string|null, dimensions: number}|null>} - The binary
+ *   embedding (768 bits packed as base64) with the model that made it, or null on error
  */
 async function generateEmbedding(text, messageHistory = []) {
   try {
@@ -32,7 +96,7 @@ async function generateEmbedding(text, messageHistory = []) {
     const response = await fetch('/api/embeddings', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ input: formattedInput })
+      body: JSON.stringify({ input: formattedInput, encoding_format: "base64" })
     });
 
     if (!response.ok) {
@@ -41,7 +105,14 @@ async function generateEmbedding(text, messageHistory = []) {
     }
 
     const data = await response.json();
-    return data.data?.[0]?.embedding || null;
+    const embedding = toPackedEmbedding(data.data?.[0]?.embedding);
+    if (!embedding) {
+      return null;
+    }
+
+    const result = { embedding, model: data.model || null, dimensions: decodeEmbedding(embedding).bits };
+    await rememberEmbeddingModel(result);
+    return result;
   } catch (err) {
     console.error('Error generating embedding:', err);
     return null;
@@ -49,26 +120,78 @@ async function generateEmbedding(text, messageHistory = []) {
 }
 
 /**
- * Calculates Hamming distance between two binary vectors.
- * Hamming distance is the number of positions at which the corresponding bits differ.
- * For binary embeddings, this is much faster than cosine similarity.
- * Returns normalized distance (0 = identical, 1 = completely different).
- * @param {Array<number>} a - First binary vector (0s and 1s)
- * @param {Array<number>} b - Second binary vector (0s and 1s)
- * @returns {number} - Normalized Hamming distance between 0 and 1
+ * Stores the model of the latest embedding when it changed.
+ * @param {EmbeddingModel} current - Model and dimensions of a fresh embedding
+ * @returns {Promise<void>}
  */
-function hammingDistance(a, b) {
-  if (!a || !b || a.length !== b.length) return 1; // Maximum distance if invalid
+async function rememberEmbeddingModel({ model, dimensions }) {
+  const known = await getCurrentEmbeddingModel();
+  if (known?.model !== model || known?.dimensions !== dimensions) {
+    await localforage.setItem(EMBEDDING_MODEL_STORAGE_KEY, JSON.stringify({ model, dimensions }));
+    console.log(`Embedding model is now ${model} (${dimensions} dimensions)`);
+  }
+}
 
-  let differences = 0;
-  for (let i = 0; i < a.length; i++) {
-    if (a[i] !== b[i]) {
-      differences++;
-    }
+/**
+ * Gets the model of the latest embedding generated on this device.
+ * @returns {Promise<EmbeddingModel|null>} - null until an embedding has been generated
+ */
+export async function getCurrentEmbeddingModel() {
+  try {
+    const stored = await localforage.getItem(EMBEDDING_MODEL_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (err) {
+    console.error("Error loading embedding model:", err);
+    return null;
   }
+}
 
-  // Normalize by vector length to get value between 0 and 1
-  return differences / a.length;
+/**
+ * Generates a throwaway embedding to find out which model /api/embeddings uses now.
+ * @returns {Promise<EmbeddingModel|null>} - null when embeddings are unavailable
+ */
+export async function probeEmbeddingModel() {
+  const result = await generateEmbedding("ping");
+  return result ? { model: result.model, dimensions: result.dimensions } : null;
+}
+
+/**
+ * The embedding fields stored on a memory item.
+ * @param {{embedding: string, model: string|null, dimensions: number}|null} result - From generateEmbedding
+ * @returns {{embedding: string|null, embeddingModel: string|null, embeddingDimensions: number|null}}
+ */
+function embeddingFields(result) {
+  return {
+    embedding: result?.embedding || null,
+    embeddingModel: result?.model || null,
+    embeddingDimensions: result?.dimensions || null
+  };
+}
+
+/**
+ * Checks whether a local memory needs a new embedding: it has none, it was made before
+ * vectors were tagged, or it was made by another model than the current one.
+ * @param {Object|string} item - Stored memory item
+ * @param {EmbeddingModel|null} current - The current embedding model, if known
+ * @returns {boolean}
+ */
+function needsEmbedding(item, current) {
+  if (typeof item === "string") return true;
+  if (item.global) return false;
+  if (!item.embedding) return true;
+  if (!current) return false;
+  return item.embeddingModel !== current.model || item.embeddingDimensions !== current.dimensions;
+}
+
+/**
+ * Checks whether a stored vector can be compared with a fresh one: vectors from another
+ * model can't, while untagged ones are assumed to be from the same model.
+ * @param {Object} item - Stored memory item
+ * @param {{model: string|null}} current - A fresh embedding from generateEmbedding
+ * @returns {boolean}
+ */
+function isComparable(item, current) {
+  return !!item.embedding && (!item.embeddingModel || item.embeddingModel === current.model);
 }
 
 /**
@@ -80,22 +203,145 @@ function hammingToSimilarity(distance) {
   return 1 - distance;
 }
 
+/**
+ * Finds the stored fact closest to a new one, if they are close enough to be the same
+ * fact: identical keywords ("User likes Python" / "The user likes Python"), or embeddings
+ * above DUPLICATE_SIMILARITY_THRESHOLD ("The user prefers Python"). Only facts in the same
+ * space count, except identical text, which is stored once across all spaces.
+ * @param {Array} global_memory_array - Stored memory items
+ * @param {string} fact - The new fact (trimmed)
+ * @param {{embedding: string, model: string|null}|null} embedding - The new fact's embedding
+ * @param {string} space - Space the new fact goes into
+ * @returns {{fact: string, similarity: number, space: string}|null} - The most similar stored fact
+ */
+function findDuplicate(global_memory_array, fact, embedding, space) {
+  const terms = [...new Set(tokenize(fact))].sort().join(" ");
+  let best = null;
+
+  for (const item of global_memory_array) {
+    const existing = typeof item === "string" ? item : item.fact;
+    if (existing !== fact && spaceOf(item) !== space) continue;
+
+    let similarity = 0;
+    if (existing === fact || (terms && [...new Set(tokenize(existing))].sort().join(" ") === terms)) {
+      similarity = 1;
+    } else if (embedding && typeof item === "object" && isComparable(item, embedding)) {
+      similarity = hammingToSimilarity(hammingDistance(embedding.embedding, item.embedding));
+    }
+
+    if (similarity >= DUPLICATE_SIMILARITY_THRESHOLD && (!best || similarity > best.similarity)) {
+      best = { fact: existing, similarity, space: spaceOf(item) };
+    }
+  }
+  return best;
+}
+
+/**
+ * Finds a stored fact that the given fact would duplicate (see addMemory), without adding it.
+ * @param {string} fact - The candidate fact
+ * @param {Array<Object>} messageHistory - Recent conversation messages for embedding context
+ * @param {string} space - Space the fact would go into
+ * @returns {Promise<{fact: string, similarity: number, space: string}|null>}
+ */
+export async function findSimilarMemory(fact, messageHistory = [], space = DEFAULT_SPACE_ID) {
+  try {
+    const trimmed_fact = fact.trim();
+    const global_memory_array = await loadMemoryArray();
+    if (!trimmed_fact || global_memory_array.length === 0) {
+      return null;
+    }
+
+    const embedding = global_memory_array.some((item) => item?.embedding)
+      ? await generateEmbedding(trimmed_fact, messageHistory)
+      : null;
+    return findDuplicate(global_memory_array, trimmed_fact, embedding, space);
+  } catch (err) {
+    console.error("Error checking for similar memories:", err);
+    return null;
+  }
+}
+
+/**
+ * Loads the stored memory array. Memories saved before embeddings were packed
+ * hold a 0/1 array; they are converted to base64 and written back once.
+ * @returns {Promise<Array>} - Stored memory items (strings in the oldest format)
+ */
+async function loadMemoryArray() {
+  const stored_memory = await localforage.getItem(MEMORY_STORAGE_KEY);
+  if (!stored_memory) {
+    return [];
+  }
+
+  const global_memory_array = JSON.parse(stored_memory);
+  if (!Array.isArray(global_memory_array)) {
+    console.warn("Stored memory is not an array. Initializing with empty memory.");
+    return [];
+  }
+
+  let migrated = false;
+  for (const item of global_memory_array) {
+    if (item && Array.isArray(item.embedding)) {
+      item.embedding = toPackedEmbedding(item.embedding);
+      migrated = true;
+    }
+  }
+  if (migrated) {
+    await saveMemoryArray(global_memory_array);
+    console.log("Migrated memory embeddings to packed format");
+  }
+
+  return global_memory_array;
+}
+
+/**
+ * Saves the memory array, or removes the key when it is empty.
+ * @param {Array} global_memory_array - Memory items to store
+ * @returns {Promise<void>}
+ */
+async function saveMemoryArray(global_memory_array) {
+  if (global_memory_array.length > 0) {
+    await localforage.setItem(
+      MEMORY_STORAGE_KEY,
+      JSON.stringify(global_memory_array)
+    );
+  } else {
+    await localforage.removeItem(MEMORY_STORAGE_KEY);
+  }
+}
+
+/**
+ * Applies a change to the stored memory array after the writes already pending. The
+ * array is loaded when the change runs, so it sees every earlier write; anything slow,
+ * such as fetching an embedding, belongs before the call.
+ * @param {Function} update - Gets the array and changes it in place or returns a new
+ *   one; returning null leaves storage unchanged
+ * @returns {Promise<void>}
+ */
+function updateMemoryArray(update) {
+  const task = async () => {
+    const global_memory_array = await loadMemoryArray();
+    const updated = update(global_memory_array);
+    if (updated !== null) {
+      await saveMemoryArray(updated || global_memory_array);
+    }
+  };
+  const current = memoryWriteQueue.then(task, task);
+  memoryWriteQueue = current.catch(() => {});
+  return current;
+}
+
 /**
  * Lists the global memory from localforage.
+ * @param {Array<string>|null} spaces - Only list facts in these spaces (all when null)
  * @returns {Promise<Array>} - Array of memory facts
  */
-export async function listMemory() {
+export async function listMemory(spaces = null) {
   try {
-    const stored_memory = await localforage.getItem(MEMORY_STORAGE_KEY);
-    if (stored_memory) {
-      const global_memory_array = JSON.parse(stored_memory);
-      if (Array.isArray(global_memory_array)) {
-        // Extract just the fact strings for backward compatibility
-        return global_memory_array.map((item) =>
-          typeof item === "string" ? item : item.fact
-        );
-      }
-    }
+    const global_memory_array = await loadMemoryArray();
+    // Extract just the fact strings for backward compatibility
+    return global_memory_array
+      .filter((item) => !spaces || spaces.includes(spaceOf(item)))
+      .map((item) => (typeof item === "string" ? item : item.fact));
   } catch (err) {
     console.error("Error loading global memory:", err);
   }
@@ -103,62 +349,149 @@ export async function listMemory() {
 }
 
 /**
- * Adds a new fact to the global memory.
+ * Lists the stored memories with their metadata (without embeddings).
+ * `hasEmbedding` is false for local memories that can only be found by keywords, and
+ * `staleEmbedding` is true when the embedding was made by a different model than the
+ * current one (or before embeddings were tagged with their model).
+ * @returns {Promise<Array<{fact: string, timestamp: string|null, global: boolean, space: string, hasEmbedding: boolean, staleEmbedding: boolean, embeddingModel: string|null, source: MemorySource|null}>>}
+ */
+export async function listMemoryItems() {
+  try {
+    const global_memory_array = await loadMemoryArray();
+    const current = await getCurrentEmbeddingModel();
+    return global_memory_array.map((item) =>
+      typeof item === "string"
+        ? { fact: item, timestamp: null, global: false, space: DEFAULT_SPACE_ID, hasEmbedding: false, staleEmbedding: false, embeddingModel: null, source: null }
+        : {
+          fact: item.fact,
+          timestamp: item.timestamp || null,
+          global: !!item.global,
+          space: spaceOf(item),
+          hasEmbedding: !!item.embedding,
+          staleEmbedding: !!item.embedding && needsEmbedding(item, current),
+          embeddingModel: item.embeddingModel || null,
+          source: item.source || null
+        }
+    );
+  } catch (err) {
+    console.error("Error loading global memory:", err);
+  }
+  return [];
+}
+
+/**
+ * Lists the facts that were added or last modified in a conversation.
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Array<string>>} - The facts
+ */
+export async function listMemoriesFromConversation(conversationId) {
+  const items = await listMemoryItems();
+  return items
+    .filter((item) => item.source?.conversationId === conversationId)
+    .map((item) => item.fact);
+}
+
+/**
+ * Deletes every fact that was added or last modified in a conversation.
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<number>} - Number of deleted facts
+ */
+export async function deleteMemoriesFromConversation(conversationId) {
+  try {
+    let deleted = 0;
+    await updateMemoryArray((global_memory_array) => {
+      const remaining = global_memory_array.filter((item) =>
+        typeof item === "string" || item.source?.conversationId !== conversationId
+      );
+      deleted = global_memory_array.length - remaining.length;
+      return deleted > 0 ? remaining : null;
+    });
+
+    if (deleted > 0) {
+      console.log(`Deleted ${deleted} memory facts from conversation ${conversationId}`);
+    }
+    return deleted;
+  } catch (err) {
+    console.error("Error deleting conversation memories:", err);
+    throw new Error("Error deleting conversation memories: " + err);
+  }
+}
+
+/**
+ * Adds a new fact to the global memory. A fact that restates a stored one (see
+ * findDuplicate) is not added; the stored fact is returned instead so the caller can
+ * update it with modifyMemory, unless `allowSimilar` says the facts really are different.
+ * Identical facts are never added twice, even to different spaces.
  * @param {string} fact - The fact to add
  * @param {boolean} isGlobal - Whether this is a global memory (always included)
  * @param {Array<Object>} messageHistory - Recent conversation messages for embedding context
- * @returns {Promise<void>}
+ * @param {MemorySource|null} source - The conversation and message that added the fact
+ * @param {Object} options
+ * @param {boolean} options.allowSimilar - Add the fact even if a similar one is stored
+ * @param {string} options.space - Memory space to add the fact to
+ * @returns {Promise<{added: boolean, similar: {fact: string, similarity: number, space: string}|null}>}
+ *   - Whether the fact was added, and the stored fact that kept it from being added
  */
-export async function addMemory(fact, isGlobal = false, messageHistory = []) {
+export async function addMemory(fact, isGlobal = false, messageHistory = [], source = null, {
+  allowSimilar = false,
+  space = DEFAULT_SPACE_ID
+} = {}) {
   try {
-    let global_memory_array = [];
-    const stored_memory = await localforage.getItem(MEMORY_STORAGE_KEY);
-    if (stored_memory) {
-      global_memory_array = JSON.parse(stored_memory);
-      if (!Array.isArray(global_memory_array)) {
-        console.warn(
-          "Stored memory is not an array. Initializing with empty memory."
-        );
-        global_memory_array = [];
-      }
+    const trimmed_fact = fact.trim();
+    if (!trimmed_fact) {
+      return { added: false, similar: null };
     }
 
-    const trimmed_fact = fact.trim();
-    if (trimmed_fact) {
-      // Check if fact already exists (handle both old and new formats)
-      const exists = global_memory_array.some((item) =>
-        typeof item === "string"
-          ? item === trimmed_fact
-          : item.fact === trimmed_fact
-      );
+    // Check if fact already exists (handle both old and new formats)
+    const findExisting = (global_memory_array) => {
+      const existing = global_memory_array.find((item) => factOf(item) === trimmed_fact);
+      return existing ? { fact: trimmed_fact, similarity: 1, space: spaceOf(existing) } : null;
+    };
 
-      if (!exists) {
-        // Generate embedding only for local memories
-        let embedding = null;
-        if (!isGlobal) {
-          embedding = await generateEmbedding(trimmed_fact, messageHistory);
-          if (!embedding) {
-            console.warn('Failed to generate embedding for memory, storing without embedding');
-          }
-        }
+    const snapshot = await loadMemoryArray();
+    const stored = findExisting(snapshot);
+    if (stored) {
+      console.log("Memory fact already exists, skipping:", trimmed_fact);
+      return { added: false, similar: stored };
+    }
 
-        // Add with timestamp, embedding, and global flag
-        global_memory_array.push({
-          fact: trimmed_fact,
-          timestamp: new Date().toISOString(),
-          embedding: embedding,
-          global: isGlobal
-        });
+    // Local memories store their embedding; global ones only need it to look for duplicates
+    let embedding = null;
+    const canCompare = snapshot.some((item) => item?.embedding && spaceOf(item) === space);
+    if (!isGlobal || (!allowSimilar && canCompare)) {
+      embedding = await generateEmbedding(trimmed_fact, messageHistory);
+      if (!embedding && !isGlobal) {
+        console.warn('Failed to generate embedding for memory, storing without embedding');
+      }
+    }
 
-        await localforage.setItem(
-          MEMORY_STORAGE_KEY,
-          JSON.stringify(global_memory_array)
-        );
-        console.log(`Memory fact added (${isGlobal ? 'global' : 'local'}):`, trimmed_fact);
-      } else {
-        console.log("Memory fact already exists, skipping:", trimmed_fact);
+    // Checked again on the current array, which may have changed while embedding
+    let similar = null;
+    await updateMemoryArray((global_memory_array) => {
+      similar = findExisting(global_memory_array)
+        || (allowSimilar ? null : findDuplicate(global_memory_array, trimmed_fact, embedding, space));
+      if (similar) {
+        return null;
       }
+
+      // Add with timestamp, embedding, global flag and provenance
+      global_memory_array.push({
+        fact: trimmed_fact,
+        timestamp: new Date().toISOString(),
+        ...embeddingFields(isGlobal ? null : embedding),
+        global: isGlobal,
+        space: space,
+        source: source
+      });
+    });
+
+    if (similar) {
+      console.log(`Memory fact is similar to "${similar.fact}" (${similar.similarity.toFixed(2)}), skipping:`, trimmed_fact);
+      return { added: false, similar };
     }
+
+    console.log(`Memory fact added (${isGlobal ? 'global' : 'local'}, ${space}):`, trimmed_fact);
+    return { added: true, similar: null };
   } catch (err) {
     console.error("Error adding to memory:", err);
     throw new Error("Error adding to memory: " + err);
@@ -166,65 +499,83 @@ export async function addMemory(fact, isGlobal = false, messageHistory = []) {
 }
 
 /**
- * Modifies an existing fact in the global memory.
+ * Modifies an existing fact in the global memory. A fact whose text doesn't change
+ * (moved to another space, say) keeps its stored embedding.
  * @param {string} oldFact - The existing fact to modify
  * @param {string} newFact - The new fact to replace it with
  * @param {boolean} isGlobal - Whether this should be a global memory
  * @param {Array<Object>} messageHistory - Recent conversation messages for embedding context
+ * @param {MemorySource|null} source - The conversation and message that modified the fact
+ * @param {Object} options
+ * @param {string} [options.space] - Memory space to move the fact to (keeps its space when omitted)
  * @returns {Promise<void>}
  */
-export async function modifyMemory(oldFact, newFact, isGlobal, messageHistory = []) {
+export async function modifyMemory(oldFact, newFact, isGlobal, messageHistory = [], source = null, { space } = {}) {
   try {
-    const stored_memory = await localforage.getItem(MEMORY_STORAGE_KEY);
-    if (stored_memory) {
-      let global_memory_array = JSON.parse(stored_memory);
-      if (Array.isArray(global_memory_array)) {
-        const trimmed_old = oldFact.trim();
-        const trimmed_new = newFact.trim();
-
-        if (trimmed_old && trimmed_new) {
-          // Find and update the fact (handle both old and new formats)
-          const index = global_memory_array.findIndex((item) =>
-            typeof item === "string"
-              ? item === trimmed_old
-              : item.fact === trimmed_old
-          );
-
-          if (index !== -1) {
-            const oldItem = global_memory_array[index];
-
-            // Preserve global flag from old item if not specified
-            const shouldBeGlobal = isGlobal !== undefined
-              ? isGlobal
-              : (typeof oldItem === 'object' && oldItem.global) || false;
-
-            // Generate new embedding only for local memories
-            let embedding = null;
-            if (!shouldBeGlobal) {
-              embedding = await generateEmbedding(trimmed_new, messageHistory);
-              if (!embedding) {
-                console.warn('Failed to generate embedding for modified memory');
-              }
-            }
-
-            // Replace with new fact and update timestamp
-            global_memory_array[index] = {
-              fact: trimmed_new,
-              timestamp: new Date().toISOString(),
-              embedding: embedding,
-              global: shouldBeGlobal
-            };
-
-            await localforage.setItem(
-              MEMORY_STORAGE_KEY,
-              JSON.stringify(global_memory_array)
-            );
-            console.log(`Memory fact modified: "${trimmed_old}" -> "${trimmed_new}"`);
-          } else {
-            console.warn(`Attempted to modify non-existent fact: "${trimmed_old}"`);
-          }
-        }
+    const trimmed_old = oldFact.trim();
+    const trimmed_new = newFact.trim();
+    if (!trimmed_old || !trimmed_new) {
+      return;
+    }
+
+    // Find the fact (handle both old and new formats)
+    const findIndex = (global_memory_array) =>
+      global_memory_array.findIndex((item) => factOf(item) === trimmed_old);
+    // Preserve global flag from old item if not specified
+    const isGlobalItem = (oldItem) => isGlobal !== undefined
+      ? isGlobal
+      : (typeof oldItem === 'object' && oldItem.global) || false;
+
+    const snapshot = await loadMemoryArray();
+    const snapshotIndex = findIndex(snapshot);
+    if (snapshotIndex === -1) {
+      console.warn(`Attempted to modify non-existent fact: "${trimmed_old}"`);
+      return;
+    }
+
+    // The stored vector still fits when only the scope or space changes
+    const storedEmbedding = (oldItem) => trimmed_new === trimmed_old && typeof oldItem === 'object' && oldItem.embedding
+      ? { embedding: oldItem.embedding, model: oldItem.embeddingModel, dimensions: oldItem.embeddingDimensions }
+      : null;
+
+    // Generate new embedding only for local memories
+    let embedding = null;
+    const snapshotItem = snapshot[snapshotIndex];
+    if (!isGlobalItem(snapshotItem) && !storedEmbedding(snapshotItem)) {
+      embedding = await generateEmbedding(trimmed_new, messageHistory);
+      if (!embedding) {
+        console.warn('Failed to generate embedding for modified memory');
+      }
+    }
+
+    // Applied to the current array, which may have changed while embedding
+    let modified = false;
+    await updateMemoryArray((global_memory_array) => {
+      const index = findIndex(global_memory_array);
+      if (index === -1) {
+        return null;
       }
+
+      const oldItem = global_memory_array[index];
+      const shouldBeGlobal = isGlobalItem(oldItem);
+
+      // Replace with new fact and update timestamp; the modifying message becomes the
+      // source, falling back to the original one when the change wasn't made in a chat
+      global_memory_array[index] = {
+        fact: trimmed_new,
+        timestamp: new Date().toISOString(),
+        ...embeddingFields(shouldBeGlobal ? null : embedding || storedEmbedding(oldItem)),
+        global: shouldBeGlobal,
+        space: space || spaceOf(oldItem),
+        source: source || (typeof oldItem === 'object' && oldItem.source) || null
+      };
+      modified = true;
+    });
+
+    if (modified) {
+      console.log(`Memory fact modified: "${trimmed_old}" -> "${trimmed_new}"`);
+    } else {
+      console.warn(`Attempted to modify non-existent fact: "${trimmed_old}"`);
     }
   } catch (err) {
     console.error("Error modifying memory fact:", err);
@@ -239,36 +590,322 @@ export async function modifyMemory(oldFact, newFact, isGlobal, messageHistory =
  */
 export async function deleteMemory(fact) {
   try {
-    const stored_memory = await localforage.getItem(MEMORY_STORAGE_KEY);
-    if (stored_memory) {
-      let global_memory_array = JSON.parse(stored_memory);
-      if (Array.isArray(global_memory_array)) {
-        // Filter out the fact to delete (handle both old and new formats)
-        global_memory_array = global_memory_array.filter((existing_fact) => {
-          if (typeof existing_fact === "string") {
-            return existing_fact !== fact;
-          } else {
-            return existing_fact.fact !== fact;
-          }
-        });
+    // Filter out the fact to delete (handle both old and new formats)
+    await updateMemoryArray((global_memory_array) =>
+      global_memory_array.filter((existing_fact) => factOf(existing_fact) !== fact)
+    );
+    console.log("Memory fact deleted:", fact);
+  } catch (err) {
+    console.error("Error deleting memory fact:", err);
+    throw new Error("Error deleting memory fact: " + err);
+  }
+}
 
-        // Save the updated memory array or remove if empty
-        if (global_memory_array.length > 0) {
-          await localforage.setItem(
-            MEMORY_STORAGE_KEY,
-            JSON.stringify(global_memory_array)
-          );
-        } else {
-          await localforage.removeItem(MEMORY_STORAGE_KEY);
-        }
+/**
+ * Deletes several memory facts at once.
+ * @param {Array<string>} facts - The facts to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteMemories(facts) {
+  try {
+    const toDelete = new Set(facts);
+    await updateMemoryArray((global_memory_array) =>
+      global_memory_array.filter((item) => !toDelete.has(factOf(item)))
+    );
+    console.log(`Deleted ${toDelete.size} memory facts`);
+  } catch (err) {
+    console.error("Error deleting memory facts:", err);
+    throw new Error("Error deleting memory facts: " + err);
+  }
+}
 
-        console.log("Memory fact deleted:", fact);
+/**
+ * Deletes every fact in a memory space.
+ * @param {string} spaceId - The space ID
+ * @returns {Promise<number>} - Number of deleted facts
+ */
+export async function deleteMemoriesInSpace(spaceId) {
+  try {
+    let deleted = 0;
+    await updateMemoryArray((global_memory_array) => {
+      const remaining = global_memory_array.filter((item) => spaceOf(item) !== spaceId);
+      deleted = global_memory_array.length - remaining.length;
+      return deleted > 0 ? remaining : null;
+    });
+
+    if (deleted > 0) {
+      console.log(`Deleted ${deleted} memory facts from space ${spaceId}`);
+    }
+    return deleted;
+  } catch (err) {
+    console.error("Error deleting space memories:", err);
+    throw new Error("Error deleting space memories: " + err);
+  }
+}
+
+/**
+ * Lists the local memories that need a new embedding (see needsEmbedding).
+ * @param {EmbeddingModel|null} current - The current embedding model, if known
+ * @returns {Promise<Array<string>>} - The facts
+ */
+export async function listMemoriesNeedingEmbedding(current) {
+  try {
+    const global_memory_array = await loadMemoryArray();
+    return global_memory_array
+      .filter((item) => needsEmbedding(item, current))
+      .map((item) => (typeof item === "string" ? item : item.fact));
+  } catch (err) {
+    console.error("Error loading global memory:", err);
+  }
+  return [];
+}
+
+/**
+ * Regenerates the embedding of one local memory with the current model, keeping its
+ * timestamp and source. Memories stored as plain strings are upgraded to objects.
+ * @param {string} fact - The fact to re-embed
+ * @returns {Promise<boolean>} - Whether a new embedding was stored
+ */
+export async function reembedMemory(fact) {
+  try {
+    const result = await generateEmbedding(fact);
+    if (!result) {
+      return false;
+    }
+
+    // Applied to the current array, so changes made in the meantime aren't overwritten
+    let stored = false;
+    await updateMemoryArray((global_memory_array) => {
+      const index = global_memory_array.findIndex((item) => factOf(item) === fact);
+      const oldItem = global_memory_array[index];
+      if (index === -1 || oldItem.global) {
+        return null;
+      }
+
+      global_memory_array[index] = typeof oldItem === "string"
+        ? { fact, timestamp: null, ...embeddingFields(result), global: false, space: DEFAULT_SPACE_ID, source: null }
+        : { ...oldItem, ...embeddingFields(result) };
+      stored = true;
+    });
+    return stored;
+  } catch (err) {
+    console.error("Error re-embedding memory fact:", err);
+    return false;
+  }
+}
+
+/**
+ * Groups local memories whose embeddings are similar, as candidates for merging. Each
+ * memory joins the group whose first memory it is most similar to, so groups don't
+ * drift through chains of loosely related facts. Only memories in the same space are
+ * grouped; global memories have no embedding and aren't grouped.
+ * @param {number} threshold - Minimum similarity to the group's first memory
+ * @returns {Promise<Array<Array<{fact: string, timestamp: string|null}>>>} - Groups of
+ *   two or more memories, largest first
+ */
+export async function findMemoryClusters(threshold = CLUSTER_SIMILARITY_THRESHOLD) {
+  const items = (await loadMemoryArray())
+    .filter((item) => typeof item === "object" && !item.global && item.embedding)
+    .sort((a, b) => (a.timestamp || "").localeCompare(b.timestamp || ""));
+
+  const clusters = [];
+  for (const item of items) {
+    let best = null;
+    let bestSimilarity = threshold;
+    for (const cluster of clusters) {
+      const seed = cluster[0];
+      if (spaceOf(seed) !== spaceOf(item)) continue;
+      if (seed.embeddingModel && item.embeddingModel && seed.embeddingModel !== item.embeddingModel) continue;
+
+      const similarity = hammingToSimilarity(hammingDistance(seed.embedding, item.embedding));
+      if (similarity >= bestSimilarity) {
+        best = cluster;
+        bestSimilarity = similarity;
       }
     }
+    best ? best.push(item) : clusters.push([item]);
+  }
+
+  return clusters
+    .filter((cluster) => cluster.length > 1)
+    .sort((a, b) => b.length - a.length)
+    .map((cluster) => cluster.map((item) => ({ fact: item.fact, timestamp: item.timestamp || null })));
+}
+
+/**
+ * Replaces several facts with one merged fact. The merged fact is global if any of the
+ * originals was, and keeps the space and source of the most recent original. Nothing is
+ * written when any of the facts was deleted or edited since the group was found, since
+ * the merged fact would bring back what the user removed.
+ * @param {Array<string>} facts - The facts to replace
+ * @param {string} mergedFact - The fact that combines them
+ * @returns {Promise<boolean>} - Whether the facts were merged (false when the group is stale)
+ */
+export async function mergeMemories(facts, mergedFact) {
+  try {
+    const trimmed_fact = mergedFact.trim();
+    if (!trimmed_fact) {
+      throw new Error("Merged fact is empty");
+    }
+
+    const toMerge = new Set(facts);
+    const findOriginals = (global_memory_array) => {
+      const originals = global_memory_array
+        .map(normalizeMemoryItem)
+        .filter((item) => item && toMerge.has(item.fact));
+      return originals.length === toMerge.size ? originals : null;
+    };
+
+    const snapshot = findOriginals(await loadMemoryArray());
+    if (!snapshot) {
+      console.warn("Memory facts changed since they were grouped, not merging:", facts);
+      return false;
+    }
+
+    // Global facts don't store an embedding
+    const isLocal = !snapshot.some((item) => item.global);
+    const embedding = isLocal ? await generateEmbedding(trimmed_fact) : null;
+    if (isLocal && !embedding) {
+      console.warn('Failed to generate embedding for merged memory');
+    }
+
+    // Applied to the current array, which may have changed while embedding
+    let merged = false;
+    await updateMemoryArray((stored) => {
+      const originals = findOriginals(stored);
+      if (!originals) {
+        return null;
+      }
+
+      const isGlobal = originals.some((item) => item.global);
+      const newest = originals.sort((a, b) => (b.timestamp || "").localeCompare(a.timestamp || ""))[0];
+      const global_memory_array = stored.filter((item) => !toMerge.has(factOf(item)));
+      if (!global_memory_array.some((item) => factOf(item) === trimmed_fact)) {
+        global_memory_array.push({
+          fact: trimmed_fact,
+          timestamp: new Date().toISOString(),
+          ...embeddingFields(isGlobal ? null : embedding),
+          global: isGlobal,
+          space: newest.space,
+          source: newest.source
+        });
+      }
+      merged = true;
+      return global_memory_array;
+    });
+
+    if (merged) {
+      console.log(`Merged ${toMerge.size} memory facts into:`, trimmed_fact);
+    } else {
+      console.warn("Memory facts changed since they were grouped, not merging:", facts);
+    }
+    return merged;
   } catch (err) {
-    console.error("Error deleting memory fact:", err);
-    throw new Error("Error deleting memory fact: " + err);
+    console.error("Error merging memory facts:", err);
+    throw new Error("Error merging memory facts: " + err);
+  }
+}
+
+/**
+ * Converts a stored or imported memory item into a full record, or null if it isn't one.
+ * @param {Object|string} item
+ * @returns {Object|null}
+ */
+function normalizeMemoryItem(item) {
+  if (typeof item === "string") {
+    const fact = item.trim();
+    return fact ? { fact, timestamp: null, ...embeddingFields(null), global: false, space: DEFAULT_SPACE_ID, source: null } : null;
+  }
+  if (!item || typeof item.fact !== "string" || !item.fact.trim()) {
+    return null;
+  }
+
+  const embedding = item.global ? null : toPackedEmbedding(item.embedding);
+  return {
+    fact: item.fact.trim(),
+    timestamp: typeof item.timestamp === "string" ? item.timestamp : null,
+    embedding,
+    embeddingModel: embedding && typeof item.embeddingModel === "string" ? item.embeddingModel : null,
+    embeddingDimensions: embedding && Number.isInteger(item.embeddingDimensions) ? item.embeddingDimensions : null,
+    global: !!item.global,
+    space: typeof item.space === "string" && item.space ? item.space : DEFAULT_SPACE_ID,
+    source: item.source?.conversationId && item.source?.messageId
+      ? { conversationId: String(item.source.conversationId), messageId: String(item.source.messageId) }
+      : null
+  };
+}
+
+/**
+ * Exports all memories, with their embeddings and the model that made them, and the
+ * project spaces they belong to, as a JSON-serializable backup.
+ * @returns {Promise<{format: string, version: number, exportedAt: string, spaces: Array<Object>, memories: Array<Object>}>}
+ */
+export async function exportMemories() {
+  const global_memory_array = await loadMemoryArray();
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    spaces: (await listSpaces()).filter((space) => space.id !== DEFAULT_SPACE_ID),
+    memories: global_memory_array.map(normalizeMemoryItem).filter(Boolean)
+  };
+}
+
+/**
+ * Imports memories from a backup made by exportMemories (or a plain array of facts).
+ * "merge" keeps existing memories and adds the imported ones, taking the newer copy
+ * when a fact exists in both; "replace" discards the existing memories first.
+ * Imported embeddings keep their model tag, so ones made by another model are
+ * picked up by the re-embed job. Project spaces in the backup are added if missing;
+ * memories from a space that doesn't exist go to the personal space.
+ * @param {Object|Array} data - Parsed backup file
+ * @param {"merge"|"replace"} mode
+ * @returns {Promise<{added: number, updated: number, skipped: number}>} - Counts of imported records
+ */
+export async function importMemories(data, mode = "merge") {
+  const records = Array.isArray(data) ? data : data?.memories;
+  if (!Array.isArray(records) || (!Array.isArray(data) && data.format !== EXPORT_FORMAT)) {
+    throw new Error("Not a memory export file");
+  }
+  if (!Array.isArray(data) && data.version > EXPORT_VERSION) {
+    throw new Error("This memory export was made by a newer version");
   }
+
+  if (!Array.isArray(data)) {
+    await importSpaces(data.spaces);
+  }
+  const spaceIds = new Set((await listSpaces()).map((space) => space.id));
+
+  let added = 0;
+  let updated = 0;
+  let skipped = 0;
+  await updateMemoryArray((global_memory_array) => {
+    const memories = new Map();
+    if (mode !== "replace") {
+      for (const item of global_memory_array.map(normalizeMemoryItem)) {
+        if (item) memories.set(item.fact, item);
+      }
+    }
+
+    for (const item of records.map(normalizeMemoryItem)) {
+      if (item && !spaceIds.has(item.space)) item.space = DEFAULT_SPACE_ID;
+      const existing = item && memories.get(item.fact);
+      if (!item || (existing && (existing.timestamp || "") >= (item.timestamp || ""))) {
+        skipped++;
+      } else if (existing) {
+        memories.set(item.fact, item);
+        updated++;
+      } else {
+        memories.set(item.fact, item);
+        added++;
+      }
+    }
+
+    return [...memories.values()];
+  });
+
+  console.log(`Imported memories (${mode}): ${added} added, ${updated} updated, ${skipped} skipped`);
+  return { added, updated, skipped };
 }
 
 /**
@@ -277,7 +914,7 @@ export async function deleteMemory(fact) {
  */
 export async function clearAllMemory() {
   try {
-    await localforage.removeItem(MEMORY_STORAGE_KEY);
+    await updateMemoryArray(() => []);
     console.log("All memory cleared");
   } catch (err) {
     console.error("Error clearing all memory:", err);
@@ -286,26 +923,64 @@ export async function clearAllMemory() {
 }
 
 /**
- * Finds memories relevant to the given query using semantic search with binary embeddings.
+ * Rough token count of a fact as it appears in the system prompt ("- fact\n").
+ * @param {string} fact - The memory fact
+ * @returns {number} - Estimated tokens (about 4 characters per token)
+ */
+function estimateFactTokens(fact) {
+  return Math.ceil((fact.length + 3) / 4);
+}
+
+/**
+ * Reciprocal-rank fusion: combines rankings by summing 1 / (k + rank) for each
+ * ranking an item appears in, so items ranked well by both searches come first.
+ * @param {Array<Array<number>>} rankings - Item indices, best first
+ * @returns {Array<{index: number, score: number}>} - Fused ranking, best first
+ */
+function fuseRankings(rankings) {
+  const scores = new Map();
+  for (const ranking of rankings) {
+    ranking.forEach((index, rank) => {
+      scores.set(index, (scores.get(index) || 0) + 1 / (RRF_K + rank + 1));
+    });
+  }
+  return [...scores]
+    .map(([index, score]) => ({ index, score }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Finds memories relevant to the given query with hybrid search: semantic similarity of
+ * binary embeddings fused with BM25 keyword scores through reciprocal-rank fusion.
+ * Global memories are always included. Local memories are ranked by their fused score, and
+ * the best ones are added until `topK` or the token budget is reached. A local memory
+ * qualifies by clearing the similarity threshold or by sharing keywords with the query, so
+ * memories without an embedding are still found, and if the query embedding fails
+ * retrieval falls back to keyword search alone. Only memories in the given spaces are
+ * searched, global ones included.
  * @param {string} query - The query to find relevant memories for
- * @param {number} similarityThreshold - Minimum similarity score (0-1) to include a memory
+ * @param {Object} options - Retrieval limits
+ * @param {number} options.similarityThreshold - Minimum similarity score (0-1) to include a memory
+ * @param {number} options.topK - Maximum number of local memories to include
+ * @param {number} options.tokenBudget - Maximum estimated tokens for all included facts
+ * @param {Array<string>} options.spaces - IDs of the spaces active in the conversation
  * @param {Array<Object>} messageHistory - Recent conversation messages for context
- * @returns {Promise<Array<string>>} - Array of relevant memory facts
+ * @returns {Promise<Array<{fact: string, score: number|null, similarity: number|null, global: boolean, space: string}>>}
+ *   - Relevant memories, global ones first (score null), then local ones by descending
+ *   fused score; `similarity` is the embedding similarity when there is one
  */
-export async function findRelevantMemories(query, similarityThreshold = 0.65, messageHistory = []) {
+export async function findRelevantMemories(query, {
+  similarityThreshold = DEFAULT_SIMILARITY_THRESHOLD,
+  topK = DEFAULT_TOP_K,
+  tokenBudget = DEFAULT_TOKEN_BUDGET,
+  spaces = [DEFAULT_SPACE_ID]
+} = {}, messageHistory = []) {
   try {
-    const stored_memory = await localforage.getItem(MEMORY_STORAGE_KEY);
-    if (!stored_memory) {
+    const global_memory_array = (await loadMemoryArray()).filter((item) => spaces.includes(spaceOf(item)));
+    if (global_memory_array.length === 0) {
       return [];
     }
 
-    let global_memory_array = JSON.parse(stored_memory);
-    if (!Array.isArray(global_memory_array)) {
-      return [];
-    }
-
-    const relevantFacts = [];
-
     // Separate global and local memories
     const globalMemories = [];
     const localMemories = [];
@@ -314,55 +989,72 @@ export async function findRelevantMemories(query, similarityThreshold = 0.65, me
       // Handle different formats for backward compatibility
       if (typeof item === "string") {
         // Old format - treat as local memory without embedding
-        localMemories.push({ fact: item, embedding: null, global: false });
+        localMemories.push({ fact: item, embedding: null });
       } else if (item.global) {
         // Global memory - always include
-        globalMemories.push(item.fact);
+        globalMemories.push({ fact: item.fact, score: null, similarity: null, global: true, space: spaceOf(item) });
       } else {
         // Local memory - filter by relevance
         localMemories.push(item);
       }
     }
 
-    // Add all global memories
-    relevantFacts.push(...globalMemories);
+    const relevantMemories = [...globalMemories];
+    let remainingTokens = tokenBudget - globalMemories.reduce((sum, item) => sum + estimateFactTokens(item.fact), 0);
 
     // If there are no local memories, return just global memories
     if (localMemories.length === 0) {
-      return relevantFacts;
+      return relevantMemories;
     }
 
     // Generate embedding for the query with message history for context
     const queryEmbedding = await generateEmbedding(query, messageHistory);
-
     if (!queryEmbedding) {
-      // If we can't generate query embedding, fall back to returning all memories
-      console.warn('Failed to generate query embedding, returning all memories');
-      return await listMemory();
-    }
-
-    // Calculate similarity for local memories using Hamming distance
-    for (const item of localMemories) {
-      if (!item.embedding) {
-        // Memory doesn't have embedding (old format or generation failed)
-        // Include it to be safe
-        relevantFacts.push(item.fact);
-        continue;
-      }
+      console.warn('Failed to generate query embedding, using keyword search only');
+    }
 
-      const distance = hammingDistance(queryEmbedding, item.embedding);
-      const similarity = hammingToSimilarity(distance);
+    // Semantic ranking: Hamming distance (XOR + popcount) of memories above the threshold
+    const similarities = new Map();
+    if (queryEmbedding) {
+      localMemories.forEach((item, index) => {
+        // Vectors from another model aren't comparable; they are found by keywords
+        // until they are re-embedded
+        if (!isComparable(item, queryEmbedding)) return;
+        const similarity = hammingToSimilarity(hammingDistance(queryEmbedding.embedding, item.embedding));
+        if (similarity >= similarityThreshold) similarities.set(index, similarity);
+      });
+    }
+    const semanticRanking = [...similarities.keys()].sort((a, b) => similarities.get(b) - similarities.get(a));
 
-      if (similarity >= similarityThreshold) {
-        relevantFacts.push(item.fact);
-      }
+    // Lexical ranking: BM25 over the facts
+    const lexicalRanking = new LexicalIndex(localMemories.map((item) => item.fact))
+      .search(query)
+      .map((result) => result.index);
+
+    const candidates = fuseRankings([semanticRanking, lexicalRanking]).map(({ index, score }) => ({
+      fact: localMemories[index].fact,
+      score,
+      similarity: similarities.get(index) ?? null,
+      space: spaceOf(localMemories[index])
+    }));
+
+    let included = 0;
+    for (const candidate of candidates) {
+      if (included >= topK) break;
+
+      // Skip facts that don't fit, a shorter one further down may still fit
+      const tokens = estimateFactTokens(candidate.fact);
+      if (tokens > remainingTokens) continue;
+
+      relevantMemories.push({ ...candidate, global: false });
+      remainingTokens -= tokens;
+      included++;
     }
 
-    return relevantFacts;
+    return relevantMemories;
   } catch (err) {
     console.error('Error finding relevant memories:', err);
-    // Fall back to returning all memories on error
-    return await listMemory();
+    return [];
   }
 }
 
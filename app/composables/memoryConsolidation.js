@@ -0,0 +1,191 @@
+import { reactive } from "vue";
+import { findMemoryClusters, mergeMemories } from "./memory";
+import { recordUsage } from "./usageTracker";
+
+/**
+ * @file memoryConsolidation.js
+ * @description On-demand job that tidies up near-duplicate memories. Similar facts are
+ * grouped by embedding (Hamming) similarity, a small model writes one fact for each
+ * group, and the results wait as a preview until the user saves them, so nothing in
+ * memory changes without their approval.
+ */
+
+// Small, fast model used for merging, same as title generation
+const CONSOLIDATION_MODEL = "z-ai/glm-4.7-flash";
+
+const CONSOLIDATION_PROMPT = `You merge overlapping facts about a user into one fact. You will be given a list of facts that were remembered at different times and say roughly the same thing. Write a single fact that keeps every distinct detail from the list, prefers the most recent fact when they contradict (the list is ordered oldest first), and reads like the input facts (one short sentence, third person). Only output the merged fact, without any additional explanations or commentary.`;
+
+/**
+ * A group of similar memories and the fact proposed to replace them
+ * @typedef {Object} ConsolidationGroup
+ * @property {Array<string>} facts - The similar facts, oldest first
+ * @property {string} merged - Proposed merged fact, editable before saving
+ * @property {boolean} include - Whether saving applies this group
+ * @property {string|null} error - Why no merged fact was proposed
+ */
+
+// Shared job state, kept until the preview is saved or discarded
+const state = reactive({
+  running: false,
+  cancelRequested: false,
+  saving: false,
+  total: 0,
+  done: 0,
+  /** @type {Array<ConsolidationGroup>} */
+  groups: [],
+  // "completed", "cancelled", "saved" or null
+  result: null,
+  // Groups not saved because their memories changed after the preview was made
+  skipped: 0,
+  error: null
+});
+
+/**
+ * Composable giving components the shared job state
+ * @returns {typeof state}
+ */
+export function useMemoryConsolidation() {
+  return state;
+}
+
+/**
+ * Asks the small model to merge a group of facts
+ * @param {Array<string>} facts - Facts to merge, oldest first
+ * @param {string} turnId - ID shared by the requests of one run, so the run counts as one turn
+ * @returns {Promise<string>} The merged fact
+ * @throws {Error} When the request fails or the model returns nothing
+ */
+async function requestMergedFact(facts, turnId) {
+  const response = await fetch("/api/ai", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      turnId,
+      messages: [
+        { role: "system", content: CONSOLIDATION_PROMPT },
+        { role: "user", content: facts.map((fact) => `- ${fact}`).join("\n") }
+      ],
+      model: CONSOLIDATION_MODEL,
+      stream: false,
+      temperature: 0.2
+    })
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error?.message || `Request failed (${response.status})`);
+  }
+  recordUsage(CONSOLIDATION_MODEL, data.usage);
+
+  // Models sometimes answer with a bullet or quotes despite the instructions
+  const merged = (data.choices?.[0]?.message?.content || "")
+    .trim()
+    .replace(/^[-*]\s+/, "")
+    .replace(/^"(.*)"$/s, "$1")
+    .trim();
+  if (!merged) {
+    throw new Error("The model returned an empty fact");
+  }
+  return merged;
+}
+
+/**
+ * Groups similar memories and proposes a merged fact for each group. Replaces any
+ * preview that hasn't been saved.
+ * @returns {Promise<void>} Resolves when every group has a proposal
+ */
+export async function startMemoryConsolidation() {
+  if (state.running || state.saving) return;
+
+  Object.assign(state, {
+    running: true,
+    cancelRequested: false,
+    total: 0,
+    done: 0,
+    groups: [],
+    result: null,
+    skipped: 0,
+    error: null
+  });
+
+  try {
+    const turnId = crypto.randomUUID();
+    const clusters = await findMemoryClusters();
+    state.total = clusters.length;
+
+    for (const cluster of clusters) {
+      if (state.cancelRequested) {
+        state.result = "cancelled";
+        return;
+      }
+
+      const facts = cluster.map((item) => item.fact);
+      try {
+        const merged = await requestMergedFact(facts, turnId);
+        state.groups.push({ facts, merged, include: true, error: null });
+      } catch (err) {
+        console.error("Error merging memory group:", err);
+        state.groups.push({ facts, merged: "", include: false, error: err.message });
+      }
+      state.done++;
+    }
+
+    state.result = "completed";
+  } catch (err) {
+    console.error("Error consolidating memories:", err);
+    state.error = "Couldn't group memories. Please try again.";
+  } finally {
+    state.running = false;
+  }
+}
+
+/**
+ * Stops proposing merges after the current group; groups proposed so far stay in the preview
+ */
+export function cancelMemoryConsolidation() {
+  if (state.running) state.cancelRequested = true;
+}
+
+/**
+ * Applies the included groups of the preview to memory
+ * @returns {Promise<number>} Number of groups merged
+ */
+export async function saveMemoryConsolidation() {
+  if (state.running || state.saving) return 0;
+
+  state.saving = true;
+  state.error = null;
+  state.skipped = 0;
+  let saved = 0;
+  try {
+    for (const group of [...state.groups]) {
+      if (!group.include || !group.merged.trim()) continue;
+      if (await mergeMemories(group.facts, group.merged)) {
+        saved++;
+      } else {
+        state.skipped++;
+      }
+      // Handled groups leave the preview, so saving again after an error doesn't repeat them
+      state.groups.splice(state.groups.indexOf(group), 1);
+    }
+    state.groups = [];
+    state.result = "saved";
+  } catch (err) {
+    console.error("Error saving merged memories:", err);
+    state.error = "Couldn't save every merge. Please try again.";
+  } finally {
+    state.saving = false;
+  }
+  return saved;
+}
+
+/**
+ * Throws away the preview without changing memory
+ */
+export function discardMemoryConsolidation() {
+  if (state.running || state.saving) return;
+  state.groups = [];
+  state.result = null;
+  state.skipped = 0;
+  state.error = null;
+}
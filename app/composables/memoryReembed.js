@@ -0,0 +1,85 @@
+import { reactive } from "vue";
+import { probeEmbeddingModel, listMemoriesNeedingEmbedding, reembedMemory } from "./memory";
+
+/**
+ * @file memoryReembed.js
+ * @description Background job that regenerates memory embeddings made by another model
+ * (or missing, or made before embeddings were tagged with their model). It runs one
+ * memory at a time so chat keeps working, and its progress lives in shared reactive
+ * state, so the settings panel can be closed and reopened while it runs.
+ */
+
+// Shared job state
+const state = reactive({
+  running: false,
+  cancelRequested: false,
+  total: 0,
+  done: 0,
+  failed: 0,
+  // "completed", "cancelled", "unavailable" or null before the first run
+  result: null,
+  finishedAt: null
+});
+
+/**
+ * Composable giving components the shared job state
+ * @returns {{ running: boolean, cancelRequested: boolean, total: number, done: number, failed: number, result: string|null, finishedAt: string|null }}
+ */
+export function useMemoryReembed() {
+  return state;
+}
+
+/**
+ * Starts re-embedding stale memories, unless a run is already in progress
+ * @returns {Promise<void>} Resolves when the run ends
+ */
+export async function startMemoryReembed() {
+  if (state.running) return;
+
+  Object.assign(state, {
+    running: true,
+    cancelRequested: false,
+    total: 0,
+    done: 0,
+    failed: 0,
+    result: null,
+    finishedAt: null
+  });
+
+  try {
+    // Vectors are stale relative to the model /api/embeddings uses right now
+    const current = await probeEmbeddingModel();
+    if (!current) {
+      state.result = "unavailable";
+      return;
+    }
+
+    const facts = await listMemoriesNeedingEmbedding(current);
+    state.total = facts.length;
+
+    for (const fact of facts) {
+      if (state.cancelRequested) {
+        state.result = "cancelled";
+        return;
+      }
+      const success = await reembedMemory(fact);
+      if (!success) state.failed++;
+      state.done++;
+    }
+
+    state.result = "completed";
+  } catch (err) {
+    console.error("Error re-embedding memories:", err);
+    state.result = "unavailable";
+  } finally {
+    state.running = false;
+    state.finishedAt = new Date().toISOString();
+  }
+}
+
+/**
+ * Stops the job after the memory being embedded now
+ */
+export function cancelMemoryReembed() {
+  if (state.running) state.cancelRequested = true;
+}
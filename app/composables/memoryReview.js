@@ -0,0 +1,168 @@
+import { reactive } from "vue";
+import localforage from "localforage";
+import { addMemory, modifyMemory, deleteMemory } from "./memory";
+import { findSpace } from "./memorySpaces";
+
+/**
+ * @file memoryReview.js
+ * @description Approval queue for memory changes proposed by the model. When "review memory
+ * changes" is on, the memory tools record a proposal here instead of writing to memory; the
+ * memory widget in the chat shows it with Accept/Reject/Edit, and only accepted changes are
+ * written through memory.js.
+ */
+
+const PROPOSALS_STORAGE_KEY = "memory_proposals";
+
+// Decided proposals are kept so widgets in older messages still show the outcome
+const MAX_DECIDED_PROPOSALS = 200;
+
+/**
+ * A memory change waiting for (or decided by) the user
+ * @typedef {Object} MemoryProposal
+ * @property {string} id - Proposal ID, returned to the model in the tool result
+ * @property {"add"|"modify"|"delete"} action
+ * @property {string} [fact] - Fact to add or delete
+ * @property {string} [oldFact] - Fact to modify
+ * @property {string} [newFact] - Replacement for oldFact
+ * @property {boolean} [isGlobal] - Scope of an added or modified fact
+ * @property {string} [space] - Space of an added fact, or where a modified fact moves to
+ * @property {import("./memory").MemorySource|null} source - Message that proposed the change
+ * @property {"pending"|"accepted"|"rejected"} status
+ * @property {string} createdAt - ISO timestamp
+ * @property {string|null} decidedAt - ISO timestamp
+ */
+
+// Shared reactive state, so every widget showing a proposal updates when it's decided
+const state = reactive({
+  proposals: {},
+  loaded: false
+});
+
+let loading = null;
+
+async function loadProposals() {
+  if (state.loaded) return;
+  loading ||= (async () => {
+    try {
+      const stored = await localforage.getItem(PROPOSALS_STORAGE_KEY);
+      const list = stored ? JSON.parse(stored) : [];
+      for (const proposal of Array.isArray(list) ? list : []) {
+        state.proposals[proposal.id] = proposal;
+      }
+    } catch (err) {
+      console.error("Error loading memory proposals:", err);
+    }
+    state.loaded = true;
+  })();
+  await loading;
+}
+
+async function saveProposals() {
+  const list = Object.values(state.proposals);
+  const pending = list.filter((proposal) => proposal.status === "pending");
+  const decided = list
+    .filter((proposal) => proposal.status !== "pending")
+    .sort((a, b) => (b.decidedAt || "").localeCompare(a.decidedAt || ""))
+    .slice(0, MAX_DECIDED_PROPOSALS);
+
+  // Forget the oldest decisions
+  const kept = new Set([...pending, ...decided].map((proposal) => proposal.id));
+  for (const id of Object.keys(state.proposals)) {
+    if (!kept.has(id)) delete state.proposals[id];
+  }
+
+  await localforage.setItem(PROPOSALS_STORAGE_KEY, JSON.stringify([...pending, ...decided]));
+}
+
+/**
+ * Composable giving components the shared proposal state
+ * @returns {{ proposals: Object<string, MemoryProposal> }} Reactive proposals by ID
+ */
+export function useMemoryProposals() {
+  loadProposals();
+  return state;
+}
+
+/**
+ * Records a memory change for the user to review instead of applying it
+ * @param {{action: "add"|"modify"|"delete", fact?: string, oldFact?: string, newFact?: string, isGlobal?: boolean, space?: string}} change
+ * @param {import("./memory").MemorySource|null} source - Message that proposed the change
+ * @returns {Promise<MemoryProposal>}
+ */
+export async function proposeMemoryChange(change, source = null) {
+  await loadProposals();
+
+  const proposal = {
+    id: `mp_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+    action: change.action,
+    fact: change.fact?.trim(),
+    oldFact: change.oldFact?.trim(),
+    newFact: change.newFact?.trim(),
+    isGlobal: change.isGlobal,
+    space: change.space,
+    source,
+    status: "pending",
+    createdAt: new Date().toISOString(),
+    decidedAt: null
+  };
+
+  state.proposals[proposal.id] = proposal;
+  await saveProposals();
+  return proposal;
+}
+
+/**
+ * Applies a proposal to memory, optionally with the user's edits
+ * @param {string} id - Proposal ID
+ * @param {{fact?: string, newFact?: string}} [edits] - Edited text for an add or modify
+ * @returns {Promise<void>}
+ */
+export async function acceptMemoryProposal(id, edits = {}) {
+  await loadProposals();
+  const proposal = state.proposals[id];
+  if (!proposal || proposal.status !== "pending") return;
+
+  const fact = edits.fact?.trim() || proposal.fact;
+  const newFact = edits.newFact?.trim() || proposal.newFact;
+  // A space deleted since the proposal falls back to the default (or the fact's current space)
+  const space = proposal.space ? (await findSpace(proposal.space))?.id : undefined;
+
+  if (proposal.action === "add") {
+    // Similar facts were checked when the change was proposed; the user's approval wins
+    await addMemory(fact, proposal.isGlobal || false, [], proposal.source, {
+      allowSimilar: true,
+      space
+    });
+  } else if (proposal.action === "modify") {
+    await modifyMemory(proposal.oldFact, newFact, proposal.isGlobal, [], proposal.source, { space });
+  } else if (proposal.action === "delete") {
+    await deleteMemory(proposal.fact);
+  }
+
+  state.proposals[id] = {
+    ...proposal,
+    fact,
+    newFact,
+    status: "accepted",
+    decidedAt: new Date().toISOString()
+  };
+  await saveProposals();
+}
+
+/**
+ * Discards a proposal without touching memory
+ * @param {string} id - Proposal ID
+ * @returns {Promise<void>}
+ */
+export async function rejectMemoryProposal(id) {
+  await loadProposals();
+  const proposal = state.proposals[id];
+  if (!proposal || proposal.status !== "pending") return;
+
+  state.proposals[id] = {
+    ...proposal,
+    status: "rejected",
+    decidedAt: new Date().toISOString()
+  };
+  await saveProposals();
+}
@@ -0,0 +1,236 @@
+import { reactive } from "vue";
+import localforage from "localforage";
+
+/**
+ * @file memorySpaces.js
+ * @description Named memory spaces. Every memory belongs to one space: the default
+ * personal space, or a project space the user created. The personal space is active in
+ * every conversation; project spaces are only searched (and written to by the model)
+ * in conversations they are attached to, so facts about one project don't leak into
+ * unrelated chats.
+ */
+
+export const DEFAULT_SPACE_ID = "personal";
+
+const SPACES_STORAGE_KEY = "memory_spaces";
+const ATTACHMENTS_STORAGE_KEY = "memory_space_attachments";
+
+/**
+ * @typedef {Object} MemorySpace
+ * @property {string} id - Space ID, stored on each memory
+ * @property {string} name - Display name, also how the model refers to the space
+ * @property {string|null} createdAt - ISO timestamp (null for the personal space)
+ */
+
+/** @type {MemorySpace} */
+export const PERSONAL_SPACE = { id: DEFAULT_SPACE_ID, name: "Personal", createdAt: null };
+
+// Shared reactive state, so the space picker and settings stay in sync
+const state = reactive({
+  /** @type {Array<MemorySpace>} Project spaces (the personal space isn't stored) */
+  spaces: [],
+  /** @type {Object<string, Array<string>>} Attached project space IDs by conversation ID */
+  attachments: {},
+  // Spaces picked for a new chat before its conversation is created
+  draft: [],
+  loaded: false
+});
+
+let loading = null;
+
+async function loadSpaces() {
+  if (state.loaded) return;
+  loading ||= (async () => {
+    try {
+      const spaces = await localforage.getItem(SPACES_STORAGE_KEY);
+      const attachments = await localforage.getItem(ATTACHMENTS_STORAGE_KEY);
+      state.spaces = spaces ? JSON.parse(spaces) : [];
+      state.attachments = attachments ? JSON.parse(attachments) : {};
+    } catch (err) {
+      console.error("Error loading memory spaces:", err);
+    }
+    state.loaded = true;
+  })();
+  await loading;
+}
+
+async function saveSpaces() {
+  await localforage.setItem(SPACES_STORAGE_KEY, JSON.stringify(state.spaces));
+}
+
+async function saveAttachments() {
+  await localforage.setItem(ATTACHMENTS_STORAGE_KEY, JSON.stringify(state.attachments));
+}
+
+function normalizeName(name) {
+  return String(name || "").trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Composable giving components the shared space state
+ * @returns {{ spaces: Array<MemorySpace>, attachments: Object<string, Array<string>>, draft: Array<string>, loaded: boolean }}
+ */
+export function useMemorySpaces() {
+  loadSpaces();
+  return state;
+}
+
+/**
+ * Lists every space, the personal space first
+ * @returns {Promise<Array<MemorySpace>>}
+ */
+export async function listSpaces() {
+  await loadSpaces();
+  return [PERSONAL_SPACE, ...state.spaces];
+}
+
+/**
+ * Finds a space by ID or by name (case-insensitive)
+ * @param {string} idOrName
+ * @returns {Promise<MemorySpace|null>}
+ */
+export async function findSpace(idOrName) {
+  const key = normalizeName(idOrName).toLowerCase();
+  if (!key) return null;
+  return (await listSpaces()).find((space) => space.id === idOrName || space.name.toLowerCase() === key) || null;
+}
+
+/**
+ * Creates a project space
+ * @param {string} name - Display name, unique among spaces
+ * @returns {Promise<MemorySpace>}
+ * @throws {Error} When the name is empty or already used
+ */
+export async function createSpace(name) {
+  const trimmed = normalizeName(name);
+  if (!trimmed) throw new Error("Space name is required");
+  if (await findSpace(trimmed)) throw new Error(`A space named "${trimmed}" already exists`);
+
+  const space = {
+    id: `space_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: trimmed,
+    createdAt: new Date().toISOString()
+  };
+  state.spaces.push(space);
+  await saveSpaces();
+  return space;
+}
+
+/**
+ * Renames a project space
+ * @param {string} id - Space ID
+ * @param {string} name - New display name
+ * @returns {Promise<void>}
+ * @throws {Error} When the name is empty or used by another space
+ */
+export async function renameSpace(id, name) {
+  await loadSpaces();
+  const trimmed = normalizeName(name);
+  const space = state.spaces.find((item) => item.id === id);
+  if (!space) throw new Error("Space not found");
+  if (!trimmed) throw new Error("Space name is required");
+
+  const existing = await findSpace(trimmed);
+  if (existing && existing.id !== id) throw new Error(`A space named "${trimmed}" already exists`);
+
+  space.name = trimmed;
+  await saveSpaces();
+}
+
+/**
+ * Removes a project space and detaches it from every conversation.
+ * Its memories are left to the caller (see deleteMemoriesInSpace).
+ * @param {string} id - Space ID
+ * @returns {Promise<void>}
+ */
+export async function deleteSpace(id) {
+  await loadSpaces();
+  state.spaces = state.spaces.filter((space) => space.id !== id);
+  for (const [conversationId, ids] of Object.entries(state.attachments)) {
+    state.attachments[conversationId] = ids.filter((spaceId) => spaceId !== id);
+  }
+  state.draft = state.draft.filter((spaceId) => spaceId !== id);
+  await saveSpaces();
+  await saveAttachments();
+}
+
+/**
+ * Adds spaces from a memory export, keeping existing spaces with the same ID.
+ * @param {Array<MemorySpace>} spaces - Project spaces to add
+ * @returns {Promise<void>}
+ */
+export async function importSpaces(spaces) {
+  await loadSpaces();
+  for (const space of Array.isArray(spaces) ? spaces : []) {
+    const name = normalizeName(space?.name);
+    if (!space?.id || !name || space.id === DEFAULT_SPACE_ID) continue;
+    if (state.spaces.some((item) => item.id === space.id)) continue;
+
+    // Keep names unique; an imported space named like an existing one gets a suffix
+    let uniqueName = name;
+    for (let i = 2; await findSpace(uniqueName); i++) uniqueName = `${name} (${i})`;
+    state.spaces.push({ id: space.id, name: uniqueName, createdAt: space.createdAt || null });
+  }
+  await saveSpaces();
+}
+
+/**
+ * Project spaces attached to a conversation, or to the new chat when there's no ID yet
+ * @param {string} conversationId
+ * @returns {Promise<Array<string>>} Space IDs
+ */
+export async function getConversationSpaces(conversationId) {
+  await loadSpaces();
+  const ids = conversationId ? state.attachments[conversationId] || [] : state.draft;
+  return ids.filter((id) => state.spaces.some((space) => space.id === id));
+}
+
+/**
+ * Attaches project spaces to a conversation, replacing the previous ones
+ * @param {string} conversationId - Conversation ID, or empty for the new chat
+ * @param {Array<string>} spaceIds
+ * @returns {Promise<void>}
+ */
+export async function setConversationSpaces(conversationId, spaceIds) {
+  await loadSpaces();
+  const ids = [...new Set(spaceIds)].filter((id) => id !== DEFAULT_SPACE_ID);
+  if (!conversationId) {
+    state.draft = ids;
+    return;
+  }
+
+  if (ids.length > 0) {
+    state.attachments[conversationId] = ids;
+  } else {
+    delete state.attachments[conversationId];
+  }
+  await saveAttachments();
+}
+
+/**
+ * Gives a newly created conversation the spaces picked before it existed
+ * @param {string} conversationId
+ * @returns {Promise<void>}
+ */
+export async function attachDraftSpaces(conversationId) {
+  await loadSpaces();
+  const draft = state.draft;
+  state.draft = [];
+  if (draft.length > 0) await setConversationSpaces(conversationId, draft);
+}
+
+/**
+ * Forgets the spaces picked for the new chat
+ */
+export function clearDraftSpaces() {
+  state.draft = [];
+}
+
+/**
+ * Spaces searched and written in a conversation: personal plus the attached ones
+ * @param {string|null} conversationId - Conversation ID, or empty for the new chat
+ * @returns {Promise<Array<string>>} Space IDs, the personal space first
+ */
+export async function getActiveSpaces(conversationId) {
+  return [DEFAULT_SPACE_ID, ...(await getConversationSpaces(conversationId))];
+}
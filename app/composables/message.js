@@ -5,14 +5,21 @@
  */
 
 import {
-  availableModels,
-  findModelById,
   DEFAULT_MODEL_ID,
   buildReasoningParams,
 } from "~/composables/availableModels";
+import { findCatalogModel } from "~/composables/modelCatalog";
 import { generateSystemPrompt } from "~/composables/systemPrompt";
 import { findRelevantMemories } from "~/composables/memory";
+import { listSpaces, getActiveSpaces } from "~/composables/memorySpaces";
 import { toolManager } from "~/composables/toolsManager";
+import { runDeepResearch } from "~/composables/deepResearch";
+import { getCachedHealth, refreshHealth } from "~/composables/useServiceHealth";
+import {
+  ERROR_CATEGORIES,
+  createErrorDetails,
+  createClientErrorDetails,
+} from "~/composables/chatErrors";
 
 /**
  * Formats a message object for the API, handling multimodal content including:
@@ -177,6 +184,10 @@ function formatMessageForAPI(msg) {
  * @param {boolean} isSearchEnabled - Whether the browser search tool is enabled
  * @param {boolean} isIncognito - Whether incognito mode is enabled
  * @param {Array} attachments - Array of file attachments [{ type: 'image'|'pdf', filename, dataUrl, mimeType }]
+ * @param {{conversationId: string, messageId: string}|null} source - The conversation and assistant message
+ *   this response belongs to, recorded on memories the tools add or modify
+ * @param {string|null} turnId - ID of the user message being answered. Every request of the
+ *   turn sends it, so the server counts the turn once against the daily quota.
  * @yields {Object} A chunk object with content and/or reasoning
  * @property {string|null} content - The main content of the response chunk
  * @property {string|null} reasoning - Any reasoning information included in the response chunk
@@ -191,7 +202,9 @@ export async function* handleIncomingMessage(
   toolNames = [],
   isSearchEnabled = false,
   isIncognito = false,
-  attachments = []
+  attachments = [],
+  source = null,
+  turnId = null
 ) {
   try {
     // Validate required parameters
@@ -199,43 +212,65 @@ export async function* handleIncomingMessage(
       throw new Error("Missing required parameters for handleIncomingMessage");
     }
 
-    // Check if API is up and has available quota
-    try {
-      const healthResponse = await fetch("/api/api_health");
-      const health = await healthResponse.json();
+    // Block only when the background health check says the selected model's provider is down.
+    // Budget exhaustion only affects the shared key, so users with their own key can still send.
+    const health = getCachedHealth(selectedModel);
+    const budgetReasons = ["budget_exhausted", "balance_depleted"];
+    if (health?.status === "down" && !(settings.custom_api_key && budgetReasons.includes(health.reason))) {
+      let message = "⚠️ **Service Unavailable**\n\n";
+
+      if (health.reason === "budget_exhausted") {
+        message += "Daily API budget exhausted. Try again tomorrow or add your own API key in Settings → General.";
+      } else if (health.reason === "balance_depleted") {
+        message += "API balance depleted. Service temporarily unavailable.";
+      } else {
+        message += "Service temporarily unavailable. Please try again later.";
+      }
 
-      // Check for various unavailability conditions
-      if (health.status === "down" || health.dailyKeyUsageRemaining <= 0 || health.balanceRemaining <= 0) {
-        let message = "⚠️ **Service Unavailable**\n\n";
+      // Re-check in the background so a recovered service isn't blocked until the next poll
+      refreshHealth();
 
-        if (health.dailyKeyUsageRemaining !== undefined && health.dailyKeyUsageRemaining <= 0) {
-          message += "Daily API budget exhausted. Try again tomorrow or add your own API key in Settings → General.";
-        } else if (health.balanceRemaining !== undefined && health.balanceRemaining <= 0) {
-          message += "API balance depleted. Service temporarily unavailable.";
-        } else {
-          message += "Service temporarily unavailable. Please try again later.";
-        }
+      yield { content: message, reasoning: null };
+      return;
+    }
 
-        yield { content: message, reasoning: null };
-        return;
-      }
-    } catch (error) {
-      console.error("Health check failed:", error);
-      // We'll continue anyway, in case it was just the health check endpoint failing
+    // Deep Research replaces the tool loop with its own plan → search → read → write pipeline
+    if (settings.deep_research_enabled) {
+      yield* runDeepResearch({
+        query,
+        history: plainMessages,
+        controller,
+        selectedModel,
+        modelParameters,
+        settings,
+        isIncognito,
+        turnId,
+      });
+      return;
     }
 
     // Find the selected model info
-    const selectedModelInfo = findModelById(availableModels, selectedModel);
+    const selectedModelInfo = findCatalogModel(selectedModel);
 
     // Load memory facts if memory is enabled and not in incognito mode
     let memoryFacts = [];
+    let memorySpaces = [];
     if (settings.global_memory_enabled && !isIncognito) {
+      // Only the personal space and the project spaces attached to this conversation are searched
+      const activeSpaces = await getActiveSpaces(source?.conversationId);
+      memorySpaces = (await listSpaces()).filter((space) => activeSpaces.includes(space.id));
+
       // Use semantic search to find relevant memories based on the user's query
-      // This retrieves all global memories + local memories above similarity threshold
+      // This retrieves all global memories + the top local memories within the token budget
       // Pass message history for better contextual embeddings
       memoryFacts = await findRelevantMemories(
         query,
-        settings.memory_similarity_threshold || 0.65,
+        {
+          similarityThreshold: settings.memory_similarity_threshold,
+          topK: settings.memory_top_k,
+          tokenBudget: settings.memory_token_budget,
+          spaces: activeSpaces
+        },
         plainMessages
       );
     }
@@ -254,9 +289,9 @@ export async function* handleIncomingMessage(
       );
     }
 
-    // Enable search tool if enabled in settings/params
+    // Enable the search and page-reading tools if enabled in settings/params
     if (modelHasToolUse && isSearchEnabled) {
-      enabledToolNames.push("search");
+      enabledToolNames.push("search", "readPage");
     }
 
     // Generate system prompt based on settings and used tools
@@ -266,7 +301,8 @@ export async function* handleIncomingMessage(
       isIncognito ? {} : settings,
       memoryFacts,
       isIncognito, // Pass incognito mode state
-      modelHasToolUse // Pass tool use capability
+      modelHasToolUse, // Pass tool use capability
+      memorySpaces
     );
 
     // Build user message content based on attachments
@@ -350,6 +386,7 @@ export async function* handleIncomingMessage(
         }),
         // Pass custom API key if set
         ...(settings.custom_api_key && { customApiKey: settings.custom_api_key }),
+        ...(turnId && { turnId }),
       };
 
       // Add reasoning parameters using the new buildReasoningParams helper
@@ -381,11 +418,15 @@ export async function* handleIncomingMessage(
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        const errorMessage = errorData.error?.message || "Unknown error";
 
-        throw new Error(
-          `API request failed with status ${response.status}: ${errorMessage}`
-        );
+        // The server classifies the failure; surface it as a typed error instead of a crash
+        yield {
+          content: null,
+          reasoning: null,
+          error: true,
+          errorDetails: createErrorDetails(errorData.error, response.status),
+        };
+        return;
       }
 
       const reader = response.body.getReader();
@@ -404,10 +445,12 @@ export async function* handleIncomingMessage(
       // Stream timeout configuration (60 seconds of inactivity)
       const STREAM_TIMEOUT_MS = 60000;
       let streamTimeoutId = null;
+      let streamTimedOut = false;
 
       const resetStreamTimeout = () => {
         if (streamTimeoutId) clearTimeout(streamTimeoutId);
         streamTimeoutId = setTimeout(() => {
+          streamTimedOut = true;
           reader.cancel("Stream timeout: no data received for 60 seconds");
         }, STREAM_TIMEOUT_MS);
       };
@@ -422,15 +465,17 @@ export async function* handleIncomingMessage(
           const { done, value } = await reader.read();
           if (done) break;
 
-          resetStreamTimeout(); // Reset timeout on each chunk received
-
           buffer += decoder.decode(value, { stream: true });
           const lines = buffer.split("\n");
           buffer = lines.pop();
 
           for (const line of lines) {
+            // Skips blank separators and ": keep-alive" comments, which must not
+            // reset the inactivity timeout while the upstream is stalled
             if (!line.startsWith("data: ")) continue;
 
+            resetStreamTimeout(); // Reset timeout on each data frame received
+
             const data = line.slice(6);
             if (data === "[DONE]") {
               break;
@@ -443,17 +488,26 @@ export async function* handleIncomingMessage(
               continue;
             }
 
+            // Upstream failed mid-stream; the error is already classified by the server
             if (parsed.error) {
               yield {
-                content: `\n\n[ERROR: ${parsed.error.message}]`,
+                content: null,
                 reasoning: null,
                 error: true,
-                errorDetails: {
-                  name: parsed.error.type || "APIError",
-                  message: parsed.error.message,
-                },
+                errorDetails: createErrorDetails(parsed.error),
+              };
+              return;
+            }
+
+            // Usage arrives in the final chunk, which has no choices
+            if (parsed.usage) {
+              yield {
+                content: null,
+                reasoning: null,
+                tool_calls: [],
+                usage: parsed.usage,
+                model: requestBody.model,
               };
-              throw new Error(parsed.error.message || "API error");
             }
 
             if (parsed.choices && parsed.choices[0]) {
@@ -533,17 +587,7 @@ export async function* handleIncomingMessage(
                 };
               }
 
-              // 6) Yield usage if present
-              if (parsed.usage) {
-                yield {
-                  content: null,
-                  reasoning: null,
-                  tool_calls: [],
-                  usage: parsed.usage,
-                };
-              }
-
-              // 7) Capture annotations (for PDF reuse)
+              // 6) Capture annotations (for PDF reuse)
               const annotations =
                 choice.message?.annotations ||
                 choice.delta?.annotations ||
@@ -557,18 +601,12 @@ export async function* handleIncomingMessage(
                 };
               }
 
-              // First check delta (for streaming image chunks)
-              const images =
-                choice.delta?.images;
+              // Images arrive normalized on the delta; any accompanying text was yielded above
+              const images = choice.delta?.images;
 
               if (images && images.length > 0) {
                 yield {
-                  content:
-                    choice.delta?.content !== undefined
-                      ? choice.delta.content
-                      : choice.message?.content !== undefined
-                        ? choice.message.content
-                        : null,
+                  content: null,
                   reasoning: null,
                   tool_calls: [],
                   images: images,
@@ -587,6 +625,35 @@ export async function* handleIncomingMessage(
         reader.releaseLock();
       }
 
+      if (streamTimedOut) {
+        yield {
+          content: null,
+          reasoning: null,
+          error: true,
+          errorDetails: {
+            name: "StreamTimeoutError",
+            category: ERROR_CATEGORIES.NETWORK_TIMEOUT,
+            message: `No data received for ${STREAM_TIMEOUT_MS / 1000} seconds`,
+          },
+        };
+        return;
+      }
+
+      // Providers report moderation as a finish reason rather than an error
+      if (finishedReason === "content_filter") {
+        yield {
+          content: null,
+          reasoning: null,
+          error: true,
+          errorDetails: {
+            name: "ContentFilterError",
+            category: ERROR_CATEGORIES.CONTENT_FILTERED,
+            message: "The response was stopped by the provider's content filter",
+          },
+        };
+        return;
+      }
+
       const completedToolCalls = Object.values(toolCallAccumulator);
 
       if (!hadToolCalls || !modelSupportsTools) {
@@ -604,7 +671,8 @@ export async function* handleIncomingMessage(
       // Execute tools locally and append tool messages
       const toolResultMessages = await executeToolCallsLocally(
         completedToolCalls,
-        plainMessages
+        plainMessages,
+        source
       );
 
       // Yield tool results so the UI can update the widgets
@@ -643,16 +711,11 @@ export async function* handleIncomingMessage(
       return;
     }
 
-    const errorMessage = error.message || "No detailed information";
     yield {
-      content: `\n\n[CRITICAL ERROR: Libre Assistant failed to dispatch request. ${errorMessage}]`,
+      content: null,
       reasoning: null,
       error: true,
-      errorDetails: {
-        name: error.name || "UnknownError",
-        message: errorMessage,
-        rawError: error.toString(),
-      },
+      errorDetails: createClientErrorDetails(error),
     };
   }
 }
@@ -660,7 +723,8 @@ export async function* handleIncomingMessage(
 // Helper function to execute tool calls locally with toolManager
 async function executeToolCallsLocally(
   completedToolCalls,
-  messageHistory = []
+  messageHistory = [],
+  source = null
 ) {
   const toolResultMessages = [];
 
@@ -699,8 +763,8 @@ async function executeToolCallsLocally(
     }
 
     try {
-      // Pass message history to tool executor for context
-      const result = await tool.executor(args, messageHistory);
+      // Pass message history to tool executor for context, and the source for memory provenance
+      const result = await tool.executor(args, messageHistory, source);
       toolResultMessages.push({
         role: "tool",
         tool_call_id: toolCall.id,
@@ -2,15 +2,18 @@ import { ref, computed, nextTick, onMounted, onUnmounted, toRaw } from 'vue';
 import { useRouter } from 'vue-router';
 import localforage from 'localforage';
 import { createConversation as createNewConversation, storeMessages, deleteConversation as deleteConv, updateBranchPath, loadConversation } from './storeConversations';
+import { clearDraftSpaces } from './memorySpaces';
 import { handleIncomingMessage } from './message';
-import { availableModels, findModelById, normalizeReasoningConfig, getDefaultReasoningEffort } from './availableModels';
-import { addMemory, modifyMemory, deleteMemory } from './memory';
+import { normalizeReasoningConfig, getDefaultReasoningEffort } from './availableModels';
+import { findCatalogModel } from './modelCatalog';
+import { toolManager } from './toolsManager';
 import DEFAULT_PARAMETERS from './defaultParameters';
 import { useSettings } from './useSettings';
 import { useGlobalIncognito } from './useGlobalIncognito';
 import { emitter } from './emitter';
 import { PartsBuilder, TimingTracker } from './partsBuilder';
-import { useRateLimiter } from './rateLimiter';
+import { recordUsage, estimateCost } from './usageTracker';
+import { createClientErrorDetails, formatErrorNotice } from './chatErrors';
 import {
   getMessagesForBranchPath,
   createBranch,
@@ -19,6 +22,20 @@ import {
   calculateBranchPath
 } from './branchManager';
 
+/**
+ * Keeps the more recent half of a conversation history, starting at a user turn
+ * so tool results are never separated from the call that produced them
+ * @param {Array} history - Messages to send as context
+ * @returns {Array} Trimmed history
+ */
+function trimHistoryForRetry(history) {
+  let start = Math.ceil(history.length / 2);
+  while (start < history.length && history[start].role !== 'user') {
+    start++;
+  }
+  return history.slice(start);
+}
+
 /**
  * Creates a centralized message manager for handling all chat message operations
  * Uses the shared settings instance for consistency across the app
@@ -173,7 +190,8 @@ export function useMessagesManager(chatPanel) {
       reasoningDuration: null,
       error: false,
       errorDetails: null,
-      annotations: null  // For PDF parsing reuse
+      annotations: null, // For PDF parsing reuse
+      usage: null        // { prompt_tokens, completion_tokens, total_tokens, cost, model }
     };
 
     messages.value.push(assistantMsg);
@@ -203,34 +221,13 @@ export function useMessagesManager(chatPanel) {
    * @param {Object} options - Optional settings
    * @param {boolean} options.skipUserMessage - If true, don't add user message (already exists in messages array)
    * @param {string} options.parentId - Optional explicit parent ID for the assistant message
+   * @param {boolean} options.trimHistory - If true, only send the more recent half of the history
    */
   async function sendMessage(message, originalMessage = null, attachments = [], options = {}) {
-    const { skipUserMessage = false, parentId: explicitParentId = null } = options;
+    const { skipUserMessage = false, parentId: explicitParentId = null, trimHistory = false } = options;
 
     if ((!message.trim() && attachments.length === 0) || isLoading.value) return;
 
-    // Check rate limit (only if not using custom API key)
-    if (!settingsManager.settings.custom_api_key) {
-      const rateLimiter = useRateLimiter();
-      const selectedModelId = settingsManager.settings.selected_model_id;
-      const limitCheck = rateLimiter.checkLimit(selectedModelId);
-
-      if (!limitCheck.canSend) {
-        // Create a temporary message to show the rate limit error
-        const tempAssistantMsg = createAssistantMessage();
-        updateAssistantMessage(tempAssistantMsg, {
-          content: `⚠️ **Rate Limit Reached**\n\n${limitCheck.error}\n\nYou can add your own Hack Club API key in Settings → General to bypass rate limits.`,
-          complete: true,
-          error: true,
-          errorDetails: { name: 'RateLimitError', message: limitCheck.error }
-        });
-        return;
-      }
-
-      // Record the request
-      rateLimiter.recordRequest(selectedModelId);
-    }
-
     controller.value = new AbortController();
     isLoading.value = true;
     isTyping.value = false;
@@ -266,7 +263,7 @@ export function useMessagesManager(chatPanel) {
     });
 
     // Get current model details
-    const selectedModelDetails = findModelById(availableModels, settingsManager.settings.selected_model_id);
+    const selectedModelDetails = findCatalogModel(settingsManager.settings.selected_model_id);
 
     if (!selectedModelDetails) {
       console.error("No model selected or model details not found. Aborting message send.");
@@ -298,6 +295,9 @@ export function useMessagesManager(chatPanel) {
     const partsBuilder = new PartsBuilder();
     const timing = new TimingTracker(assistantMsg);
 
+    // Memories added while answering link back to this message
+    const memorySource = isIncognito.value ? null : { conversationId: currConvo.value, messageId: assistantMsg.id };
+
     try {
       // Build conversation history for the API.
       // CRITICAL: History must NOT include the current user message - handleIncomingMessage adds it.
@@ -308,7 +308,7 @@ export function useMessagesManager(chatPanel) {
       // In both cases, we need history WITHOUT the user message for this turn
       // because handleIncomingMessage will add the user message from the `message` param.
       
-      const historyForAPI = visibleMessages.value.filter(msg => {
+      const fullHistory = visibleMessages.value.filter(msg => {
         // Exclude incomplete messages (the assistant placeholder we just created)
         if (!msg.complete) return false;
         // Exclude the current user message - it's always the last user message in visibleMessages
@@ -319,6 +319,9 @@ export function useMessagesManager(chatPanel) {
         return true;
       });
 
+      // Recovery from a context length error: drop older turns instead of failing again
+      const historyForAPI = trimHistory ? trimHistoryForRetry(fullHistory) : fullHistory;
+
       const streamGenerator = handleIncomingMessage(
         message,
         historyForAPI,
@@ -329,7 +332,10 @@ export function useMessagesManager(chatPanel) {
         selectedModelDetails.extra_functions || [],
         settingsManager.settings.parameter_config?.grounding ?? DEFAULT_PARAMETERS.grounding,
         isIncognito.value,
-        attachments
+        attachments,
+        memorySource,
+        // The user message being answered, so its tool rounds count as one turn
+        assistantMsg.parentId
       );
 
       // Helper to update message with Vue reactivity
@@ -401,17 +407,35 @@ export function useMessagesManager(chatPanel) {
           partsBuilder.setToolResult(chunk.tool_result.id, chunk.tool_result.result);
         }
 
-        // Process usage information from OpenRouter
+        // Process Deep Research progress
+        if (chunk.research) {
+          partsBuilder.setResearch(chunk.research);
+        }
+
+        // Process usage information - one chunk per API call, summed across tool rounds
         if (chunk.usage) {
-          if (chunk.usage.completion_tokens !== undefined) {
-            assistantMsg.tokenCount = chunk.usage.completion_tokens;
-          }
-          if (chunk.usage.total_tokens !== undefined) {
-            assistantMsg.totalTokens = chunk.usage.total_tokens;
-          }
-          if (chunk.usage.prompt_tokens !== undefined) {
-            assistantMsg.promptTokens = chunk.usage.prompt_tokens;
+          const usage = assistantMsg.usage || {
+            prompt_tokens: 0,
+            completion_tokens: 0,
+            total_tokens: 0,
+            cost: null,
+            model: chunk.model
+          };
+          usage.prompt_tokens += chunk.usage.prompt_tokens || 0;
+          usage.completion_tokens += chunk.usage.completion_tokens || 0;
+          usage.total_tokens += chunk.usage.total_tokens || 0;
+
+          const cost = estimateCost(chunk.model, chunk.usage);
+          if (cost !== null) {
+            usage.cost = (usage.cost || 0) + cost;
           }
+
+          assistantMsg.usage = usage;
+          assistantMsg.tokenCount = usage.completion_tokens;
+          assistantMsg.totalTokens = usage.total_tokens;
+          assistantMsg.promptTokens = usage.prompt_tokens;
+
+          recordUsage(chunk.model, chunk.usage);
         }
 
         // Process annotations from OpenRouter (for PDF reuse)
@@ -440,10 +464,7 @@ export function useMessagesManager(chatPanel) {
       console.error('Error in stream processing:', error);
       // Capture error details for UI display
       assistantMsg.error = true;
-      assistantMsg.errorDetails = {
-        name: error.name || 'Error',
-        message: error.message || 'An unexpected error occurred'
-      };
+      assistantMsg.errorDetails = createClientErrorDetails(error);
     } finally {
 
       // Ensure parts are stored from partsBuilder (in case of early error)
@@ -478,11 +499,14 @@ export function useMessagesManager(chatPanel) {
       Object.assign(assistantMsg, finalUpdates);
       updateAssistantMessage(assistantMsg, finalUpdates);
 
-      // Process any memory commands from the completed message content
+      // Process any memory commands from the completed message content. They run through
+      // the memory tools, so they go to the review queue when it's on and only touch the
+      // memory spaces of this conversation, like tool calls do
       if (assistantMsg.content) {
         // Look for memory command patterns in the content
         const memoryCommandPattern = /\{[^}]*"memory_action"[^}]*\}/g;
         const matches = assistantMsg.content.match(memoryCommandPattern);
+        const runMemoryTool = (name, args) => toolManager.getTool(name).executor(args, [], memorySource);
 
         if (matches) {
           for (const match of matches) {
@@ -492,17 +516,17 @@ export function useMessagesManager(chatPanel) {
                 switch (command.memory_action) {
                   case 'add':
                     if (command.fact) {
-                      await addMemory(command.fact);
+                      await runMemoryTool('addMemory', { fact: command.fact });
                     }
                     break;
                   case 'modify':
                     if (command.old_fact && command.new_fact) {
-                      await modifyMemory(command.old_fact, command.new_fact);
+                      await runMemoryTool('modifyMemory', { oldFact: command.old_fact, newFact: command.new_fact });
                     }
                     break;
                   case 'delete':
                     if (command.fact) {
-                      await deleteMemory(command.fact);
+                      await runMemoryTool('deleteMemory', { fact: command.fact });
                     }
                     break;
                   case 'list':
@@ -514,7 +538,7 @@ export function useMessagesManager(chatPanel) {
                 }
               }
             } catch (error) {
-              console.error(`Error parsing memory command: ${match}`, error);
+              console.error(`Error processing memory command: ${match}`, error);
             }
           }
         }
@@ -522,8 +546,8 @@ export function useMessagesManager(chatPanel) {
 
       // Handle error display - show errors even if there's partial content
       if (assistantMsg.error && assistantMsg.errorDetails) {
-        const errorSuffix = `\n\n---\n⚠️ **Error:** ${assistantMsg.errorDetails.message}` +
-          (assistantMsg.errorDetails.status ? ` (HTTP ${assistantMsg.errorDetails.status})` : '');
+        // Errors reported before any content (e.g. rate limits) don't need a separator
+        const errorSuffix = formatErrorNotice(assistantMsg.errorDetails, Boolean(assistantMsg.content));
 
         // IMPORTANT: Also update partsBuilder so the UI/parts array stays in sync with content string
         partsBuilder.appendContent(errorSuffix);
@@ -578,7 +602,8 @@ export function useMessagesManager(chatPanel) {
             // Initialize new token fields if they don't exist (for backward compatibility)
             tokenCount: msg.tokenCount || 0,
             totalTokens: msg.totalTokens || 0,
-            promptTokens: msg.promptTokens || 0
+            promptTokens: msg.promptTokens || 0,
+            usage: msg.usage || null
           };
         }
         return msg;
@@ -627,8 +652,10 @@ export function useMessagesManager(chatPanel) {
   /**
    * Regenerates an assistant message and creates a new branch
    * @param {string} messageId - The assistant message to regenerate
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.trimHistory - If true, retry with only the more recent half of the history
    */
-  async function regenerateAssistantMessage(messageId) {
+  async function regenerateAssistantMessage(messageId, options = {}) {
     const assistantMsg = messages.value.find(m => m.id === messageId);
     if (!assistantMsg || assistantMsg.role !== 'assistant') return;
 
@@ -659,7 +686,8 @@ export function useMessagesManager(chatPanel) {
     // Send the message using the parent user message's content
     await sendMessage(userMsg.content, null, userMsg.attachments || [], {
       skipUserMessage: true,
-      parentId: userMsg.id
+      parentId: userMsg.id,
+      trimHistory: options.trimHistory === true
     });
   }
 
@@ -681,6 +709,30 @@ export function useMessagesManager(chatPanel) {
     }
   }
 
+  /**
+   * Shows a message, switching to its branch if it isn't on the visible one, and scrolls to it
+   * @param {string} messageId - The message to show
+   * @returns {Promise<boolean>} Whether the message exists in this conversation
+   */
+  async function showMessage(messageId) {
+    if (!messages.value.some(m => m.id === messageId)) {
+      return false;
+    }
+
+    if (!visibleMessages.value.some(m => m.id === messageId)) {
+      branchPath.value = calculateBranchPath(messages.value, messageId);
+      if (currConvo.value) {
+        await updateBranchPath(currConvo.value, [...toRaw(branchPath.value)]);
+      }
+    }
+
+    await nextTick();
+    requestAnimationFrame(() => {
+      chatPanel?.value?.scrollToMessage(messageId);
+    });
+    return true;
+  }
+
   /**
    * Deletes a conversation
    * @param {string} id - Conversation ID to delete
@@ -706,6 +758,7 @@ export function useMessagesManager(chatPanel) {
     messages.value = [];
     conversationTitle.value = '';
     isIncognito.value = false;
+    clearDraftSpaces();
   }
 
   /**
@@ -742,6 +795,7 @@ export function useMessagesManager(chatPanel) {
     toggleIncognito,
     generateId,
     setChatPanel,
+    showMessage,
     editUserMessage,
     regenerateAssistantMessage,
     navigateBranch
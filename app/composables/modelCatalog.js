@@ -0,0 +1,111 @@
+/**
+ * @file modelCatalog.js
+ * @description Client copy of the merged model catalog served by `/api/models`.
+ * Starts out as the curated `availableModels` list (or the last fetched catalog from
+ * localforage) so the UI never waits on the network, then swaps in the live catalog.
+ */
+
+import localforage from "localforage";
+import { shallowRef, ref } from "vue";
+import {
+  availableModels,
+  findModelById,
+  resolveModelAlias,
+  DEFAULT_MODEL_ID,
+  DEPRECATED_MODEL_IDS,
+} from "./availableModels";
+
+// Define the key used for caching the last fetched catalog in localforage
+const CATALOG_STORAGE_KEY = "model_catalog";
+
+// Grouped the same way as availableModels (categories with nested models)
+export const modelCatalog = shallowRef(availableModels);
+const aliases = shallowRef({ ...DEPRECATED_MODEL_IDS });
+// 'curated' until a catalog built from the provider's list has been loaded
+const catalogSource = ref("curated");
+
+let loadPromise = null;
+
+/**
+ * Applies a catalog response to the shared state
+ * @param {Object} catalog - { models, aliases, source }
+ */
+function applyCatalog(catalog) {
+  if (!Array.isArray(catalog?.models) || catalog.models.length === 0) return;
+  modelCatalog.value = catalog.models;
+  aliases.value = { ...DEPRECATED_MODEL_IDS, ...catalog.aliases };
+  catalogSource.value = catalog.source || "curated";
+}
+
+/**
+ * Loads the catalog: the cached copy first, then a fresh one from the server.
+ * Concurrent callers share the same request.
+ * @returns {Promise<Array>} The catalog models
+ */
+export function loadModelCatalog() {
+  loadPromise ||= (async () => {
+    try {
+      applyCatalog(await localforage.getItem(CATALOG_STORAGE_KEY));
+    } catch (err) {
+      console.error("Error loading cached model catalog:", err);
+    }
+
+    try {
+      const response = await fetch("/api/models");
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const catalog = await response.json();
+      applyCatalog(catalog);
+
+      // Only a provider-backed catalog is worth keeping across reloads
+      if (catalog.source === "provider") {
+        await localforage.setItem(CATALOG_STORAGE_KEY, catalog);
+      }
+    } catch (err) {
+      console.error("Error fetching model catalog, using curated models:", err);
+    } finally {
+      loadPromise = null;
+    }
+
+    return modelCatalog.value;
+  })();
+
+  return loadPromise;
+}
+
+/**
+ * Finds a model in the current catalog
+ * @param {string} id - Model ID
+ * @returns {Object|null}
+ */
+export function findCatalogModel(id) {
+  return findModelById(modelCatalog.value, id);
+}
+
+/**
+ * Maps a saved model ID to one that is still available.
+ * Retired IDs follow their alias; unknown IDs fall back to the default model,
+ * but only once the provider's catalog is known.
+ * @param {string} id - A saved model ID
+ * @returns {string}
+ */
+export function resolveModelId(id) {
+  const resolved = resolveModelAlias(id || DEFAULT_MODEL_ID, aliases.value);
+  if (catalogSource.value === "provider" && !findCatalogModel(resolved)) {
+    return DEFAULT_MODEL_ID;
+  }
+  return resolved;
+}
+
+/**
+ * Composable exposing the shared catalog
+ * @returns {Object} Reactive catalog state and helpers
+ */
+export function useModelCatalog() {
+  return {
+    models: modelCatalog,
+    source: catalogSource,
+    loadModelCatalog,
+    findCatalogModel,
+    resolveModelId,
+  };
+}
@@ -11,6 +11,7 @@
  * - 'reasoning': Thinking/reasoning { type: 'reasoning', content: string }
  * - 'tool_group': Group of tools { type: 'tool_group', toolType: string, tools: array }
  * - 'image': Generated images { type: 'image', images: array }
+ * - 'research': Deep Research progress { type: 'research', status: string, steps: array, sources: array, budget: object }
  */
 export class PartsBuilder {
     constructor() {
@@ -113,19 +114,13 @@ export class PartsBuilder {
 
     /**
      * Process an image object from the API response
-     * Handles various image formats from different models
+     * The server normalizes all provider formats to
+     * { type: 'image_url', image_url: { url }, revised_prompt? }
      * @param {Object} image - Image object from API
      * @returns {Object|null} The image part that was updated, or null if no valid URL
      */
     processImage(image) {
-        // Handle different image format variations
-        const url = image.image_url?.url || image.url;
-        const revisedPrompt = image.revised_prompt || null;
-
-        if (url) {
-            return this.addImage(url, revisedPrompt);
-        }
-        return null;
+        return this.addImage(image?.image_url?.url, image?.revised_prompt || null);
     }
 
     /**
@@ -169,6 +164,21 @@ export class PartsBuilder {
         return newTool;
     }
 
+    /**
+     * Create or replace the Deep Research progress part (one per message)
+     * @param {Object} research - Snapshot with status, steps, sources and budget
+     * @returns {Object} The research part
+     */
+    setResearch(research) {
+        let part = this.parts.find(p => p.type === 'research');
+        if (!part) {
+            part = { type: 'research' };
+            this.parts.push(part);
+        }
+        Object.assign(part, research);
+        return part;
+    }
+
     /**
      * Set the result for a tool by its ID
      * @param {string} toolId - The tool's ID
@@ -253,6 +263,9 @@ export class PartsBuilder {
             if (part.type === 'image') {
                 return { ...part, images: [...part.images] };
             }
+            if (part.type === 'research') {
+                return { ...part, steps: [...part.steps] };
+            }
             return { ...part };
         });
     }
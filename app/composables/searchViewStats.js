@@ -6,6 +6,7 @@
 // Function to get formatted statistics string for display from executed tools only
 function getFormattedStatsFromExecutedTools(executedTools) {
   let pageCount = 0;
+  let readCount = 0;
 
   // Count from tool_calls (both new parts based and old structure use this)
   if (executedTools && Array.isArray(executedTools)) {
@@ -18,15 +19,23 @@ function getFormattedStatsFromExecutedTools(executedTools) {
       if (tool.type === 'function' && tool.function?.name === 'search') {
         pageCount++;
       }
+      // Pages fetched with the readPage tool
+      if (tool.type === 'function' && tool.function?.name === 'readPage') {
+        readCount++;
+      }
     });
   }
 
   // Display only if there are pages read
+  const parts = [];
   if (pageCount > 0) {
-    return `Performed ${pageCount} search${pageCount !== 1 ? 'es' : ''}`;
+    parts.push(`Performed ${pageCount} search${pageCount !== 1 ? 'es' : ''}`);
+  }
+  if (readCount > 0) {
+    parts.push(`${parts.length > 0 ? 'read' : 'Read'} ${readCount} page${readCount !== 1 ? 's' : ''}`);
   }
 
-  return '';
+  return parts.join(', ');
 }
 
 export {
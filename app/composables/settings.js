@@ -1,6 +1,7 @@
 import localforage from "localforage";
 import { reactive } from "vue";
-import { availableModels, findModelById, DEFAULT_MODEL_ID } from './availableModels';
+import { DEFAULT_MODEL_ID, resolveModelAlias } from './availableModels';
+import { findCatalogModel } from './modelCatalog';
 import DEFAULT_PARAMETERS from './defaultParameters';
 
 /**
@@ -20,12 +21,17 @@ class Settings {
 
       // --- Memory Settings ---
       global_memory_enabled: true, // Whether global memory is enabled
+      memory_similarity_threshold: 0.65, // Minimum similarity for a local memory to be recalled
+      memory_top_k: 8, // Maximum local memories added to the prompt
+      memory_token_budget: 500, // Maximum estimated tokens for recalled memories
+      memory_review_enabled: false, // Queue memory changes from the model for approval
 
       // --- Model Settings ---
       selected_model_id: DEFAULT_MODEL_ID, // Default model ID
 
       // --- Search Settings ---
       search_enabled: false, // Whether search is enabled by default
+      deep_research_enabled: false, // Answer with a planned, cited research report
 
       // --- Model-Specific Settings ---
       model_settings: {}, // Per-model settings storage
@@ -36,6 +42,14 @@ class Settings {
       // --- GPT-OSS Specific Settings ---
       gpt_oss_limit_tables: false, // Whether to limit table usage for GPT-OSS models
 
+      // --- Voice Input Settings ---
+      voice_input_fallback: true, // Use the browser's speech recognition when the server can't transcribe
+
+      // --- Read Aloud Settings ---
+      tts_voice: '', // Voice ID (server voice or browser voiceURI); empty uses the default
+      tts_speed: 1, // Playback speed multiplier
+      tts_auto_read: false, // Read each new response aloud when it finishes
+
       // --- API Key Settings ---
       custom_api_key: '', // User's own Hack Club API key (bypasses rate limits)
     });
@@ -47,11 +61,20 @@ class Settings {
     this.defaultSettings = {
       version: 2,
       global_memory_enabled: true, // Add default value for global memory
+      memory_similarity_threshold: 0.65, // Default recall threshold
+      memory_top_k: 8, // Default number of recalled local memories
+      memory_token_budget: 500, // Default token budget for recalled memories
+      memory_review_enabled: false, // Default value for memory change review
       selected_model_id: DEFAULT_MODEL_ID, // Default model ID
       search_enabled: false, // Default value for search setting
+      deep_research_enabled: false, // Default value for Deep Research mode
       model_settings: {}, // Default value for model settings
       parameter_config: { ...DEFAULT_PARAMETERS },
       gpt_oss_limit_tables: false, // Default value for GPT-OSS table limiting
+      voice_input_fallback: true, // Default value for Web Speech fallback
+      tts_voice: '', // Default read-aloud voice
+      tts_speed: 1, // Default read-aloud speed
+      tts_auto_read: false, // Default value for auto-read
       custom_api_key: '', // Default empty API key
     };
 
@@ -113,9 +136,8 @@ class Settings {
         // Then deep merge saved settings over it to apply user's preferences
         this._deepMergeReactive(mergedSettings, savedSettings);
 
-        if (mergedSettings.selected_model_id === "moonshotai/kimi-k2-instruct-0905" || !mergedSettings.selected_model_id) {
-          mergedSettings.selected_model_id = DEFAULT_MODEL_ID;
-        }
+        // Remap retired model IDs; the live catalog can retire more once loaded (see modelCatalog.js)
+        mergedSettings.selected_model_id = resolveModelAlias(mergedSettings.selected_model_id || DEFAULT_MODEL_ID);
 
         // Migration: If search_enabled is true and grounding parameter doesn't exist yet,
         // set grounding to true to preserve user's previous search preference
@@ -239,7 +261,7 @@ class Settings {
    * Computed property to get the currently selected model object
    */
   get selectedModel() {
-    return findModelById(availableModels, this.settings.selected_model_id);
+    return findCatalogModel(this.settings.selected_model_id);
   }
 
   /**
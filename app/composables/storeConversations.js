@@ -1,6 +1,11 @@
 import localforage from "localforage";
 import { emitter } from "~/composables/emitter";
 import { migrateMessages } from "./branchManager";
+import { attachDraftSpaces, setConversationSpaces } from "./memorySpaces";
+import { recordUsage } from "./usageTracker";
+
+// Small, fast model used to title new conversations
+const TITLE_MODEL = "z-ai/glm-4.7-flash";
 
 /**
  * Serializes a message object for storage, removing Vue reactivity proxies
@@ -35,6 +40,9 @@ function serializeMessage(msg) {
       firstTokenTime: msg.firstTokenTime,
       completionTime: msg.completionTime,
       tokenCount: msg.tokenCount,
+      promptTokens: msg.promptTokens,
+      totalTokens: msg.totalTokens,
+      usage: msg.usage ? { ...msg.usage } : null,
       annotations: msg.annotations ? JSON.parse(JSON.stringify(msg.annotations)) : null,
       parts: msg.parts ? JSON.parse(JSON.stringify(msg.parts)) : null,
     }),
@@ -59,6 +67,9 @@ export async function createConversation(plainMessages, lastUpdated) {
     metadata.push({ id: conversationId, title, lastUpdated });
     await localforage.setItem("conversations_metadata", metadata);
 
+    // Memory spaces picked before the first message belong to the new conversation
+    await attachDraftSpaces(conversationId);
+
     emitter.emit("updateConversations");
     console.log("Conversation saved successfully with Untitled title!");
 
@@ -73,11 +84,15 @@ export async function createConversation(plainMessages, lastUpdated) {
 async function generateTitleInBackground(conversationId, plainMessages, lastUpdated) {
   const systemPrompt = `You are an AI with the task of shortening and summarising messages into a short title. You must summarise the given messages based on their content into at most a 40 character title. Each conversation is between a user and an AI chatbot. The messages provided to you are the first messages of the conversation. The title must be general enough to apply to what you think the conversation will be about. Only output the title, without any additional explainations or commentary.`;
 
+  // The title shares the quota unit of the first message's turn
+  const turnId = [...plainMessages].reverse().find((msg) => msg.role === "user")?.id;
+
   try {
     const response = await fetch("/api/ai", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({
+        ...(turnId && { turnId }),
         messages: [
           { role: "system", content: systemPrompt },
           ...plainMessages.map((msg) => ({
@@ -85,7 +100,7 @@ async function generateTitleInBackground(conversationId, plainMessages, lastUpda
             content: msg.content,
           })),
         ],
-        model: "z-ai/glm-4.7-flash",
+        model: TITLE_MODEL,
         stream: false,
       }),
     });
@@ -93,6 +108,7 @@ async function generateTitleInBackground(conversationId, plainMessages, lastUpda
     let newTitle = "Untitled"; // Default to Untitled if API call fails
     if (response.ok) {
       const data = await response.json();
+      recordUsage(TITLE_MODEL, data.usage);
       // Handle both regular responses and potential streaming data
       if (data.choices) {
         newTitle = data.choices?.[0]?.message?.content || "Untitled";
@@ -170,6 +186,9 @@ export async function deleteConversation(conversationId) {
   const updatedMetadata = metadata.filter((m) => m.id !== conversationId);
   await localforage.setItem("conversations_metadata", updatedMetadata);
 
+  // Detach its memory spaces (the spaces and their memories stay)
+  await setConversationSpaces(conversationId, []);
+
   // Emit an event so that the sidebar updates its list.
   emitter.emit("updateConversations");
 
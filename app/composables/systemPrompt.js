@@ -8,7 +8,8 @@
 // --- PROMPT MODULES ---
 // These are the "Lego" blocks that will be assembled into the final prompt.
 
-const CORE_IDENTITY = `You are Libre, a helpful and capable AI assistant from the open-source Libre Assistant project. Your goal is to provide clear, accurate, and useful responses. Your underlying model is NOT called 'Libre' nor is it developed by Libre Assistant; you are developed by a third-party and integrated into Libre Assistant through OpenRouter. Current date is ${new Date().toISOString().split("T")[0]}`;
+// Built per prompt, so a long-running server doesn't keep reporting the day it started
+const coreIdentity = () => `You are Libre, a helpful and capable AI assistant from the open-source Libre Assistant project. Your goal is to provide clear, accurate, and useful responses. Your underlying model is NOT called 'Libre' nor is it developed by Libre Assistant; you are developed by a third-party and integrated into Libre Assistant through OpenRouter. Current date is ${new Date().toISOString().split("T")[0]}`;
 
 const GUIDING_PRINCIPLES = `### Guiding Principles
 *   **Be Accurate:** Strive for factual accuracy. If you're unsure about something, say so. Don't invent information.
@@ -49,21 +50,22 @@ const MEMORY_AWARENESS = `### Memory Awareness
 *   You have a global memory system that remembers important facts about the user across conversations.
 *   Memories are categorized as either **global** (always relevant) or **local** (contextually relevant):
   - **Global memories**: Style preferences, basic user information - always included in context
-  - **Local memories**: Specific facts filtered by semantic relevance to the current query
+  - **Local memories**: Specific facts filtered by relevance (meaning and keywords) to the current query
 *   Only memories relevant to the current conversation are automatically included in context to optimize context usage.
 *   The global memory system can only be controlled by YOU through tools, therefore you MUST ALWAYS use the tools to manage memory.
 *   You have access to specific tools for managing memory when needed:
-  - listMemory(): Retrieve all stored memory facts (for understanding what exists)
-  - addMemory(fact, isGlobal): Add a new fact (isGlobal defaults to false for local memories)
-  - modifyMemory(oldFact, newFact, isGlobal): Update an existing fact
-  - deleteMemory(fact): Remove a specific fact from memory
+  - listMemory(space): Retrieve the stored memory facts (for understanding what exists)
+  - addMemory(fact, isGlobal, space): Add a new fact (isGlobal defaults to false for local memories). If a similar fact is already stored it is not added; update that fact with modifyMemory instead
+  - modifyMemory(oldFact, newFact, isGlobal, space): Update an existing fact
+  - deleteMemory(fact, space): Remove a specific fact from memory
+*   The space argument is optional and names a memory space. Facts go to the user's personal space by default.
 *   Use these tools whenever the user explicitly asks you to remember something or if they reveal information that you believe should be retained for future conversations.`;
 
 const MEMORY_AWARENESS_NO_TOOLS = `### Memory Awareness
 *   You have a global memory system that remembers important facts about the user across conversations.
 *   Memories are categorized as either **global** (always relevant) or **local** (contextually relevant):
   - **Global memories**: Style preferences, basic user information - always included in context
-  - **Local memories**: Specific facts filtered by semantic relevance to the current query
+  - **Local memories**: Specific facts filtered by relevance (meaning and keywords) to the current query
 *   Only memories relevant to the current conversation are automatically included to optimize context usage.
 *   **Note**: You cannot modify memories yourself. If the user asks you to remember something, politely inform them that you can see their memories but cannot modify them directly.`;
 
@@ -74,6 +76,48 @@ const TABLE_LIMITATION_GUIDELINES = `### Table Usage Guidelines
 
 // --- PROMPT ASSEMBLY FUNCTION ---
 
+/**
+ * Orders memory facts for the prompt: global (always relevant) facts first, then
+ * by descending similarity score, with unscored facts last.
+ * @param {Array<string|{fact: string, score: number|null, global: boolean}>} memoryFacts
+ * @returns {Array} A sorted copy.
+ */
+function sortByRelevance(memoryFacts) {
+  const rank = (item) => {
+    if (typeof item === "string") return -1;
+    if (item.global) return Number.MAX_VALUE;
+    return item.score ?? -1;
+  };
+  return [...memoryFacts].sort((a, b) => rank(b) - rank(a));
+}
+
+/**
+ * Formats a memory fact for the prompt, naming its space when it's a project space.
+ * @param {string|{fact: string, space?: string}} item
+ * @param {Array<{id: string, name: string}>} memorySpaces
+ * @returns {string}
+ */
+function formatMemoryFact(item, memorySpaces) {
+  if (typeof item === "string") return item;
+  const space = memorySpaces.find((space) => space.id === item.space);
+  return space && space !== memorySpaces[0] ? `${item.fact} (${space.name})` : item.fact;
+}
+
+/**
+ * Describes the memory spaces of the conversation when project spaces are attached to it.
+ * @param {Array<{id: string, name: string}>} memorySpaces - Active spaces, the personal space first
+ * @param {boolean} hasToolUse - Whether the model manages memory through tools
+ * @returns {string}
+ */
+function describeMemorySpaces(memorySpaces, hasToolUse) {
+  const projects = memorySpaces.slice(1).map((space) => `"${space.name}"`).join(", ");
+  let description = `*   This conversation uses the project memory spaces ${projects} alongside the personal space "${memorySpaces[0].name}". Facts from a project space are marked with its name.`;
+  if (hasToolUse) {
+    description += " Add facts about a project to its space and facts about the user to the personal space.";
+  }
+  return description;
+}
+
 /**
  * Generates a customized system prompt by assembling modular sections.
  * @param {string[]} [toolNames=[]] - Array of available tool names.
@@ -83,9 +127,12 @@ const TABLE_LIMITATION_GUIDELINES = `### Table Usage Guidelines
  * @param {string} [settings.custom_instructions] - Custom instructions from the user.
  * @param {string} [settings.selected_model_id] - The selected model ID.
  * @param {boolean} [settings.gpt_oss_limit_tables] - Whether to limit table usage for GPT-OSS models.
- * @param {string[]} [memoryFacts=[]] - Array of memory facts about the user.
+ * @param {Array<string|{fact: string, score: number|null, global: boolean}>} [memoryFacts=[]] - Memory facts
+ *   about the user, as returned by findRelevantMemories.
  * @param {boolean} [isIncognito=false] - Whether incognito mode is enabled.
  * @param {boolean} [hasToolUse=true] - Whether the model supports tool use.
+ * @param {Array<{id: string, name: string}>} [memorySpaces=[]] - Memory spaces active in the
+ *   conversation, the personal space first.
  * @returns {string} The final, complete system prompt.
  **/
 export async function generateSystemPrompt(
@@ -93,10 +140,11 @@ export async function generateSystemPrompt(
   settings = {},
   memoryFacts = [],
   isIncognito = false,
-  hasToolUse = true
+  hasToolUse = true,
+  memorySpaces = []
 ) {
   // Start with the core identity and main principles.
-  const promptSections = [CORE_IDENTITY];
+  const promptSections = [coreIdentity()];
 
   const {
     user_name,
@@ -126,9 +174,9 @@ export async function generateSystemPrompt(
   // Add memory facts if memory is enabled and there are facts
   if (global_memory_enabled && memoryFacts.length > 0) {
     const memorySection = `### User Memory
-The following are facts about the user generated from the user's other conversations:
+The following are facts about the user generated from the user's other conversations, most relevant first:
 <context>
-${memoryFacts.map((fact) => `- ${fact}`).join("\\n")}
+${sortByRelevance(memoryFacts).map((item) => `- ${formatMemoryFact(item, memorySpaces)}`).join("\\n")}
 </context>`;
     promptSections.push(memorySection);
   }
@@ -158,7 +206,11 @@ ${memoryFacts.map((fact) => `- ${fact}`).join("\\n")}
   // Add memory awareness if enabled and not in incognito mode
   if (global_memory_enabled && !isIncognito) {
     // Use the appropriate memory awareness section based on tool use capability
-    promptSections.push(hasToolUse ? MEMORY_AWARENESS : MEMORY_AWARENESS_NO_TOOLS);
+    let memoryAwareness = hasToolUse ? MEMORY_AWARENESS : MEMORY_AWARENESS_NO_TOOLS;
+    if (memorySpaces.length > 1) {
+      memoryAwareness += `\\n${describeMemorySpaces(memorySpaces, hasToolUse)}`;
+    }
+    promptSections.push(memoryAwareness);
   }
 
   // **Tools Section (Conditional)**
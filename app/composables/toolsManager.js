@@ -4,7 +4,89 @@
  */
 
 // Import necessary functions
-import { addMemory, modifyMemory, deleteMemory, listMemory } from './memory';
+import { addMemory, modifyMemory, deleteMemory, listMemory, listMemoryItems, findSimilarMemory } from './memory';
+import { proposeMemoryChange } from './memoryReview';
+import { listSpaces, findSpace, getActiveSpaces } from './memorySpaces';
+import { useSettings } from './useSettings';
+import {
+  SEARCH_TOOL_SCHEMA,
+  READ_PAGE_TOOL_SCHEMA,
+  toSearchOptions,
+  formatSearchResults,
+  toReadPageOptions,
+  formatPageResult
+} from './webTools';
+
+/**
+ * Whether memory changes from the model wait for the user's approval
+ */
+function isMemoryReviewEnabled() {
+  return useSettings().settings.memory_review_enabled === true;
+}
+
+// Tool result for a change that was queued instead of applied
+function pendingResult(proposal, description) {
+  return {
+    success: true,
+    pending: true,
+    proposalId: proposal.id,
+    message: `Proposed ${description}. The user reviews memory changes, so it is saved only if they accept it.`
+  };
+}
+
+/**
+ * Resolves the memory spaces of a tool call: the ones active in the calling conversation,
+ * and the one named by the optional `space` argument, which must be among them
+ * @param {string} [spaceArg] - Space name (or ID) given by the model
+ * @param {{conversationId: string, messageId: string}|null} source - Message making the call
+ * @returns {Promise<{active: Array<import('./memorySpaces').MemorySpace>, space: import('./memorySpaces').MemorySpace|null}>}
+ */
+async function resolveMemorySpaces(spaceArg, source) {
+  const activeIds = await getActiveSpaces(source?.conversationId);
+  const active = (await listSpaces()).filter(space => activeIds.includes(space.id));
+  if (!spaceArg) {
+    return { active, space: null };
+  }
+  const space = await findSpace(spaceArg);
+  if (!space || !activeIds.includes(space.id)) {
+    throw new Error(`Memory space "${spaceArg}" isn't available in this conversation. Available spaces: ${active.map(item => `"${item.name}"`).join(', ')}`);
+  }
+  return { active, space };
+}
+
+// Finds a stored fact the conversation may change, i.e. one in an active space
+async function findActiveMemory(fact, active) {
+  const item = (await listMemoryItems()).find(item => item.fact === fact.trim());
+  return item && active.some(space => space.id === item.space) ? item : null;
+}
+
+// Tool result for a fact that isn't in any space active in the conversation
+function notFoundResult(fact) {
+  return { success: false, message: `No stored fact "${fact}" in the memory spaces of this conversation. Use listMemory to see them.` };
+}
+
+// Tool result for a fact that wasn't added because memory already holds it or something
+// close to it, pointing the model at the stored fact so it updates that one instead
+async function similarResult(fact, similar) {
+  if (similar.fact === fact.trim()) {
+    const space = await findSpace(similar.space);
+    return {
+      success: true,
+      duplicate: true,
+      existingFact: similar.fact,
+      message: `Already remembered in the "${space?.name || similar.space}" space: "${similar.fact}"`
+    };
+  }
+  return {
+    success: false,
+    conflict: true,
+    existingFact: similar.fact,
+    similarity: Math.round(similar.similarity * 100) / 100,
+    message: `Not added: "${fact}" is too similar to the stored fact "${similar.fact}". ` +
+      `Use modifyMemory with oldFact "${similar.fact}" to update it (keeping any details from both), ` +
+      `or call addMemory again with allowSimilar=true if it is a genuinely different fact.`
+  };
+}
 
 class ToolManager {
   constructor() {
@@ -16,6 +98,8 @@ class ToolManager {
    * Register a new tool
    * @param {string} name - The tool name
    * @param {Function} executor - Function that executes the tool with parameters
+   *   `(args, messageHistory, source)`, where `source` is `{ conversationId, messageId }`
+   *   of the message making the call (null in incognito)
    * @param {Object} schema - Tool schema definition in OpenAI format
    */
   registerTool(name, executor, schema) {
@@ -88,17 +172,31 @@ class ToolManager {
     // Memory tools
     this.registerTool(
       'listMemory',
-      async () => {
-        return await listMemory();
+      async (args = {}, messageHistory = [], source = null) => {
+        const { active, space } = await resolveMemorySpaces(args.space, source);
+        if (space || active.length === 1) {
+          return await listMemory([(space || active[0]).id]);
+        }
+        // Grouped by space when the conversation has project spaces attached
+        const grouped = {};
+        for (const item of active) {
+          grouped[item.name] = await listMemory([item.id]);
+        }
+        return grouped;
       },
       {
         type: "function",
         function: {
           name: "listMemory",
-          description: "Retrieve all stored memory facts",
+          description: "Retrieve the stored memory facts in the memory spaces of this conversation, grouped by space when there are several",
           parameters: {
             type: "object",
-            properties: {},
+            properties: {
+              space: {
+                type: "string",
+                description: "Name of a memory space to list. Defaults to every space of this conversation."
+              }
+            },
           }
         }
       }
@@ -106,13 +204,36 @@ class ToolManager {
 
     this.registerTool(
       'addMemory',
-      async (args, messageHistory = []) => {
+      async (args, messageHistory = [], source = null) => {
         if (!args.fact) {
           throw new Error('addMemory tool requires a "fact" argument');
         }
-        await addMemory(args.fact, args.isGlobal || false, messageHistory);
+        const { active, space: target } = await resolveMemorySpaces(args.space, source);
+        const space = target || active[0];
         const memoryType = args.isGlobal ? 'global' : 'local';
-        return { success: true, message: `Added ${memoryType} fact: "${args.fact}"` };
+        const allowSimilar = args.allowSimilar === true;
+        if (isMemoryReviewEnabled()) {
+          // Catch duplicates before they reach the user's review queue
+          const similar = allowSimilar ? null : await findSimilarMemory(args.fact, messageHistory, space.id);
+          if (similar) {
+            return await similarResult(args.fact, similar);
+          }
+          const proposal = await proposeMemoryChange({
+            action: 'add',
+            fact: args.fact,
+            isGlobal: args.isGlobal || false,
+            space: space.id
+          }, source);
+          return pendingResult(proposal, `adding ${memoryType} fact to "${space.name}": "${args.fact}"`);
+        }
+        const result = await addMemory(args.fact, args.isGlobal || false, messageHistory, source, {
+          allowSimilar,
+          space: space.id
+        });
+        if (!result.added && result.similar) {
+          return await similarResult(args.fact, result.similar);
+        }
+        return { success: true, message: `Added ${memoryType} fact to "${space.name}": "${args.fact}"` };
       },
       {
         type: "function",
@@ -129,6 +250,14 @@ class ToolManager {
               isGlobal: {
                 type: "boolean",
                 description: "Whether this is a global memory (always included) or local memory (filtered by relevance). Defaults to false."
+              },
+              allowSimilar: {
+                type: "boolean",
+                description: "Add the fact even though a similar one is stored. Only use after addMemory reported a similar fact that is genuinely different. Defaults to false."
+              },
+              space: {
+                type: "string",
+                description: "Name of the memory space to add the fact to. Use a project space for facts about that project. Defaults to the personal space."
               }
             },
             required: ["fact"]
@@ -139,11 +268,25 @@ class ToolManager {
 
     this.registerTool(
       'modifyMemory',
-      async (args, messageHistory = []) => {
+      async (args, messageHistory = [], source = null) => {
         if (!args.oldFact || !args.newFact) {
           throw new Error('modifyMemory tool requires "oldFact" and "newFact" arguments');
         }
-        await modifyMemory(args.oldFact, args.newFact, args.isGlobal, messageHistory);
+        const { active, space } = await resolveMemorySpaces(args.space, source);
+        if (!(await findActiveMemory(args.oldFact, active))) {
+          return notFoundResult(args.oldFact);
+        }
+        if (isMemoryReviewEnabled()) {
+          const proposal = await proposeMemoryChange({
+            action: 'modify',
+            oldFact: args.oldFact,
+            newFact: args.newFact,
+            isGlobal: args.isGlobal,
+            space: space?.id
+          }, source);
+          return pendingResult(proposal, `changing "${args.oldFact}" -> "${args.newFact}"`);
+        }
+        await modifyMemory(args.oldFact, args.newFact, args.isGlobal, messageHistory, source, { space: space?.id });
         return {
           success: true,
           message: `Modified fact: "${args.oldFact}" -> "${args.newFact}"`
@@ -153,7 +296,7 @@ class ToolManager {
         type: "function",
         function: {
           name: "modifyMemory",
-          description: "Update an existing fact in memory. Optionally change whether it's a global or local memory.",
+          description: "Update an existing fact in memory. Optionally change whether it's a global or local memory, or move it to another memory space.",
           parameters: {
             type: "object",
             properties: {
@@ -168,6 +311,10 @@ class ToolManager {
               isGlobal: {
                 type: "boolean",
                 description: "Whether this should be a global memory (always included) or local memory (filtered by relevance). If not specified, preserves the current setting."
+              },
+              space: {
+                type: "string",
+                description: "Name of the memory space to move the fact to. If not specified, the fact stays in its current space."
               }
             },
             required: ["oldFact", "newFact"]
@@ -178,10 +325,18 @@ class ToolManager {
 
     this.registerTool(
       'deleteMemory',
-      async (args) => {
+      async (args, messageHistory = [], source = null) => {
         if (!args.fact) {
           throw new Error('deleteMemory tool requires a "fact" argument');
         }
+        const { active, space } = await resolveMemorySpaces(args.space, source);
+        if (!(await findActiveMemory(args.fact, space ? [space] : active))) {
+          return notFoundResult(args.fact);
+        }
+        if (isMemoryReviewEnabled()) {
+          const proposal = await proposeMemoryChange({ action: 'delete', fact: args.fact }, source);
+          return pendingResult(proposal, `deleting fact: "${args.fact}"`);
+        }
         await deleteMemory(args.fact);
         return { success: true, message: `Deleted fact: "${args.fact}"` };
       },
@@ -196,6 +351,10 @@ class ToolManager {
               fact: {
                 type: "string",
                 description: "The fact to delete from memory"
+              },
+              space: {
+                type: "string",
+                description: "Name of the memory space holding the fact. Defaults to any space of this conversation."
               }
             },
             required: ["fact"]
@@ -208,19 +367,25 @@ class ToolManager {
     this.registerTool(
       'search',
       async (args) => {
-        if (!args.q) {
-          throw new Error('Search tool requires a "q" (query) argument');
-        }
+        const options = toSearchOptions(args);
 
         try {
           const params = new URLSearchParams({
-            q: args.q,
-            count: args.count || 5, // Default to 5 results for AI to avoid context bloat
-            safesearch: args.safesearch || 'moderate',
+            q: options.q,
+            vertical: options.vertical,
+            count: options.count,
+            offset: options.offset,
+            safesearch: options.safesearch,
           });
 
-          if (args.freshness) {
-            params.append('freshness', args.freshness);
+          if (options.freshness) {
+            params.append('freshness', options.freshness);
+          }
+          if (options.includeDomains?.length) {
+            params.append('include_domains', [].concat(options.includeDomains).join(','));
+          }
+          if (options.excludeDomains?.length) {
+            params.append('exclude_domains', [].concat(options.excludeDomains).join(','));
           }
 
           const response = await fetch(`/api/search?${params.toString()}`);
@@ -228,57 +393,42 @@ class ToolManager {
             throw new Error(`Search request failed with status ${response.status}`);
           }
 
-          const data = await response.json();
-
-          // Format results for the AI
-          if (!data.web || !data.web.results || data.web.results.length === 0) {
-            return {
-              results: [],
-              message: "No results found for query."
-            };
-          }
-
-          return {
-            results: data.web.results.map(r => ({
-              title: r.title,
-              url: r.url,
-              description: r.description,
-              date: r.age // Some results might have age/date
-            })),
-            query: args.q
-          };
+          return formatSearchResults(await response.json(), options.q);
 
         } catch (error) {
           console.error("Search tool error:", error);
           throw error;
         }
       },
-      {
-        type: "function",
-        function: {
-          name: "search",
-          description: "Search the web for current information, news, or specific topics. Use this when you need information beyond your knowledge cutoff.",
-          parameters: {
-            type: "object",
-            properties: {
-              q: {
-                type: "string",
-                description: "The search query"
-              },
-              count: {
-                type: "integer",
-                description: "Number of results to return (default 5, max 10)",
-                maximum: 10
-              },
-              freshness: {
-                type: "string",
-                description: "Filter by time: 'pd' (24h), 'pw' (7d), 'pm' (31d), 'py' (365d). Use if user asks for 'recent' or 'latest' news."
-              }
-            },
-            required: ["q"]
+      SEARCH_TOOL_SCHEMA
+    );
+
+    // Read Page Tool
+    this.registerTool(
+      'readPage',
+      async (args) => {
+        const options = toReadPageOptions(args);
+
+        try {
+          const params = new URLSearchParams({ url: options.url });
+          if (options.maxLength) {
+            params.append('max_length', options.maxLength);
           }
+
+          const response = await fetch(`/api/fetch?${params.toString()}`);
+          if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.statusMessage || data.message || `Fetch request failed with status ${response.status}`);
+          }
+
+          return formatPageResult(await response.json());
+
+        } catch (error) {
+          console.error("Read page tool error:", error);
+          throw error;
         }
-      }
+      },
+      READ_PAGE_TOOL_SCHEMA
     );
   }
 }
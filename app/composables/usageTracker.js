@@ -0,0 +1,201 @@
+/**
+ * @file usageTracker.js
+ * @description Local ledger of token usage and cost per model, aggregated by day.
+ * Only counts are stored (no message content), so usage is recorded in incognito mode too.
+ * Every request to /api/ai records its usage here: chat replies, deep research steps,
+ * conversation titles and memory consolidation. Days older than RETENTION_MONTHS are dropped.
+ */
+
+import localforage from "localforage";
+import { findCatalogModel } from "./modelCatalog";
+
+// Define the key used for storing the usage ledger in localforage
+const USAGE_STORAGE_KEY = "usage_ledger";
+
+// Months of daily entries kept, counting the current one
+const RETENTION_MONTHS = 3;
+
+// Pending ledger updates, so concurrent requests don't overwrite each other's counts
+let ledgerQueue = Promise.resolve();
+
+/**
+ * Runs a ledger update after the ones already pending
+ * @param {Function} task - Async read-modify-write of the ledger
+ * @returns {Promise<any>}
+ */
+function withLedgerQueue(task) {
+  const current = ledgerQueue.then(task, task);
+  ledgerQueue = current.catch(() => {});
+  return current;
+}
+
+/**
+ * Local date key (YYYY-MM-DD) for grouping usage by day
+ * @param {Date} date
+ * @returns {string}
+ */
+function getDayKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Oldest day key kept in the ledger
+ * @param {Date} date
+ * @returns {string}
+ */
+function getCutoffDayKey(date = new Date()) {
+  return getDayKey(new Date(date.getFullYear(), date.getMonth() - (RETENTION_MONTHS - 1), 1));
+}
+
+/**
+ * Estimates the cost of a request in USD.
+ * Prefers the cost reported by the upstream (OpenRouter usage accounting), and falls back
+ * to the model's `pricing` metadata ({ prompt, completion } in USD per million tokens).
+ * @param {string} modelId - The model used
+ * @param {Object} usage - Usage object with prompt_tokens, completion_tokens and optional cost
+ * @returns {number|null} Cost in USD, or null if it can't be estimated
+ */
+export function estimateCost(modelId, usage) {
+  if (typeof usage?.cost === "number") {
+    return usage.cost;
+  }
+
+  const pricing = findCatalogModel(modelId)?.pricing;
+  if (!pricing) return null;
+
+  return (
+    ((usage.prompt_tokens || 0) * (pricing.prompt || 0) +
+      (usage.completion_tokens || 0) * (pricing.completion || 0)) /
+    1_000_000
+  );
+}
+
+/**
+ * Adds one request's usage to today's ledger entry for the model.
+ * @param {string} modelId - The model used
+ * @param {Object} usage - Usage object with prompt_tokens, completion_tokens and optional cost
+ * @returns {Promise<void>}
+ */
+export function recordUsage(modelId, usage) {
+  if (!modelId || !usage) return Promise.resolve();
+
+  return withLedgerQueue(async () => {
+    const ledger = (await localforage.getItem(USAGE_STORAGE_KEY)) || {};
+    const dayKey = getDayKey();
+
+    // Drop days past the retention window
+    const cutoff = getCutoffDayKey();
+    for (const oldKey of Object.keys(ledger)) {
+      if (oldKey < cutoff) delete ledger[oldKey];
+    }
+
+    const day = (ledger[dayKey] ||= {});
+    const entry = (day[modelId] ||= {
+      requests: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      cost: 0,
+      hasUnknownCost: false,
+    });
+
+    const cost = estimateCost(modelId, usage);
+
+    entry.requests++;
+    entry.promptTokens += usage.prompt_tokens || 0;
+    entry.completionTokens += usage.completion_tokens || 0;
+    if (cost === null) {
+      entry.hasUnknownCost = true;
+    } else {
+      entry.cost += cost;
+    }
+
+    await localforage.setItem(USAGE_STORAGE_KEY, ledger);
+  }).catch((err) => {
+    console.error("Error recording usage:", err);
+  });
+}
+
+/**
+ * Sums ledger days into per-model rows and totals.
+ * @param {Array<Object>} days - Ledger day entries ({ modelId: entry })
+ * @returns {{ models: Array<Object>, totals: Object }}
+ */
+function summarize(days) {
+  const byModel = {};
+
+  for (const day of days) {
+    for (const [modelId, entry] of Object.entries(day)) {
+      const row = (byModel[modelId] ||= {
+        modelId,
+        modelName: findCatalogModel(modelId)?.name || modelId,
+        requests: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        cost: 0,
+        hasUnknownCost: false,
+      });
+      row.requests += entry.requests;
+      row.promptTokens += entry.promptTokens;
+      row.completionTokens += entry.completionTokens;
+      row.cost += entry.cost;
+      row.hasUnknownCost ||= entry.hasUnknownCost;
+    }
+  }
+
+  const models = Object.values(byModel).sort(
+    (a, b) => b.promptTokens + b.completionTokens - (a.promptTokens + a.completionTokens)
+  );
+
+  const totals = models.reduce(
+    (acc, row) => ({
+      requests: acc.requests + row.requests,
+      promptTokens: acc.promptTokens + row.promptTokens,
+      completionTokens: acc.completionTokens + row.completionTokens,
+      cost: acc.cost + row.cost,
+      hasUnknownCost: acc.hasUnknownCost || row.hasUnknownCost,
+    }),
+    { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0, hasUnknownCost: false }
+  );
+
+  return { models, totals };
+}
+
+/**
+ * Gets today's and this month's usage per model.
+ * @returns {Promise<{ today: Object, month: Object }>}
+ */
+export async function getUsageSummary() {
+  let ledger = {};
+  try {
+    ledger = (await localforage.getItem(USAGE_STORAGE_KEY)) || {};
+  } catch (err) {
+    console.error("Error loading usage ledger:", err);
+  }
+
+  const todayKey = getDayKey();
+  const monthPrefix = todayKey.slice(0, 7);
+
+  return {
+    today: summarize(ledger[todayKey] ? [ledger[todayKey]] : []),
+    month: summarize(
+      Object.entries(ledger)
+        .filter(([dayKey]) => dayKey.startsWith(monthPrefix))
+        .map(([, day]) => day)
+    ),
+  };
+}
+
+/**
+ * Clears the usage ledger.
+ * @returns {Promise<void>}
+ */
+export async function clearUsage() {
+  try {
+    await withLedgerQueue(() => localforage.removeItem(USAGE_STORAGE_KEY));
+  } catch (err) {
+    console.error("Error clearing usage ledger:", err);
+    throw new Error("Error clearing usage ledger: " + err);
+  }
+}
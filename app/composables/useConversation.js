@@ -40,7 +40,8 @@ export function useConversation() {
     changeConversation,
     deleteConversation,
     newConversation,
-    toggleIncognito
+    toggleIncognito,
+    showMessage
   } = messagesManager;
 
   // Set up dynamic page title based on conversation
@@ -59,11 +60,19 @@ export function useConversation() {
     ]
   });
 
+  // Links to a message (e.g. a memory's source) use "?message=<id>"
+  async function revealLinkedMessage() {
+    if (route.query.message) {
+      await showMessage(String(route.query.message));
+    }
+  }
+
   // Initialize the conversation based on route parameters
   onMounted(async () => {
     if (route.params.id) {
       // Load specific conversation
       await changeConversation(route.params.id);
+      await revealLinkedMessage();
     } else if (route.path === '/' || route.path === '/new') {
       // Create new conversation (for both root and new routes)
       await newConversation();
@@ -80,6 +89,17 @@ export function useConversation() {
       } else if (newId && newId !== oldId) {
         // Navigating to a different conversation ID
         await changeConversation(newId);
+        await revealLinkedMessage();
+      }
+    }
+  );
+
+  // A message link within the already open conversation
+  watch(
+    () => route.query.message,
+    async (newMessage, oldMessage) => {
+      if (newMessage && newMessage !== oldMessage && route.params.id === currConvo.value) {
+        await revealLinkedMessage();
       }
     }
   );
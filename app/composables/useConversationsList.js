@@ -2,6 +2,7 @@ import { ref, computed, onMounted, onBeforeUnmount } from "vue";
 import localforage from "localforage";
 import { emitter } from "./emitter";
 import { deleteConversation as deleteConv } from "./storeConversations";
+import { listMemoriesFromConversation, deleteMemoriesFromConversation } from "./memory";
 
 /**
  * Groups conversations by time periods
@@ -158,9 +159,19 @@ export function useConversationsList() {
     }
   }
 
-  // Delete conversation
+  // Delete conversation, offering to delete the memories it created as well
   async function handleDelete(id) {
     try {
+      const facts = await listMemoriesFromConversation(id);
+      if (facts.length > 0) {
+        const preview = facts.slice(0, 5).map((fact) => `• ${fact}`).join("\n");
+        const more = facts.length > 5 ? `\n…and ${facts.length - 5} more` : "";
+        const count = facts.length === 1 ? "1 memory" : `${facts.length} memories`;
+        if (confirm(`This conversation created ${count}:\n\n${preview}${more}\n\nDelete ${facts.length === 1 ? "it" : "them"} too?`)) {
+          await deleteMemoriesFromConversation(id);
+        }
+      }
+
       await deleteConv(id);
       await updateConversations();
     } catch (error) {
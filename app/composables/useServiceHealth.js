@@ -0,0 +1,129 @@
+/**
+ * @file useServiceHealth.js
+ * @description Shared, background-polled health of the AI providers.
+ * The layout starts polling once; components read the cached status reactively and
+ * `message.js` checks it synchronously before sending, so no request waits on a health check.
+ * Each model is judged by the health of the provider serving it, so an outage of one
+ * provider doesn't block models on another.
+ */
+
+import { ref, computed, toValue } from "vue";
+
+// Poll interval while the tab is visible; the server caches for a shorter TTL
+const POLL_INTERVAL_MS = 60000;
+
+// Latest snapshot from /api/api_health, null until the first check completes
+const health = ref(null);
+const isChecking = ref(false);
+
+let pollTimer = null;
+let subscribers = 0;
+
+/**
+ * Fetches the latest health snapshot. Failures keep the previous snapshot,
+ * since the health endpoint being unreachable doesn't mean the AI service is.
+ * @returns {Promise<Object|null>}
+ */
+export async function refreshHealth() {
+  if (isChecking.value) return health.value;
+
+  isChecking.value = true;
+  try {
+    const response = await fetch("/api/api_health");
+    if (response.ok) {
+      health.value = await response.json();
+    }
+  } catch (error) {
+    console.error("Health check failed:", error);
+  } finally {
+    isChecking.value = false;
+  }
+  return health.value;
+}
+
+/**
+ * Picks the health of the provider serving a model: the one with the longest matching
+ * model prefix, or the default provider (the snapshot's top level) for unprefixed IDs
+ * @param {Object|null} snapshot - Snapshot from /api/api_health
+ * @param {string} [modelId] - Model ID; omit for the default provider
+ * @returns {Object|null}
+ */
+function getProviderHealth(snapshot, modelId) {
+  if (!snapshot || !modelId) return snapshot;
+
+  const provider = (snapshot.providers || [])
+    .filter((item) => item.prefix && modelId.startsWith(item.prefix))
+    .sort((a, b) => b.prefix.length - a.prefix.length)[0];
+
+  return provider ? { ...provider, checkedAt: snapshot.checkedAt, ttl: snapshot.ttl } : snapshot;
+}
+
+/**
+ * Gets the cached snapshot without triggering a check
+ * @param {string} [modelId] - Model ID, to get the health of the provider serving it
+ * @returns {Object|null}
+ */
+export function getCachedHealth(modelId) {
+  return getProviderHealth(health.value, modelId);
+}
+
+function handleVisibilityChange() {
+  if (document.visibilityState === "visible") {
+    refreshHealth();
+    schedulePolling();
+  } else {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+function schedulePolling() {
+  clearInterval(pollTimer);
+  pollTimer = setInterval(refreshHealth, POLL_INTERVAL_MS);
+}
+
+/**
+ * Starts background polling (paused while the tab is hidden).
+ * Safe to call from several components; polling stops when the last one stops.
+ */
+export function startHealthPolling() {
+  subscribers++;
+  if (subscribers > 1) return;
+
+  refreshHealth();
+  schedulePolling();
+  document.addEventListener("visibilitychange", handleVisibilityChange);
+}
+
+/**
+ * Stops background polling started with startHealthPolling
+ */
+export function stopHealthPolling() {
+  subscribers = Math.max(0, subscribers - 1);
+  if (subscribers > 0) return;
+
+  clearInterval(pollTimer);
+  pollTimer = null;
+  document.removeEventListener("visibilitychange", handleVisibilityChange);
+}
+
+/**
+ * Composable exposing the shared health state
+ * @param {import("vue").MaybeRefOrGetter<string>} [modelId] - Model whose provider to report on;
+ *   the default provider when omitted
+ * @returns {Object} Reactive health state and helpers
+ */
+export function useServiceHealth(modelId) {
+  const providerHealth = computed(() => getProviderHealth(health.value, toValue(modelId)));
+  // 'unknown' until the first check completes
+  const status = computed(() => providerHealth.value?.status || "unknown");
+  const isDown = computed(() => status.value === "down");
+
+  return {
+    health: providerHealth,
+    status,
+    isDown,
+    isChecking,
+    refreshHealth,
+  };
+}
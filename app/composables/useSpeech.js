@@ -0,0 +1,303 @@
+/**
+ * @file useSpeech.js
+ * @description Read-aloud for assistant messages. Speech comes from `/api/speech` when the
+ * server has a TTS model, and from the browser's speechSynthesis otherwise (or when the
+ * server request fails). Only one message plays at a time, so playback state is shared.
+ */
+
+import { ref } from "vue";
+import { useSettings } from "./useSettings";
+import { getSpeechText, splitSpeechText } from "../utils/speechText";
+
+const SPEECH_ENDPOINT = "/api/speech";
+
+// Browsers cut long utterances short, so speechSynthesis gets smaller pieces
+const BROWSER_CHUNK_LENGTH = 300;
+
+// ID of the message being read, and 'idle' | 'loading' | 'playing' | 'paused'
+const speakingMessageId = ref(null);
+const playbackState = ref("idle");
+// Last failure as { messageId, message }
+const speechError = ref(null);
+
+// The current playback; stopped playback is flagged so its pending work bails out
+let session = null;
+let availabilityPromise = null;
+
+/**
+ * Asks the server whether it can synthesize speech
+ * @returns {Promise<{ available: boolean, voices: string[] }>}
+ */
+function getServerSpeech() {
+  availabilityPromise ||= fetch(SPEECH_ENDPOINT)
+    .then((response) => (response.ok ? response.json() : { available: false, voices: [] }))
+    .catch(() => ({ available: false, voices: [] }));
+  return availabilityPromise;
+}
+
+function hasBrowserSpeech() {
+  return typeof window !== "undefined" && "speechSynthesis" in window;
+}
+
+/**
+ * Browser voices, which some browsers only populate after `voiceschanged`
+ * @returns {Promise<SpeechSynthesisVoice[]>}
+ */
+function getBrowserVoices() {
+  if (!hasBrowserSpeech()) return Promise.resolve([]);
+
+  const voices = window.speechSynthesis.getVoices();
+  if (voices.length > 0) return Promise.resolve(voices);
+
+  return new Promise((resolve) => {
+    const done = () => {
+      window.speechSynthesis.removeEventListener("voiceschanged", done);
+      resolve(window.speechSynthesis.getVoices());
+    };
+    window.speechSynthesis.addEventListener("voiceschanged", done);
+    setTimeout(done, 1000);
+  });
+}
+
+/**
+ * Lists the voices read-aloud can use: the server's when it has a TTS model,
+ * otherwise the browser's
+ * @returns {Promise<Array<{ id: string, label: string }>>}
+ */
+export async function listSpeechVoices() {
+  const server = await getServerSpeech();
+  if (server.available) {
+    return server.voices.map((voice) => ({
+      id: voice,
+      label: voice.charAt(0).toUpperCase() + voice.slice(1),
+    }));
+  }
+
+  const voices = await getBrowserVoices();
+  return voices.map((voice) => ({ id: voice.voiceURI, label: `${voice.name} (${voice.lang})` }));
+}
+
+/**
+ * Fetches one chunk of audio from the server
+ * @param {string} input - Text to speak
+ * @param {Object} settings - Current settings
+ * @param {string[]} voices - Voices the server offers
+ * @returns {Promise<Blob>}
+ */
+async function fetchSpeech(input, settings, voices) {
+  const response = await fetch(SPEECH_ENDPOINT, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      input,
+      speed: settings.tts_speed,
+      // A browser voice saved earlier means nothing to the server
+      ...(voices.includes(settings.tts_voice) && { voice: settings.tts_voice }),
+      ...(settings.custom_api_key && { customApiKey: settings.custom_api_key }),
+    }),
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error?.message || `HTTP ${response.status}`);
+  }
+  return response.blob();
+}
+
+/**
+ * Plays an audio blob to the end (or until playback is stopped)
+ * @param {Object} current - The playback session
+ * @param {Blob} blob - Audio data
+ * @returns {Promise<void>}
+ */
+function playAudio(current, blob) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const audio = new Audio(url);
+    const finish = (error) => {
+      URL.revokeObjectURL(url);
+      current.audio = null;
+      current.finish = null;
+      if (error) reject(error);
+      else resolve();
+    };
+
+    current.audio = audio;
+    current.finish = () => {
+      audio.pause();
+      finish();
+    };
+    audio.onended = () => finish();
+    audio.onerror = () => finish(new Error("Couldn't play the audio"));
+    // Paused between chunks: resumeSpeaking() starts this one
+    if (playbackState.value === "paused") return;
+    audio.play()
+      .then(() => {
+        if (playbackState.value === "loading") playbackState.value = "playing";
+      })
+      .catch(finish);
+  });
+}
+
+/**
+ * Reads text through the server, fetching the next chunk while the current one plays
+ * @returns {Promise<boolean>} false if nothing could be played
+ */
+async function speakWithServer(current, text, settings, voices) {
+  const chunks = splitSpeechText(text);
+  let next = fetchSpeech(chunks[0], settings, voices);
+  let played = false;
+
+  for (let i = 0; i < chunks.length; i++) {
+    let blob;
+    try {
+      blob = await next;
+    } catch (error) {
+      // Before anything has played, the browser can take over
+      if (!played) return false;
+      throw error;
+    }
+    if (current.cancelled) return true;
+
+    next = i + 1 < chunks.length ? fetchSpeech(chunks[i + 1], settings, voices) : null;
+    // Don't leave a failed prefetch unhandled if playback stops first
+    next?.catch(() => {});
+
+    await playAudio(current, blob);
+    played = true;
+    if (current.cancelled) return true;
+  }
+  return true;
+}
+
+/**
+ * Reads text with the browser's speechSynthesis
+ * @returns {Promise<void>}
+ */
+async function speakWithBrowser(current, text, settings) {
+  if (!hasBrowserSpeech()) {
+    throw new Error("This browser can't read text aloud.");
+  }
+
+  const voices = await getBrowserVoices();
+  const voice = voices.find((item) => item.voiceURI === settings.tts_voice);
+  const chunks = splitSpeechText(text, BROWSER_CHUNK_LENGTH);
+  if (current.cancelled) return;
+
+  await new Promise((resolve, reject) => {
+    current.finish = () => {
+      window.speechSynthesis.cancel();
+      resolve();
+    };
+
+    chunks.forEach((chunk, index) => {
+      const utterance = new SpeechSynthesisUtterance(chunk);
+      if (voice) utterance.voice = voice;
+      utterance.rate = settings.tts_speed || 1;
+      utterance.onstart = () => {
+        if (playbackState.value === "loading") playbackState.value = "playing";
+      };
+      utterance.onerror = (event) => {
+        // Cancelling the queue reports 'interrupted' / 'canceled'
+        if (event.error === "interrupted" || event.error === "canceled") return resolve();
+        reject(new Error(`Speech synthesis failed: ${event.error}`));
+      };
+      if (index === chunks.length - 1) utterance.onend = () => resolve();
+      window.speechSynthesis.speak(utterance);
+    });
+  });
+}
+
+/**
+ * Stops whatever is being read
+ */
+export function stopSpeaking() {
+  if (!session) return;
+  session.cancelled = true;
+  session.finish?.();
+  if (hasBrowserSpeech()) window.speechSynthesis.cancel();
+  session = null;
+  speakingMessageId.value = null;
+  playbackState.value = "idle";
+}
+
+/**
+ * Reads an assistant message aloud, stopping any message already playing
+ * @param {Object} message - Assistant message with `parts`
+ */
+export async function speakMessage(message) {
+  stopSpeaking();
+  speechError.value = null;
+
+  const text = getSpeechText(message);
+  if (!text) return;
+
+  const current = { messageId: message.id, cancelled: false, audio: null, finish: null };
+  session = current;
+  speakingMessageId.value = message.id;
+  playbackState.value = "loading";
+
+  const { settings } = useSettings();
+  try {
+    const server = await getServerSpeech();
+    const spoken = server.available && !current.cancelled
+      && await speakWithServer(current, text, settings, server.voices);
+    if (!spoken && !current.cancelled) {
+      await speakWithBrowser(current, text, settings);
+    }
+  } catch (error) {
+    if (!current.cancelled) {
+      console.error("Error reading message aloud:", error);
+      speechError.value = { messageId: message.id, message: error.message };
+    }
+  } finally {
+    if (session === current) {
+      session = null;
+      speakingMessageId.value = null;
+      playbackState.value = "idle";
+    }
+  }
+}
+
+/**
+ * Pauses playback
+ */
+export function pauseSpeaking() {
+  if (!session || playbackState.value !== "playing") return;
+  if (session.audio) {
+    session.audio.pause();
+  } else if (hasBrowserSpeech()) {
+    window.speechSynthesis.pause();
+  }
+  playbackState.value = "paused";
+}
+
+/**
+ * Resumes paused playback
+ */
+export function resumeSpeaking() {
+  if (!session || playbackState.value !== "paused") return;
+  if (session.audio) {
+    session.audio.play().catch((error) => console.error("Error resuming audio:", error));
+  } else if (hasBrowserSpeech()) {
+    window.speechSynthesis.resume();
+  }
+  playbackState.value = "playing";
+}
+
+/**
+ * Composable exposing the shared read-aloud state
+ * @returns {Object} Reactive playback state and controls
+ */
+export function useSpeech() {
+  return {
+    speakingMessageId,
+    playbackState,
+    speechError,
+    speakMessage,
+    pauseSpeaking,
+    resumeSpeaking,
+    stopSpeaking,
+    listSpeechVoices,
+  };
+}
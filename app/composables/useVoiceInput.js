@@ -0,0 +1,313 @@
+/**
+ * @file useVoiceInput.js
+ * @description Voice input for the message form. Records the microphone and sends the
+ * audio to `/api/transcribe`; when the server has no transcription model configured it
+ * can fall back to the browser's Web Speech API (the `voice_input_fallback` setting).
+ * Either way, `level` follows the microphone volume for a live meter.
+ */
+
+import { ref } from "vue";
+import { useSettings } from "./useSettings";
+
+const TRANSCRIBE_ENDPOINT = "/api/transcribe";
+
+// Stop recording automatically after 5 minutes, well under the 25MB upload limit
+const MAX_RECORDING_MS = 5 * 60 * 1000;
+
+// Preferred recording formats, all accepted by Whisper-compatible endpoints
+const RECORDING_FORMATS = [
+  { mimeType: "audio/webm;codecs=opus", extension: "webm" },
+  { mimeType: "audio/webm", extension: "webm" },
+  { mimeType: "audio/mp4", extension: "m4a" },
+  { mimeType: "audio/ogg;codecs=opus", extension: "ogg" },
+];
+
+// Shared across form instances; the server's config doesn't change at runtime
+let availabilityPromise = null;
+
+/**
+ * Asks the server whether it can transcribe audio
+ * @returns {Promise<boolean>}
+ */
+function checkServerTranscription() {
+  availabilityPromise ||= fetch(TRANSCRIBE_ENDPOINT)
+    .then((response) => (response.ok ? response.json() : { available: false }))
+    .then((data) => data.available === true)
+    .catch(() => false);
+  return availabilityPromise;
+}
+
+function getSpeechRecognition() {
+  if (typeof window === "undefined") return null;
+  return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+}
+
+function getRecordingFormat() {
+  if (typeof MediaRecorder === "undefined") return null;
+  return RECORDING_FORMATS.find((format) => MediaRecorder.isTypeSupported(format.mimeType)) || { mimeType: "", extension: "webm" };
+}
+
+/**
+ * Composable for recording and transcribing voice input
+ * @param {Object} options
+ * @param {Function} options.onTranscript - Called with the transcribed text
+ * @returns {Object} Voice input state and methods
+ */
+export function useVoiceInput({ onTranscript } = {}) {
+  const settingsManager = useSettings();
+
+  const isRecording = ref(false);
+  const isTranscribing = ref(false);
+  const level = ref(0); // Microphone volume, 0-1
+  const mode = ref(null); // 'server' or 'browser' while recording
+  const error = ref(null);
+
+  let stream = null;
+  let audioContext = null;
+  let levelFrame = null;
+  let recorder = null;
+  let recognition = null;
+  let stopTimer = null;
+  // The current recording; its handlers can fire after it was cancelled and a new one started
+  let session = null;
+  let isStarting = false;
+
+  /**
+   * Drives `level` from the microphone stream
+   * @param {MediaStream} mediaStream
+   */
+  function startLevelMeter(mediaStream) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    audioContext = new AudioContextClass();
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = 512;
+    audioContext.createMediaStreamSource(mediaStream).connect(analyser);
+    const samples = new Uint8Array(analyser.fftSize);
+
+    const update = () => {
+      analyser.getByteTimeDomainData(samples);
+      let sum = 0;
+      for (const sample of samples) {
+        const value = (sample - 128) / 128;
+        sum += value * value;
+      }
+      // RMS of speech rarely passes ~0.3, so scale it up to fill the meter
+      level.value = Math.min(1, Math.sqrt(sum / samples.length) * 4);
+      levelFrame = requestAnimationFrame(update);
+    };
+    update();
+  }
+
+  /**
+   * Releases the microphone and resets recording state
+   */
+  function cleanup() {
+    clearTimeout(stopTimer);
+    stopTimer = null;
+    cancelAnimationFrame(levelFrame);
+    levelFrame = null;
+    audioContext?.close().catch(() => {});
+    audioContext = null;
+    stream?.getTracks().forEach((track) => track.stop());
+    stream = null;
+    recorder = null;
+    recognition = null;
+    session = null;
+    level.value = 0;
+    mode.value = null;
+    isRecording.value = false;
+  }
+
+  /**
+   * Uploads a recording to /api/transcribe
+   * @param {Blob} blob - The recorded audio
+   * @param {string} extension - File extension matching the recording format
+   */
+  async function transcribe(blob, extension) {
+    isTranscribing.value = true;
+    try {
+      const form = new FormData();
+      form.append("file", blob, `recording.${extension}`);
+      if (settingsManager.settings.custom_api_key) {
+        form.append("customApiKey", settingsManager.settings.custom_api_key);
+      }
+
+      const response = await fetch(TRANSCRIBE_ENDPOINT, { method: "POST", body: form });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error?.message || `HTTP ${response.status}`);
+      }
+
+      if (data.text) {
+        onTranscript?.(data.text);
+      } else {
+        error.value = "No speech was detected.";
+      }
+    } catch (err) {
+      console.error("Error transcribing recording:", err);
+      error.value = `Transcription failed: ${err.message}`;
+    } finally {
+      isTranscribing.value = false;
+    }
+  }
+
+  function startRecorder() {
+    const current = session;
+    const format = getRecordingFormat();
+    const chunks = [];
+
+    recorder = new MediaRecorder(stream, format.mimeType ? { mimeType: format.mimeType } : undefined);
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.onstop = () => {
+      const type = chunks[0]?.type || format.mimeType || "audio/webm";
+      if (session === current) cleanup();
+      if (current.cancelled || chunks.length === 0) return;
+      transcribe(new Blob(chunks, { type }), format.extension);
+    };
+    recorder.start();
+  }
+
+  /**
+   * @param {Function} SpeechRecognition - The browser's SpeechRecognition constructor
+   */
+  function startRecognition(SpeechRecognition) {
+    const current = session;
+    const transcript = [];
+
+    recognition = new SpeechRecognition();
+    recognition.continuous = true;
+    recognition.interimResults = false;
+    recognition.lang = navigator.language || "en-US";
+    recognition.onresult = (event) => {
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        if (event.results[i].isFinal) transcript.push(event.results[i][0].transcript.trim());
+      }
+    };
+    recognition.onerror = (event) => {
+      // 'aborted' comes from cancel(), 'no-speech' is reported below
+      if (current.cancelled || event.error === "aborted" || event.error === "no-speech") return;
+      error.value = event.error === "not-allowed"
+        ? "Microphone access was denied."
+        : `Speech recognition failed: ${event.error}`;
+    };
+    recognition.onend = () => {
+      if (session === current) cleanup();
+      if (current.cancelled) return;
+      const text = transcript.filter(Boolean).join(" ");
+      if (text) {
+        onTranscript?.(text);
+      } else if (!error.value) {
+        error.value = "No speech was detected.";
+      }
+    };
+    recognition.start();
+  }
+
+  /**
+   * Starts recording, using the server when it can transcribe and the browser otherwise
+   */
+  async function start() {
+    if (isStarting || isRecording.value || isTranscribing.value) return;
+    isStarting = true;
+    error.value = null;
+    try {
+      await startSession();
+    } finally {
+      isStarting = false;
+    }
+  }
+
+  async function startSession() {
+    const serverAvailable = await checkServerTranscription();
+    const SpeechRecognition = getSpeechRecognition();
+    const useBrowser = !serverAvailable && settingsManager.settings.voice_input_fallback !== false && SpeechRecognition;
+
+    if (!serverAvailable && !useBrowser) {
+      error.value = SpeechRecognition
+        ? "Voice input needs a transcription model on the server, or browser speech recognition enabled in Settings."
+        : "Voice input needs a transcription model on the server; this browser has no speech recognition to fall back to.";
+      return;
+    }
+    if (!navigator.mediaDevices?.getUserMedia || (!useBrowser && typeof MediaRecorder === "undefined")) {
+      error.value = "This browser can't record audio.";
+      return;
+    }
+
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+      error.value = err.name === "NotAllowedError"
+        ? "Microphone access was denied."
+        : "Couldn't access the microphone.";
+      return;
+    }
+
+    session = { cancelled: false };
+    try {
+      startLevelMeter(stream);
+      if (useBrowser) {
+        mode.value = "browser";
+        startRecognition(SpeechRecognition);
+      } else {
+        mode.value = "server";
+        startRecorder();
+      }
+    } catch (err) {
+      console.error("Error starting voice input:", err);
+      error.value = "Couldn't start recording.";
+      cleanup();
+      return;
+    }
+
+    isRecording.value = true;
+    stopTimer = setTimeout(stop, MAX_RECORDING_MS);
+  }
+
+  /**
+   * Stops recording and transcribes what was said
+   */
+  function stop() {
+    if (!isRecording.value) return;
+    if (recorder && recorder.state !== "inactive") {
+      recorder.stop();
+    } else if (recognition) {
+      recognition.stop();
+    } else {
+      cleanup();
+    }
+  }
+
+  /**
+   * Stops recording and discards it
+   */
+  function cancel() {
+    if (!session) return;
+    session.cancelled = true;
+    if (recorder && recorder.state !== "inactive") {
+      recorder.stop();
+    } else if (recognition) {
+      recognition.abort();
+    }
+    cleanup();
+  }
+
+  function clearError() {
+    error.value = null;
+  }
+
+  return {
+    isRecording,
+    isTranscribing,
+    level,
+    mode,
+    error,
+    start,
+    stop,
+    cancel,
+    clearError,
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * Web tools shared by the browser tool manager and the server-side tools of the
+ * OpenAI-compatible endpoint: the `search` and `readPage` schemas and how their
+ * results are shaped for the model. Only the transport differs between the two.
+ */
+
+export const SEARCH_TOOL_SCHEMA = {
+  type: "function",
+  function: {
+    name: "search",
+    description: "Search the web for current information, news, or specific topics. Use this when you need information beyond your knowledge cutoff.",
+    parameters: {
+      type: "object",
+      properties: {
+        q: {
+          type: "string",
+          description: "The search query"
+        },
+        vertical: {
+          type: "string",
+          enum: ["web", "news", "images"],
+          description: "What to search: 'web' pages (default), 'news' articles, or 'images'"
+        },
+        count: {
+          type: "integer",
+          description: "Number of results to return (default 5, max 10)",
+          maximum: 10
+        },
+        offset: {
+          type: "integer",
+          description: "Result page to fetch, starting at 0. Use 1, 2, ... with the same query to get more results (max 9).",
+          minimum: 0,
+          maximum: 9
+        },
+        freshness: {
+          type: "string",
+          description: "Filter by time: 'pd' (24h), 'pw' (7d), 'pm' (31d), 'py' (365d). Use if user asks for 'recent' or 'latest' news."
+        },
+        include_domains: {
+          type: "array",
+          items: { type: "string" },
+          description: "Only return results from these sites, e.g. ['docs.python.org']"
+        },
+        exclude_domains: {
+          type: "array",
+          items: { type: "string" },
+          description: "Never return results from these sites"
+        }
+      },
+      required: ["q"]
+    }
+  }
+};
+
+export const READ_PAGE_TOOL_SCHEMA = {
+  type: "function",
+  function: {
+    name: "readPage",
+    description: "Fetch a web page and read its main text as markdown. Use this to read a search result or a link the user shares before answering from it, and cite the URL.",
+    parameters: {
+      type: "object",
+      properties: {
+        url: {
+          type: "string",
+          description: "The http(s) URL of the page"
+        },
+        max_length: {
+          type: "integer",
+          description: "Maximum characters of page text to return (default 12000). Long pages end with a truncation note.",
+          minimum: 1000,
+          maximum: 50000
+        }
+      },
+      required: ["url"]
+    }
+  }
+};
+
+/**
+ * Turn `search` tool arguments into search options, with the defaults the model expects
+ * @param {Object} args - Tool call arguments
+ * @returns {Object} Search options
+ */
+export function toSearchOptions(args) {
+  if (!args.q) {
+    throw new Error('Search tool requires a "q" (query) argument');
+  }
+
+  return {
+    q: args.q,
+    vertical: args.vertical || "web",
+    count: args.count || 5, // Default to 5 results for AI to avoid context bloat
+    offset: args.offset || 0,
+    safesearch: args.safesearch || "moderate",
+    freshness: args.freshness,
+    includeDomains: args.include_domains,
+    excludeDomains: args.exclude_domains
+  };
+}
+
+/**
+ * Format a search response for the model
+ * @param {Object} data - Search response ({ vertical, web|news|images: { results } })
+ * @param {string} query - The query that was searched
+ * @returns {Object} Tool result
+ */
+export function formatSearchResults(data, query) {
+  const results = data[data.vertical || "web"]?.results;
+  if (!results || results.length === 0) {
+    return {
+      results: [],
+      message: "No results found for query."
+    };
+  }
+
+  return {
+    results: results.map(r => ({
+      title: r.title,
+      url: r.url,
+      description: r.description,
+      date: r.age,
+      ...(r.source && { source: r.source }),
+      ...(r.image && { image: r.image })
+    })),
+    query
+  };
+}
+
+/**
+ * Check `readPage` tool arguments
+ * @param {Object} args - Tool call arguments
+ * @returns {{ url: string, maxLength?: number }} Read options
+ */
+export function toReadPageOptions(args) {
+  if (!args.url) {
+    throw new Error('readPage tool requires a "url" argument');
+  }
+
+  return { url: args.url, maxLength: args.max_length };
+}
+
+/**
+ * Format an extracted page for the model
+ * @param {Object} page - Page from the page reader
+ * @returns {Object} Tool result
+ */
+export function formatPageResult(page) {
+  return {
+    url: page.url,
+    title: page.title,
+    ...(page.siteName && { siteName: page.siteName }),
+    ...(page.publishedTime && { published: page.publishedTime }),
+    content: page.content,
+    truncated: page.truncated
+  };
+}
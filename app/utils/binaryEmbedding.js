@@ -0,0 +1,101 @@
+// Packed binary embeddings for memory retrieval.
+// /api/embeddings quantizes each dimension to one bit and packs 8 bits per byte; the
+// packed bytes are stored as base64 and compared 32 bits at a time with XOR + popcount.
+// A 768-dim vector is 96 bytes (128 base64 characters) instead of a 0/1 JSON array.
+
+// Decoded vectors by their base64 string, so retrieval doesn't re-decode every memory
+const decodeCache = new Map();
+const MAX_CACHED_VECTORS = 5000;
+
+/**
+ * Packs a 0/1 array into bytes, most significant bit first (the server's layout)
+ * @param {Array<number>} bits
+ * @returns {Uint8Array}
+ */
+export function packBits(bits) {
+  const bytes = new Uint8Array(Math.ceil(bits.length / 8));
+  for (let i = 0; i < bits.length; i++) {
+    if (bits[i]) bytes[i >> 3] |= 0x80 >> (i & 7);
+  }
+  return bytes;
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Brings an embedding from the API or from storage into the stored form
+ * @param {string|Array<number>|null} embedding - base64 packed bits, or a legacy 0/1 array
+ * @returns {string|null} base64 packed bits
+ */
+export function toPackedEmbedding(embedding) {
+  if (typeof embedding === "string") return embedding;
+  if (Array.isArray(embedding) && embedding.length > 0) return bytesToBase64(packBits(embedding));
+  return null;
+}
+
+/**
+ * Decodes a stored embedding into 32-bit words, zero-padded to a whole word
+ * @param {string} packed - base64 packed bits
+ * @returns {{ words: Uint32Array, bits: number }}
+ */
+export function decodeEmbedding(packed) {
+  let vector = decodeCache.get(packed);
+  if (vector) return vector;
+
+  const bytes = base64ToBytes(packed);
+  const padded = new Uint8Array(Math.ceil(bytes.length / 4) * 4);
+  padded.set(bytes);
+  vector = { words: new Uint32Array(padded.buffer), bits: bytes.length * 8 };
+
+  if (decodeCache.size >= MAX_CACHED_VECTORS) {
+    decodeCache.delete(decodeCache.keys().next().value);
+  }
+  decodeCache.set(packed, vector);
+  return vector;
+}
+
+/**
+ * Number of set bits in a 32-bit word
+ * @param {number} x
+ * @returns {number}
+ */
+function popcount32(x) {
+  x -= (x >>> 1) & 0x55555555;
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  x = (x + (x >>> 4)) & 0x0f0f0f0f;
+  return Math.imul(x, 0x01010101) >>> 24;
+}
+
+/**
+ * Normalized Hamming distance between two packed embeddings
+ * (0 = identical, 1 = every bit differs)
+ * @param {string} a - base64 packed bits
+ * @param {string} b - base64 packed bits
+ * @returns {number}
+ */
+export function hammingDistance(a, b) {
+  if (!a || !b) return 1;
+  const vectorA = decodeEmbedding(a);
+  const vectorB = decodeEmbedding(b);
+  // Different dimensions can't be compared
+  if (vectorA.bits !== vectorB.bits) return 1;
+
+  const wordsA = vectorA.words;
+  const wordsB = vectorB.words;
+  let differences = 0;
+  for (let i = 0; i < wordsA.length; i++) {
+    differences += popcount32(wordsA[i] ^ wordsB[i]);
+  }
+  return differences / vectorA.bits;
+}
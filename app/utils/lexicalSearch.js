@@ -0,0 +1,100 @@
+// Lexical (keyword) search over short texts with Okapi BM25.
+// Used by memory recall next to the embedding similarity: it catches exact names and
+// terms the embedding blurs together, and still works when /api/embeddings is down.
+
+// Standard BM25 parameters: term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Common English words that match almost every fact and carry no meaning on their own
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "but", "by", "do", "does", "for", "from",
+  "has", "have", "he", "her", "his", "how", "i", "if", "in", "is", "it", "its", "me",
+  "my", "of", "on", "or", "she", "so", "that", "the", "their", "them", "they", "this",
+  "to", "was", "we", "were", "what", "when", "where", "which", "who", "why", "will",
+  "with", "you", "your"
+]);
+
+/**
+ * Light suffix stripping so "dogs"/"dog" and "hobbies"/"hobby" match
+ * @param {string} word
+ * @returns {string}
+ */
+function stem(word) {
+  if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Splits text into lowercase, accent-free, stemmed terms without stopwords
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+  const words = String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .match(/[\p{L}\p{N}]+/gu) || [];
+  return words.filter((word) => !STOPWORDS.has(word)).map(stem);
+}
+
+/**
+ * BM25 index over a fixed list of documents
+ */
+export class LexicalIndex {
+  /**
+   * @param {Array<string>} documents - Texts to index, referenced by position
+   */
+  constructor(documents) {
+    this.termFrequencies = documents.map((document) => {
+      const frequencies = new Map();
+      for (const term of tokenize(document)) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      }
+      return frequencies;
+    });
+    this.lengths = documents.map((_, i) => {
+      let length = 0;
+      for (const count of this.termFrequencies[i].values()) length += count;
+      return length;
+    });
+    this.averageLength = this.lengths.reduce((sum, length) => sum + length, 0) / (documents.length || 1) || 1;
+
+    this.documentFrequencies = new Map();
+    for (const frequencies of this.termFrequencies) {
+      for (const term of frequencies.keys()) {
+        this.documentFrequencies.set(term, (this.documentFrequencies.get(term) || 0) + 1);
+      }
+    }
+  }
+
+  /**
+   * Scores every document against a query
+   * @param {string} query
+   * @returns {Array<{index: number, score: number}>} Documents sharing a term with the
+   *   query, best first
+   */
+  search(query) {
+    const terms = [...new Set(tokenize(query))];
+    const count = this.termFrequencies.length;
+    const results = [];
+
+    this.termFrequencies.forEach((frequencies, index) => {
+      let score = 0;
+      for (const term of terms) {
+        const frequency = frequencies.get(term);
+        if (!frequency) continue;
+
+        const documentFrequency = this.documentFrequencies.get(term);
+        const idf = Math.log(1 + (count - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        const norm = K1 * (1 - B + B * this.lengths[index] / this.averageLength);
+        score += idf * (frequency * (K1 + 1)) / (frequency + norm);
+      }
+      if (score > 0) results.push({ index, score });
+    });
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+}
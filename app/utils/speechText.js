@@ -0,0 +1,110 @@
+// Turns assistant message markdown into plain text for read-aloud.
+// Code blocks and math are dropped entirely (they don't read well), formatting
+// markers are removed, and link/image text is kept without the URL.
+
+// Longest request /api/speech accepts (matches OpenAI's TTS input limit)
+export const MAX_SPEECH_CHUNK_LENGTH = 4000;
+
+const STRIP_RULES = [
+  // Fenced code blocks (closed, or still open at the end of the text)
+  [/(^|\n)[ \t]*(```|~~~)[^\n]*\n[\s\S]*?(\n[ \t]*\2[ \t]*(?=\n|$)|$)/g, "$1"],
+  // Display math: $$...$$ and \[...\]
+  [/\$\$[\s\S]*?\$\$/g, " "],
+  [/\\\[[\s\S]*?\\\]/g, " "],
+  // Inline math: \(...\) and $...$ (not prices like "$5 and $10")
+  [/\\\([\s\S]*?\\\)/g, " "],
+  [/\$(?=\S)(?:\\\$|[^$\n])+?(?<=\S)\$(?!\d)/g, " "],
+  // HTML tags
+  [/<\/?[a-z][^>]*>/gi, ""],
+  // Images and links keep their text
+  [/!\[([^\]]*)\]\([^)]*\)/g, "$1"],
+  [/\[([^\]]+)\]\([^)]*\)/g, "$1"],
+  // Footnote references and definitions
+  [/\[\^[^\]]+\]:.*$/gm, ""],
+  [/\[\^[^\]]+\]/g, ""],
+  // Bare URLs
+  [/https?:\/\/\S+/g, ""],
+  // Inline code keeps its content
+  [/`([^`]*)`/g, "$1"],
+  // Headings, blockquotes, list markers and task boxes
+  [/^[ \t]*#{1,6}[ \t]+/gm, ""],
+  [/^[ \t]*>[ \t]?/gm, ""],
+  [/^[ \t]*(?:[-*+]|\d+[.)])[ \t]+(?:\[[ xX]\][ \t]+)?/gm, ""],
+  // Horizontal rules and table separator rows
+  [/^[ \t]*(?:[-*_][ \t]*){3,}$/gm, ""],
+  [/^[ \t]*\|?[ \t]*:?-{2,}:?[ \t]*(?:\|[ \t]*:?-{2,}:?[ \t]*)*\|?[ \t]*$/gm, ""],
+  // Table cell borders
+  [/[ \t]*\|[ \t]*/g, ", "],
+  // Emphasis and strikethrough markers
+  [/(\*\*|__|~~)(?=\S)([\s\S]*?\S)\1/g, "$2"],
+  [/(^|[^\w*])[*_](?=\S)([^*_\n]*?\S)[*_](?=[^\w*]|$)/g, "$1$2"],
+];
+
+/**
+ * Converts markdown to plain text suitable for speech synthesis
+ * @param {string} markdown - Markdown source
+ * @returns {string} Plain text
+ */
+export function markdownToSpeechText(markdown) {
+  let text = markdown || "";
+  for (const [pattern, replacement] of STRIP_RULES) {
+    text = text.replace(pattern, replacement);
+  }
+
+  return text
+    .split("\n")
+    .map((line) => line.replace(/^(, )+|(, )+$/g, "").replace(/[ \t]+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Gets the speakable text of an assistant message: its content parts only,
+ * without reasoning, tool calls or images
+ * @param {Object} message - Message with `parts` (or legacy `content`)
+ * @returns {string}
+ */
+export function getSpeechText(message) {
+  const markdown = message.parts?.length
+    ? message.parts
+        .filter((part) => part.type === "content")
+        .map((part) => part.content)
+        .join("\n\n")
+    : message.content;
+
+  return markdownToSpeechText(markdown);
+}
+
+/**
+ * Splits text into chunks of at most `maxLength`, breaking at sentence ends where possible
+ * @param {string} text - Plain text
+ * @param {number} [maxLength] - Maximum chunk length
+ * @returns {string[]}
+ */
+export function splitSpeechText(text, maxLength = MAX_SPEECH_CHUNK_LENGTH) {
+  const sentences = text.match(/[^.!?\n]+(?:[.!?]+|\n|$)/g) || [];
+  const chunks = [];
+  let current = "";
+
+  for (const raw of sentences) {
+    const sentence = raw.trim();
+    if (!sentence) continue;
+
+    if (current && current.length + sentence.length + 1 > maxLength) {
+      chunks.push(current);
+      current = "";
+    }
+
+    // A single sentence longer than the limit is split at word boundaries
+    let rest = sentence;
+    while (rest.length > maxLength) {
+      const cut = rest.lastIndexOf(" ", maxLength) > 0 ? rest.lastIndexOf(" ", maxLength) : maxLength;
+      chunks.push(rest.slice(0, cut).trim());
+      rest = rest.slice(cut).trim();
+    }
+    current = current ? `${current} ${rest}` : rest;
+  }
+
+  if (current) chunks.push(current);
+  return chunks;
+}
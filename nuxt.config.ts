@@ -77,6 +77,61 @@ export default defineNuxtConfig({
     // Private config that only the server can access
     hackclubApiKey: '',
     hackclubSearchApiKey: '',
+    // Web search backend: 'hackclub', 'brave' or 'searxng' (see server/utils/searchBackends.js).
+    // Empty picks the first one with credentials below.
+    searchBackend: '',
+    braveSearchApiKey: '',
+    searxngUrl: '', // e.g. 'http://localhost:8888'; the instance must allow the json format
+    // Upstream OpenAI-compatible providers, routed by model ID prefix (see server/utils/providers.js)
+    providers: {
+      hackclub: {
+        baseURL: 'https://ai.hackclub.com/proxy/v1',
+        apiKey: '', // Falls back to hackclubApiKey
+        prefix: '',
+        allowCustomKey: true,
+        usageAccounting: true
+      }
+    },
+    defaultProvider: 'hackclub',
+    // Serve chat, embeddings, search and health from the offline mock in server/utils/mock.js
+    mockUpstream: false,
+    embeddingModel: 'qwen/qwen3-embedding-8b',
+    // Whisper-compatible model for /api/transcribe, routed like chat models (e.g. 'local/whisper-1').
+    // Empty disables server transcription; the client can fall back to the Web Speech API.
+    transcriptionModel: '',
+    // OpenAI-compatible text-to-speech model for /api/speech (e.g. 'local/tts-1').
+    // Empty disables server speech; read-aloud falls back to the browser's speechSynthesis.
+    speechModel: '',
+    // Seconds provider health checks are cached for (see server/utils/health.js)
+    healthCacheTtl: 30,
+    // Seconds the merged provider model catalog is cached for (see server/utils/modelCatalog.js)
+    modelCatalogTtl: 600,
+    // In-memory search result cache (see server/utils/search.js)
+    searchCache: {
+      ttl: 300, // seconds
+      maxEntries: 500
+    },
+    // Daily per-client request limits, bypassed by requests with a custom API key
+    rateLimit: {
+      enabled: true,
+      // Reverse proxies in front of the app; clients are identified by the X-Forwarded-For
+      // entry the outermost one appended. 0 uses the socket address.
+      trustedProxies: 0,
+      general: 96,
+      image: 12,
+      // Read-aloud requests, one per chunk of up to 4096 characters
+      speech: 200,
+      // Searches and page reads, and memory embeddings
+      web: 400,
+      embeddings: 1000,
+      // Requests one counted turn may make (tool rounds, deep research steps, the title);
+      // upstream requests are capped at limit * turnRequests a day. 1 counts every request.
+      turnRequests: 8,
+      imageModels: [
+        'google/gemini-2.5-flash-image',
+        'google/gemini-3-pro-image-preview'
+      ]
+    },
     // Public config that is exposed to the client
     public: {
       // Add any public config here
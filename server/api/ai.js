@@ -1,5 +1,9 @@
 import { defineEventHandler, readBody } from 'h3';
-import OpenAI from 'openai';
+import { resolveProvider, createProviderClient, usesCustomKey } from '../utils/providers';
+import { normalizeCompletionImages, normalizeChunkImages } from '../utils/images';
+import { createSseStream } from '../utils/sse';
+import { classifyError } from '../utils/errors';
+import { enforceRateLimit, getBucketForModel, sendRateLimitError, RateLimitError } from '../utils/rateLimit';
 
 export default defineEventHandler(async (event) => {
   const body = await readBody(event);
@@ -8,15 +12,35 @@ export default defineEventHandler(async (event) => {
   const customApiKey = body.customApiKey;
   delete body.customApiKey; // Remove from body before passing to OpenAI
 
+  // Requests of one user turn (tool rounds, research steps, the title) share one quota unit
+  const turnId = body.turnId;
+  delete body.turnId;
+
   const config = useRuntimeConfig(event);
-  // Use custom key if provided, otherwise use env key
-  const apiKey = customApiKey || config.hackclubApiKey;
 
-  const openai = new OpenAI({
-    apiKey: apiKey || '',
-    baseURL: 'https://ai.hackclub.com/proxy/v1'
-  });
+  // Route to the provider that owns this model ID
+  const { provider, model } = resolveProvider(config, body.model);
+
+  // Requests made with the user's own key don't count against the shared quota. Providers
+  // that don't accept user keys are always called with the server key, so they always count.
+  if (!usesCustomKey(provider, customApiKey)) {
+    try {
+      await enforceRateLimit(event, {
+        bucket: getBucketForModel(config.rateLimit || {}, body.model),
+        turnId
+      });
+    } catch (error) {
+      if (error instanceof RateLimitError) {
+        sendRateLimitError(event, error);
+        return;
+      }
+      throw error;
+    }
+  }
+
+  const openai = createProviderClient(provider, customApiKey);
 
+  let sse = null;
   try {
     const {
       stream = true,
@@ -26,7 +50,10 @@ export default defineEventHandler(async (event) => {
     // Whitelisted core fields; allow pass-through of others
     const completionParams = {
       ...rest,
-      stream
+      model,
+      stream,
+      // Ask for cost alongside token counts where the provider supports it
+      ...(provider.usageAccounting && { usage: { include: true } })
       // rest may include: model, messages, tools, tool_choice,
       // parallel_tool_calls, temperature, top_p, seed, reasoning, plugins, etc.
     };
@@ -37,32 +64,8 @@ export default defineEventHandler(async (event) => {
         stream: false,
       });
 
-      // Process the completion to handle image responses properly
-      if (completion.choices && completion.choices.length > 0) {
-        for (const choice of completion.choices) {
-          if (choice.message && choice.message.content) {
-            // If content is an object that contains images, process it
-            try {
-              // Check if the content is a JSON string that contains image data
-              if (typeof choice.message.content === 'string' && choice.message.content.startsWith('{')) {
-                const parsedContent = JSON.parse(choice.message.content);
-                if (parsedContent.images) {
-                  // If content contains images, we need to handle it properly
-                  // For now, just pass it through as is
-                }
-              }
-            } catch (e) {
-              // If parsing fails, continue with normal processing
-            }
-          }
-
-          // Ensure that if the message has images, they are properly included in the response
-          if (choice.message && choice.message.images) {
-            // The images should already be part of the message object
-            // Just make sure they're properly formatted
-          }
-        }
-      }
+      // Bring every image output into the single `images` shape the client expects
+      normalizeCompletionImages(completion);
 
       event.node.res.setHeader('Content-Type', 'application/json');
       event.node.res.end(JSON.stringify(completion));
@@ -70,82 +73,49 @@ export default defineEventHandler(async (event) => {
     }
 
     // Streaming branch
+    // Open the event stream first so a disconnect while waiting on the upstream also cancels it
+    sse = createSseStream(event);
+
     const streamResp = await openai.chat.completions.create({
       ...completionParams,
       stream: true,
-    });
-
-    event.node.res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-    event.node.res.setHeader('Cache-Control', 'no-cache');
-    event.node.res.setHeader('Connection', 'keep-alive');
-    event.node.res.setHeader('Transfer-Encoding', 'chunked');
+      // Upstream sends usage in a final chunk with empty choices, which is forwarded as-is
+      stream_options: { include_usage: true },
+    }, { signal: sse.signal });
 
     for await (const chunk of streamResp) {
-      // Process the chunk to handle image responses properly
-      // Check if the chunk contains image data in the specified format
-      if (chunk.choices && chunk.choices.length > 0) {
-        for (const choice of chunk.choices) {
-          // Handle the case where the message object contains both content and images
-          // This is the format specified in the issue
-          if (choice.message && choice.message.images) {
-            // If the message contains images, we need to make sure they're properly included in the chunk
-            // The images should be available in the message object for non-streaming responses
-            // For streaming, we need to ensure they're handled properly
-          }
-
-          if (choice.delta && choice.delta.content) {
-            // If content is an object that contains images, process it
-            try {
-              // Check if the content is a JSON string that contains image data
-              if (typeof choice.delta.content === 'string' && choice.delta.content.startsWith('{')) {
-                const parsedContent = JSON.parse(choice.delta.content);
-                if (parsedContent.images) {
-                  // If content contains images, we need to handle it properly
-                  // For now, just pass it through as is
-                }
-              }
-            } catch (e) {
-              // If parsing fails, continue with normal processing
-            }
-          }
-        }
-      }
+      // Client went away: stop reading so the upstream request is torn down
+      if (sse.isClosed()) break;
+
+      // Bring every image output into the single `images` delta shape the client expects
+      normalizeChunkImages(chunk);
 
-      event.node.res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+      sse.send(chunk);
     }
 
-    event.node.res.write('data: [DONE]\n\n');
-    event.node.res.end();
+    sse.send('[DONE]');
+    sse.close();
 
   } catch (error) {
+    // A client disconnect aborts the upstream request; there is nobody left to tell
+    if (sse?.isClosed()) {
+      return;
+    }
+
     console.error('Error creating chat completion:', error);
 
+    // Categorized so the client can offer the matching recovery action
+    const errorChunk = { error: classifyError(error) };
+
     if (body.stream === false) {
       event.node.res.setHeader('Content-Type', 'application/json');
-      event.node.res.statusCode = 500;
-      event.node.res.end(JSON.stringify({
-        error: {
-          type: error.type || 'api_error',
-          message: error.message || 'Failed to connect to AI service',
-          code: error.status || 500
-        }
-      }));
+      event.node.res.statusCode = errorChunk.error.code;
+      event.node.res.end(JSON.stringify(errorChunk));
     } else {
-      event.node.res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-      event.node.res.setHeader('Cache-Control', 'no-cache');
-      event.node.res.setHeader('Connection', 'keep-alive');
-
-      const errorChunk = {
-        error: {
-          type: error.type || 'api_error',
-          message: error.message || 'Failed to connect to AI service',
-          code: error.status || 500
-        }
-      };
-
-      event.node.res.write(`data: ${JSON.stringify(errorChunk)}\n\n`);
-      event.node.res.write('data: [DONE]\n\n');
-      event.node.res.end();
+      sse ||= createSseStream(event);
+      sse.send(errorChunk);
+      sse.send('[DONE]');
+      sse.close();
     }
   }
-});
\ No newline at end of file
+});
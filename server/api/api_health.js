@@ -1,22 +1,12 @@
-import { defineEventHandler } from 'h3';
+import { defineEventHandler, setResponseHeader } from 'h3';
+import { getHealth } from '../utils/health';
 
 export default defineEventHandler(async (event) => {
-    try {
-        const response = await fetch("https://ai.hackclub.com/up");
+    const health = await getHealth(useRuntimeConfig(event));
 
-        if (!response.ok) {
-            return { status: "down", reason: "api_unreachable" };
-        }
+    // Let browsers and CDNs reuse the snapshot for as long as the server does
+    setResponseHeader(event, 'Cache-Control', `public, max-age=${health.ttl}`);
 
-        const data = await response.json();
-        // Return full data for client-side decision making
-        return {
-            status: data.status || "up",
-            dailyKeyUsageRemaining: data.dailyKeyUsageRemaining,
-            balanceRemaining: data.balanceRemaining,
-            timestamp: data.timestamp
-        };
-    } catch (error) {
-        return { status: "down", reason: "network_error" };
-    }
+    // Return full data for client-side decision making
+    return health;
 });
@@ -1,5 +1,9 @@
 import { defineEventHandler, readBody } from 'h3';
-import OpenAI from 'openai';
+import { resolveProvider, createProviderClient } from '../utils/providers';
+import { enforceRateLimit, sendRateLimitError, RateLimitError } from '../utils/rateLimit';
+
+// Use 768 dimensions for optimal balance of quality and size
+const EMBEDDING_DIMENSIONS = 768;
 
 /**
  * Quantizes a float embedding vector to binary (0 or 1).
@@ -16,19 +20,51 @@ function quantizeToBinary(embedding) {
     return embedding.map(value => value >= median ? 1 : 0);
 }
 
+/**
+ * Packs a binary embedding 8 dimensions per byte, most significant bit first.
+ * @param {Array<number>} bits - Binary embedding (0s and 1s)
+ * @returns {string} - The packed bytes as base64
+ */
+function packToBase64(bits) {
+    const bytes = Buffer.alloc(Math.ceil(bits.length / 8));
+    bits.forEach((bit, i) => {
+        if (bit) bytes[i >> 3] |= 0x80 >> (i & 7);
+    });
+    return bytes.toString('base64');
+}
+
+/**
+ * Returns binary quantized embeddings of the input text. With
+ * `encoding_format: 'base64'` each embedding is its packed bits as a base64
+ * string (96 bytes for 768 dimensions) instead of an array of 0s and 1s.
+ * `model` in the response is the requested model ID, which clients store
+ * alongside each vector to tell when it was made by a different model.
+ */
+
 export default defineEventHandler(async (event) => {
     const body = await readBody(event);
 
     const config = useRuntimeConfig(event);
-    const apiKey = config.hackclubApiKey;
 
-    const openai = new OpenAI({
-        apiKey: apiKey || '',
-        baseURL: 'https://ai.hackclub.com/proxy/v1'
-    });
+    // Embeddings ride along with chat messages, so they are gated by the
+    // general quota without consuming from it; each one counts against its own bucket
+    try {
+        await enforceRateLimit(event, { consume: false });
+        await enforceRateLimit(event, { bucket: 'embeddings' });
+    } catch (error) {
+        if (error instanceof RateLimitError) {
+            sendRateLimitError(event, error);
+            return;
+        }
+        throw error;
+    }
 
     try {
-        const { input, model = "qwen/qwen3-embedding-8b" } = body;
+        const {
+            input,
+            model: requestedModel = config.embeddingModel || "qwen/qwen3-embedding-8b",
+            encoding_format: encodingFormat
+        } = body;
 
         if (!input) {
             event.node.res.statusCode = 400;
@@ -43,19 +79,29 @@ export default defineEventHandler(async (event) => {
             return;
         }
 
+        // Route to the provider that owns this model ID
+        const { provider, model } = resolveProvider(config, requestedModel);
+        const openai = createProviderClient(provider);
+
         const response = await openai.embeddings.create({
             model,
             input,
-            dimensions: 768, // Use 768 dimensions for optimal balance of quality and size
+            dimensions: EMBEDDING_DIMENSIONS,
         });
 
+        // Report the model ID the client asked for (not the provider's name for it),
+        // so stored vectors can be tagged and re-embedded when the model changes
+        response.model = requestedModel;
+
         // Quantize the embedding to binary format
         if (response.data && response.data[0] && response.data[0].embedding) {
             const floatEmbedding = response.data[0].embedding;
             const binaryEmbedding = quantizeToBinary(floatEmbedding);
 
             // Replace the float embedding with binary quantized version
-            response.data[0].embedding = binaryEmbedding;
+            response.data[0].embedding = encodingFormat === 'base64'
+                ? packToBase64(binaryEmbedding)
+                : binaryEmbedding;
         }
 
         event.node.res.setHeader('Content-Type', 'application/json');
@@ -0,0 +1,43 @@
+import { defineEventHandler, getQuery } from 'h3';
+import { enforceRateLimit, RateLimitError } from '../utils/rateLimit';
+import { readPage } from '../utils/pageReader';
+
+export default defineEventHandler(async (event) => {
+    const query = getQuery(event);
+    const config = useRuntimeConfig();
+
+    const { url, max_length: maxLength } = query;
+
+    if (!url) {
+        throw createError({
+            statusCode: 400,
+            statusMessage: 'Query parameter "url" is required.'
+        });
+    }
+
+    // Like searches, page reads run as tool calls inside a chat turn, so they need chat
+    // quota left; each read counts against the web bucket
+    try {
+        await enforceRateLimit(event, { consume: false });
+        await enforceRateLimit(event, { bucket: 'web' });
+    } catch (error) {
+        if (error instanceof RateLimitError) {
+            throw createError({
+                statusCode: 429,
+                statusMessage: error.message,
+                data: error.toJSON().error
+            });
+        }
+        throw error;
+    }
+
+    try {
+        return await readPage(config, { url, maxLength });
+    } catch (error) {
+        console.error('Fetch API Error:', error);
+        throw createError({
+            statusCode: error.statusCode || 500,
+            statusMessage: error.statusMessage || 'Internal Server Error'
+        });
+    }
+});
@@ -0,0 +1,11 @@
+import { defineEventHandler } from 'h3';
+import { getModelCatalog } from '../utils/modelCatalog';
+
+/**
+ * Model catalog for the model selectors: curated models merged with the providers' live lists.
+ * Returns { models, aliases, source, fetchedAt }, where `models` has the same category
+ * grouping as availableModels.js and `aliases` maps retired IDs to their replacements.
+ */
+export default defineEventHandler(async (event) => {
+  return getModelCatalog(useRuntimeConfig(event));
+});
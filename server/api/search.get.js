@@ -1,23 +1,20 @@
 import { defineEventHandler, getQuery } from 'h3';
+import { enforceRateLimit, RateLimitError } from '../utils/rateLimit';
+import { webSearch } from '../utils/search';
 
 export default defineEventHandler(async (event) => {
     const query = getQuery(event);
     const config = useRuntimeConfig();
-    const apiKey = config.hackclubSearchApiKey;
-
-    if (!apiKey) {
-        throw createError({
-            statusCode: 500,
-            statusMessage: 'Search API key is not configured.'
-        });
-    }
 
     const {
         q,
+        vertical = 'web',
         count = 20,
         offset = 0,
         safesearch = 'moderate',
-        freshness
+        freshness,
+        include_domains: includeDomains,
+        exclude_domains: excludeDomains
     } = query;
 
     if (!q) {
@@ -27,33 +24,33 @@ export default defineEventHandler(async (event) => {
         });
     }
 
+    // Searches run as tool calls inside a chat turn, so they are gated by the
+    // general quota without consuming from it; each search counts against the web bucket
     try {
-        const searchUrl = new URL('https://search.hackclub.com/res/v1/web/search');
-        searchUrl.searchParams.append('q', q);
-        searchUrl.searchParams.append('count', Math.min(count, 20).toString());
-        searchUrl.searchParams.append('offset', Math.min(offset, 9).toString()); // API max offset is 9 for pages
-        searchUrl.searchParams.append('safesearch', safesearch);
-        if (freshness) {
-            searchUrl.searchParams.append('freshness', freshness);
-        }
-
-        const response = await fetch(searchUrl.toString(), {
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json'
-            }
-        });
-
-        if (!response.ok) {
+        await enforceRateLimit(event, { consume: false });
+        await enforceRateLimit(event, { bucket: 'web' });
+    } catch (error) {
+        if (error instanceof RateLimitError) {
             throw createError({
-                statusCode: response.status,
-                statusMessage: `Search API failed: ${response.statusText}`
+                statusCode: 429,
+                statusMessage: error.message,
+                data: error.toJSON().error
             });
         }
+        throw error;
+    }
 
-        const data = await response.json();
-        return data;
-
+    try {
+        return await webSearch(config, {
+            q,
+            vertical,
+            count,
+            offset,
+            safesearch,
+            freshness,
+            includeDomains,
+            excludeDomains
+        });
     } catch (error) {
         console.error('Search API Error:', error);
         throw createError({
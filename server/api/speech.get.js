@@ -0,0 +1,14 @@
+import { defineEventHandler } from 'h3';
+
+// Voices offered by OpenAI-compatible TTS endpoints
+const SPEECH_VOICES = ['alloy', 'ash', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer'];
+
+/**
+ * Whether server-side speech is configured, and which voices it offers.
+ * Without it the client reads aloud with the browser's speechSynthesis.
+ */
+export default defineEventHandler((event) => {
+  const config = useRuntimeConfig(event);
+  const available = Boolean(config.speechModel || config.mockUpstream);
+  return { available, voices: available ? SPEECH_VOICES : [] };
+});
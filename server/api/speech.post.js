@@ -0,0 +1,84 @@
+import { defineEventHandler, readBody } from 'h3';
+import { resolveProvider, createProviderClient, usesCustomKey } from '../utils/providers';
+import { classifyError, ERROR_CATEGORIES } from '../utils/errors';
+import { enforceRateLimit, sendRateLimitError, RateLimitError } from '../utils/rateLimit';
+
+// OpenAI's TTS input limit; the client splits longer messages
+const MAX_INPUT_LENGTH = 4096;
+const DEFAULT_VOICE = 'alloy';
+
+function sendError(event, code, type, message, category = ERROR_CATEGORIES.UNKNOWN) {
+  event.node.res.statusCode = code;
+  event.node.res.setHeader('Content-Type', 'application/json');
+  event.node.res.end(JSON.stringify({ error: { type, category, message, code } }));
+}
+
+/**
+ * OpenAI-compatible text-to-speech, routed through the provider layer
+ * to `runtimeConfig.speechModel`.
+ *
+ * Body: { input, voice?, speed? (0.25-4), customApiKey? }. Responds with the audio.
+ */
+export default defineEventHandler(async (event) => {
+  const config = useRuntimeConfig(event);
+
+  if (!config.speechModel && !config.mockUpstream) {
+    sendError(event, 501, 'not_configured', 'No speech model is configured on this server', ERROR_CATEGORIES.MODEL_UNAVAILABLE);
+    return;
+  }
+
+  const body = await readBody(event) || {};
+  const { customApiKey } = body;
+  const input = typeof body.input === 'string' ? body.input.trim() : '';
+
+  if (!input) {
+    sendError(event, 400, 'invalid_request_error', 'Input text is required');
+    return;
+  }
+  if (input.length > MAX_INPUT_LENGTH) {
+    sendError(event, 400, 'invalid_request_error', `Input must be at most ${MAX_INPUT_LENGTH} characters`);
+    return;
+  }
+
+  // Route to the provider that owns this model ID
+  const { provider, model } = resolveProvider(config, config.speechModel || 'tts-1');
+
+  // Requests made with the user's own key don't count against the shared quota. Each chunk
+  // of a long message is a request, so speech draws from its own bucket, not the chat one
+  if (!usesCustomKey(provider, customApiKey)) {
+    try {
+      await enforceRateLimit(event, { bucket: 'speech' });
+    } catch (error) {
+      if (error instanceof RateLimitError) {
+        sendRateLimitError(event, error);
+        return;
+      }
+      throw error;
+    }
+  }
+
+  try {
+    const openai = createProviderClient(provider, customApiKey);
+
+    const speed = Number(body.speed);
+    const response = await openai.audio.speech.create({
+      model,
+      input,
+      voice: body.voice || DEFAULT_VOICE,
+      response_format: 'mp3',
+      ...(Number.isFinite(speed) && { speed: Math.min(4, Math.max(0.25, speed)) })
+    });
+
+    const audio = Buffer.from(await response.arrayBuffer());
+    event.node.res.setHeader('Content-Type', response.headers.get('content-type') || 'audio/mpeg');
+    event.node.res.setHeader('Cache-Control', 'no-store');
+    event.node.res.end(audio);
+  } catch (error) {
+    console.error('Error synthesizing speech:', error);
+
+    const details = classifyError(error);
+    event.node.res.statusCode = details.code;
+    event.node.res.setHeader('Content-Type', 'application/json');
+    event.node.res.end(JSON.stringify({ error: details }));
+  }
+});
@@ -0,0 +1,10 @@
+import { defineEventHandler } from 'h3';
+
+/**
+ * Whether server-side transcription is configured, so the client can pick
+ * between recording for /api/transcribe and the browser's Web Speech API
+ */
+export default defineEventHandler((event) => {
+  const config = useRuntimeConfig(event);
+  return { available: Boolean(config.transcriptionModel || config.mockUpstream) };
+});
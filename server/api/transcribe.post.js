@@ -0,0 +1,99 @@
+import { defineEventHandler, readMultipartFormData, getHeader } from 'h3';
+import { toFile } from 'openai';
+import { resolveProvider, createProviderClient, usesCustomKey } from '../utils/providers';
+import { classifyError, ERROR_CATEGORIES } from '../utils/errors';
+import { enforceRateLimit, sendRateLimitError, RateLimitError } from '../utils/rateLimit';
+
+// Whisper's upload limit
+const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+
+// Room for the multipart boundaries and the other form fields
+const MAX_BODY_BYTES = MAX_AUDIO_BYTES + 64 * 1024;
+
+function sendError(event, code, type, message, category = ERROR_CATEGORIES.UNKNOWN) {
+  event.node.res.statusCode = code;
+  event.node.res.setHeader('Content-Type', 'application/json');
+  event.node.res.end(JSON.stringify({ error: { type, category, message, code } }));
+}
+
+/**
+ * Whisper-compatible audio transcription, routed through the provider layer
+ * to `runtimeConfig.transcriptionModel`.
+ *
+ * Multipart fields: `file` (audio), optional `language` (ISO-639-1) and `customApiKey`.
+ * Responds with `{ text }`.
+ */
+export default defineEventHandler(async (event) => {
+  const config = useRuntimeConfig(event);
+
+  if (!config.transcriptionModel && !config.mockUpstream) {
+    sendError(event, 501, 'not_configured', 'No transcription model is configured on this server', ERROR_CATEGORIES.MODEL_UNAVAILABLE);
+    return;
+  }
+
+  // The multipart body is read into memory, so oversized uploads are refused before reading it
+  const contentLength = Number(getHeader(event, 'content-length'));
+  if (!contentLength) {
+    sendError(event, 411, 'invalid_request_error', 'A Content-Length header is required');
+    return;
+  }
+  if (contentLength > MAX_BODY_BYTES) {
+    sendError(event, 413, 'invalid_request_error', 'Recording is too long to transcribe');
+    return;
+  }
+
+  const parts = await readMultipartFormData(event) || [];
+  const field = name => parts.find(part => part.name === name && !part.filename)?.data.toString('utf8');
+  const audio = parts.find(part => part.name === 'file' && part.data?.length);
+  const customApiKey = field('customApiKey');
+  const language = field('language');
+
+  if (!audio) {
+    sendError(event, 400, 'invalid_request_error', 'An audio file is required');
+    return;
+  }
+  if (audio.data.length > MAX_AUDIO_BYTES) {
+    sendError(event, 413, 'invalid_request_error', 'Recording is too long to transcribe');
+    return;
+  }
+
+  // Route to the provider that owns this model ID
+  const { provider, model } = resolveProvider(config, config.transcriptionModel || 'whisper-1');
+
+  // Requests made with the user's own key don't count against the shared quota
+  if (!usesCustomKey(provider, customApiKey)) {
+    try {
+      await enforceRateLimit(event);
+    } catch (error) {
+      if (error instanceof RateLimitError) {
+        sendRateLimitError(event, error);
+        return;
+      }
+      throw error;
+    }
+  }
+
+  try {
+    const openai = createProviderClient(provider, customApiKey);
+
+    const file = await toFile(audio.data, audio.filename || 'recording.webm', {
+      type: audio.type || 'audio/webm'
+    });
+
+    const transcription = await openai.audio.transcriptions.create({
+      file,
+      model,
+      ...(language && { language })
+    });
+
+    event.node.res.setHeader('Content-Type', 'application/json');
+    event.node.res.end(JSON.stringify({ text: transcription.text?.trim() || '' }));
+  } catch (error) {
+    console.error('Error transcribing audio:', error);
+
+    const details = classifyError(error);
+    event.node.res.statusCode = details.code;
+    event.node.res.setHeader('Content-Type', 'application/json');
+    event.node.res.end(JSON.stringify({ error: details }));
+  }
+});
@@ -0,0 +1,368 @@
+import { defineEventHandler, readBody, getHeader } from 'h3';
+import {
+  availableModels,
+  findModelById,
+  DEFAULT_MODEL_ID,
+  buildReasoningParams,
+} from '../../../../app/composables/availableModels';
+import { generateSystemPrompt } from '../../../../app/composables/systemPrompt';
+import { resolveProvider, createProviderClient, usesCustomKey } from '../../../utils/providers';
+import { normalizeCompletionImages, normalizeChunkImages } from '../../../utils/images';
+import { createSseStream } from '../../../utils/sse';
+import { enforceRateLimit, getBucketForModel, sendRateLimitError, RateLimitError } from '../../../utils/rateLimit';
+import { getServerToolSchemas, executeServerToolCall } from '../../../utils/serverTools';
+import { classifyError } from '../../../utils/errors';
+
+/**
+ * OpenAI-compatible chat completions endpoint.
+ *
+ * Accepts a standard chat completions request and applies what the web app does:
+ * Libre's system prompt (client system messages become custom instructions), the
+ * model's reasoning config, and the `search` tool executed server-side.
+ *
+ * - `Authorization: Bearer <key>` is treated as the user's own Hack Club key
+ *   (bypasses rate limits); without it the server key and rate limits apply.
+ * - `web_search: false` disables the server-side search tool.
+ * - Client-defined `tools` are passed through; their calls are returned to the client.
+ *   Calls to the server-side tools never are.
+ */
+
+// Upper bound on server-side tool rounds per request
+const MAX_SERVER_TOOL_ROUNDS = 5;
+
+/**
+ * Flatten message content (string or content parts) to text
+ */
+function contentToText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+  }
+  return '';
+}
+
+/**
+ * Merge a streamed tool call delta into the accumulator
+ */
+function accumulateToolCall(accumulator, delta) {
+  const existing = accumulator[delta.index] || {
+    id: delta.id,
+    type: delta.type || 'function',
+    function: { name: '', arguments: '' }
+  };
+  if (delta.id) existing.id = delta.id;
+  if (delta.function?.name) existing.function.name = delta.function.name;
+  if (delta.function?.arguments) existing.function.arguments += delta.function.arguments;
+  accumulator[delta.index] = existing;
+}
+
+/**
+ * Add one call's usage to the running total
+ */
+function addUsage(total, usage) {
+  if (!usage) return total;
+  const sum = total || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  sum.prompt_tokens += usage.prompt_tokens || 0;
+  sum.completion_tokens += usage.completion_tokens || 0;
+  sum.total_tokens += usage.total_tokens || 0;
+  if (typeof usage.cost === 'number') sum.cost = (sum.cost || 0) + usage.cost;
+  return sum;
+}
+
+/**
+ * Split a round's tool calls into the ones run on the server and the ones
+ * returned to the client. Only tools the server offered count as server calls.
+ */
+function splitToolCalls(toolCalls, serverToolNames) {
+  const isServerCall = call => serverToolNames.includes(call.function.name);
+  return {
+    serverCalls: toolCalls.filter(isServerCall),
+    clientCalls: toolCalls.filter(call => !isServerCall(call))
+  };
+}
+
+/**
+ * Run a round's server calls and append them, with their results, to the conversation.
+ * Each call counts against the web bucket, like the web app's searches and page reads;
+ * once it is used up, the model gets the limit as the tool result.
+ */
+async function runServerCalls(event, config, conversation, content, serverCalls) {
+  conversation.push({ role: 'assistant', content, tool_calls: serverCalls });
+  for (const toolCall of serverCalls) {
+    try {
+      await enforceRateLimit(event, { bucket: 'web' });
+    } catch (error) {
+      if (!(error instanceof RateLimitError)) throw error;
+      conversation.push({
+        role: 'tool',
+        tool_call_id: toolCall.id,
+        name: toolCall.function.name,
+        content: JSON.stringify({ error: error.message })
+      });
+      continue;
+    }
+    conversation.push(await executeServerToolCall(config, toolCall));
+  }
+}
+
+/**
+ * Send an OpenAI-style JSON error
+ */
+function sendError(event, status, type, message) {
+  event.node.res.statusCode = status;
+  event.node.res.setHeader('Content-Type', 'application/json');
+  event.node.res.end(JSON.stringify({ error: { type, message, code: status } }));
+}
+
+export default defineEventHandler(async (event) => {
+  const body = await readBody(event);
+  const config = useRuntimeConfig(event);
+
+  const authorization = getHeader(event, 'authorization') || '';
+  const customApiKey = authorization.replace(/^Bearer\s+/i, '').trim();
+
+  const {
+    messages,
+    model: requestedModel = DEFAULT_MODEL_ID,
+    stream = false,
+    stream_options: streamOptions,
+    tools: clientTools = [],
+    web_search: webSearchEnabled = true,
+    reasoning_effort: reasoningEffort,
+    ...rest
+  } = body || {};
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    sendError(event, 400, 'invalid_request_error', '"messages" must be a non-empty array');
+    return;
+  }
+
+  const modelInfo = findModelById(availableModels, requestedModel);
+  const hasToolUse = modelInfo?.tool_use !== false;
+  const serverToolNames = hasToolUse && webSearchEnabled ? ['search', 'readPage'] : [];
+
+  // Client system messages are applied the way the web app applies custom instructions
+  const customInstructions = messages
+    .filter(msg => msg.role === 'system')
+    .map(msg => contentToText(msg.content))
+    .join('\n\n');
+
+  const systemPrompt = await generateSystemPrompt(
+    serverToolNames,
+    {
+      selected_model_id: requestedModel,
+      custom_instructions: customInstructions || null
+    },
+    [],
+    false,
+    hasToolUse
+  );
+
+  const conversation = [
+    { role: 'system', content: systemPrompt },
+    ...messages.filter(msg => msg.role !== 'system')
+  ];
+
+  // Apply the same reasoning config as the web app
+  let upstreamModelId = requestedModel;
+  let reasoning = null;
+  if (modelInfo) {
+    const { reasoningParams, alternateModel } = buildReasoningParams(modelInfo, {
+      reasoning_effort: reasoningEffort
+    });
+    if (alternateModel) upstreamModelId = alternateModel;
+    reasoning = reasoningParams;
+  }
+
+  const { provider, model } = resolveProvider(config, upstreamModelId);
+
+  // Requests made with the user's own key don't count against the shared quota. Providers
+  // that don't accept user keys are always called with the server key, so they always count.
+  if (!usesCustomKey(provider, customApiKey)) {
+    try {
+      await enforceRateLimit(event, {
+        bucket: getBucketForModel(config.rateLimit || {}, requestedModel)
+      });
+    } catch (error) {
+      if (error instanceof RateLimitError) {
+        sendRateLimitError(event, error);
+        return;
+      }
+      throw error;
+    }
+  }
+
+  const openai = createProviderClient(provider, customApiKey);
+
+  const passthroughTools = hasToolUse ? clientTools : [];
+  const tools = [...getServerToolSchemas(serverToolNames), ...passthroughTools];
+  const completionParams = {
+    ...rest,
+    model,
+    ...(reasoning && { reasoning }),
+    ...(provider.usageAccounting && { usage: { include: true } })
+  };
+
+  // The last round only offers the client's tools, so the model has to answer
+  // instead of asking for another server-side search
+  const paramsForRound = (round) => {
+    const roundTools = round < MAX_SERVER_TOOL_ROUNDS ? tools : passthroughTools;
+    if (roundTools.length === 0) {
+      const { tool_choice: _toolChoice, ...params } = completionParams;
+      return params;
+    }
+    return { ...completionParams, tools: roundTools };
+  };
+
+  let sse = null;
+  try {
+    if (!stream) {
+      let usage = null;
+      for (let round = 0; ; round++) {
+        const completion = await openai.chat.completions.create({
+          ...paramsForRound(round),
+          messages: conversation,
+          stream: false
+        });
+        usage = addUsage(usage, completion.usage);
+
+        const choice = completion.choices?.[0];
+        const message = choice?.message;
+        const { serverCalls, clientCalls } = splitToolCalls(message?.tool_calls || [], serverToolNames);
+
+        if (serverCalls.length > 0 && clientCalls.length === 0 && round < MAX_SERVER_TOOL_ROUNDS) {
+          await runServerCalls(event, config, conversation, message.content || '', serverCalls);
+          continue;
+        }
+        // Only the client's own tool calls are returned. In a round that mixes both, the
+        // server calls are dropped; the model asks again once the client has answered
+        if (message?.tool_calls) {
+          if (clientCalls.length > 0) {
+            message.tool_calls = clientCalls;
+          } else {
+            delete message.tool_calls;
+            if (choice.finish_reason === 'tool_calls') choice.finish_reason = 'stop';
+          }
+        }
+
+        normalizeCompletionImages(completion);
+        completion.model = requestedModel;
+        completion.usage = usage;
+
+        event.node.res.setHeader('Content-Type', 'application/json');
+        event.node.res.end(JSON.stringify(completion));
+        return;
+      }
+    }
+
+    // Streaming branch
+    sse = createSseStream(event);
+    let usage = null;
+
+    for (let round = 0; ; round++) {
+      const streamResp = await openai.chat.completions.create({
+        ...paramsForRound(round),
+        messages: conversation,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { signal: sse.signal });
+
+      // Tool calls and the finish reason are held back until we know whether
+      // this round is handled on the server or returned to the client
+      const toolCallAccumulator = {};
+      let finishReason = null;
+      let roundContent = '';
+      let lastChunk = null;
+
+      for await (const chunk of streamResp) {
+        if (sse.isClosed()) break;
+
+        chunk.model = requestedModel;
+        lastChunk = chunk;
+        usage = addUsage(usage, chunk.usage);
+
+        const choice = chunk.choices?.[0];
+        if (!choice) continue;
+
+        normalizeChunkImages(chunk);
+
+        if (choice.delta?.tool_calls) {
+          for (const toolCallDelta of choice.delta.tool_calls) {
+            accumulateToolCall(toolCallAccumulator, toolCallDelta);
+          }
+          delete choice.delta.tool_calls;
+        }
+        if (choice.finish_reason) {
+          finishReason = choice.finish_reason;
+          choice.finish_reason = null;
+        }
+        if (choice.delta?.content) {
+          roundContent += choice.delta.content;
+        }
+
+        const hasPayload = choice.delta && Object.keys(choice.delta).some(key => key !== 'role' && choice.delta[key]);
+        if (hasPayload) {
+          sse.send(chunk);
+        }
+      }
+
+      if (sse.isClosed()) return;
+
+      const { serverCalls, clientCalls } = splitToolCalls(Object.values(toolCallAccumulator), serverToolNames);
+
+      if (serverCalls.length > 0 && clientCalls.length === 0 && round < MAX_SERVER_TOOL_ROUNDS) {
+        await runServerCalls(event, config, conversation, roundContent, serverCalls);
+        continue;
+      }
+      if (clientCalls.length === 0 && finishReason === 'tool_calls') {
+        finishReason = 'stop';
+      }
+
+      const base = {
+        id: lastChunk?.id,
+        object: 'chat.completion.chunk',
+        created: lastChunk?.created || Math.floor(Date.now() / 1000),
+        model: requestedModel
+      };
+
+      sse.send({
+        ...base,
+        choices: [{
+          index: 0,
+          delta: clientCalls.length > 0
+            ? { tool_calls: clientCalls.map((call, index) => ({ index, ...call })) }
+            : {},
+          finish_reason: finishReason || 'stop'
+        }]
+      });
+
+      if (streamOptions?.include_usage && usage) {
+        sse.send({ ...base, choices: [], usage });
+      }
+      break;
+    }
+
+    sse.send('[DONE]');
+    sse.close();
+
+  } catch (error) {
+    // A client disconnect aborts the upstream request; there is nobody left to tell
+    if (sse?.isClosed()) {
+      return;
+    }
+
+    console.error('Error creating chat completion:', error);
+
+    const errorChunk = { error: classifyError(error) };
+
+    if (!sse) {
+      event.node.res.statusCode = errorChunk.error.code;
+      event.node.res.setHeader('Content-Type', 'application/json');
+      event.node.res.end(JSON.stringify(errorChunk));
+    } else {
+      sse.send(errorChunk);
+      sse.send('[DONE]');
+      sse.close();
+    }
+  }
+});
@@ -0,0 +1,21 @@
+import { defineEventHandler } from 'h3';
+import { getModelCatalog, flattenCatalog } from '../../utils/modelCatalog';
+
+/**
+ * OpenAI-compatible model list, built from the merged model catalog (see utils/modelCatalog.js)
+ */
+export default defineEventHandler(async (event) => {
+  const catalog = await getModelCatalog(useRuntimeConfig(event));
+
+  const data = flattenCatalog(catalog.models).map(model => ({
+    id: model.id,
+    object: 'model',
+    created: 0,
+    owned_by: model.id.split('/')[0],
+    name: model.name,
+    description: model.description,
+    ...(model.context_length && { context_length: model.context_length })
+  }));
+
+  return { object: 'list', data };
+});
@@ -0,0 +1,142 @@
+/**
+ * @file errors.js
+ * @description Classifies upstream failures into a small set of categories the chat UI
+ * knows how to recover from. Every API route reports errors as:
+ *
+ *   { error: { type, category, message, code, retryAfter? } }
+ *
+ * `type` keeps the upstream/OpenAI error type for compatibility; `category` is one of
+ * `ERROR_CATEGORIES` and decides which recovery action the client offers.
+ */
+
+export const ERROR_CATEGORIES = {
+  INVALID_API_KEY: 'invalid_api_key',
+  RATE_LIMITED: 'rate_limited',
+  CONTEXT_LENGTH_EXCEEDED: 'context_length_exceeded',
+  MODEL_UNAVAILABLE: 'model_unavailable',
+  CONTENT_FILTERED: 'content_filtered',
+  NETWORK_TIMEOUT: 'network_timeout',
+  UNKNOWN: 'unknown'
+};
+
+const CONTEXT_LENGTH_PATTERN = /context.{0,20}(length|window|limit)|maximum.{0,20}tokens|too many tokens|prompt is too long|token limit|reduce the length/i;
+const CONTENT_FILTER_PATTERN = /content.?(filter|policy|management)|moderation|flagged|safety (system|filter)/i;
+const MODEL_UNAVAILABLE_PATTERN = /model.{0,40}(not found|does not exist|not available|unavailable|not supported|deprecated)|no endpoints found|no allowed providers|overloaded/i;
+const INVALID_KEY_PATTERN = /api.?key|unauthori[sz]ed|authentication|invalid.{0,10}token|expired/i;
+const NETWORK_ERROR_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'];
+
+/**
+ * Read a header from either a Headers instance or a plain object
+ */
+function getHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name] ?? null;
+}
+
+/**
+ * Seconds to wait before retrying, from Retry-After style headers or the error body
+ * @param {Error} error - Upstream error
+ * @returns {number|null}
+ */
+function getRetryAfter(error) {
+  const retryAfterMs = Number(getHeader(error.headers, 'retry-after-ms'));
+  if (retryAfterMs > 0) return Math.ceil(retryAfterMs / 1000);
+
+  const retryAfter = getHeader(error.headers, 'retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (seconds > 0) return Math.ceil(seconds);
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(1, Math.ceil((date - Date.now()) / 1000));
+  }
+
+  // Our own RateLimitError carries the reset time
+  if (error.resetAt) {
+    return Math.max(1, Math.ceil((new Date(error.resetAt).getTime() - Date.now()) / 1000));
+  }
+
+  const reset = Number(getHeader(error.headers, 'x-ratelimit-reset'));
+  if (reset > 0) {
+    // Either epoch milliseconds or seconds from now
+    return reset > 1e12 ? Math.max(1, Math.ceil((reset - Date.now()) / 1000)) : Math.ceil(reset);
+  }
+
+  return null;
+}
+
+/**
+ * Pick the category for an upstream error
+ * @param {Error} error - Error thrown by the OpenAI SDK, fetch or our own helpers
+ * @returns {string} One of ERROR_CATEGORIES
+ */
+function getCategory(error) {
+  const status = error.status;
+  // Providers often put the useful text in the raw body rather than the SDK message
+  const text = [
+    error.message,
+    error.code,
+    error.type,
+    error.error?.message,
+    error.error?.code,
+    error.error?.metadata?.raw
+  ].filter(Boolean).join(' ');
+
+  if (
+    error.name === 'APIConnectionTimeoutError' ||
+    error.name === 'TimeoutError' ||
+    NETWORK_ERROR_CODES.includes(error.code || error.cause?.code) ||
+    status === 408 ||
+    status === 504
+  ) {
+    return ERROR_CATEGORIES.NETWORK_TIMEOUT;
+  }
+
+  if (status === 429 || error.type === 'rate_limit_error') {
+    return ERROR_CATEGORIES.RATE_LIMITED;
+  }
+
+  if (CONTENT_FILTER_PATTERN.test(text)) {
+    return ERROR_CATEGORIES.CONTENT_FILTERED;
+  }
+
+  if (status === 413 || CONTEXT_LENGTH_PATTERN.test(text)) {
+    return ERROR_CATEGORIES.CONTEXT_LENGTH_EXCEEDED;
+  }
+
+  if (status === 401 || ([402, 403].includes(status) && INVALID_KEY_PATTERN.test(text))) {
+    return ERROR_CATEGORIES.INVALID_API_KEY;
+  }
+
+  if (status === 404 || status === 503 || MODEL_UNAVAILABLE_PATTERN.test(text)) {
+    return ERROR_CATEGORIES.MODEL_UNAVAILABLE;
+  }
+
+  if (error.name === 'APIConnectionError' || (!status && error.cause)) {
+    return ERROR_CATEGORIES.NETWORK_TIMEOUT;
+  }
+
+  return ERROR_CATEGORIES.UNKNOWN;
+}
+
+/**
+ * Turn any upstream failure into the `error` payload sent to clients
+ * @param {Error} error - The caught error
+ * @returns {{ type: string, category: string, message: string, code: number, retryAfter?: number }}
+ */
+export function classifyError(error) {
+  const category = getCategory(error);
+  const classified = {
+    type: error.type || 'api_error',
+    category,
+    message: error.message || 'Failed to connect to AI service',
+    code: error.status || (category === ERROR_CATEGORIES.NETWORK_TIMEOUT ? 504 : 500)
+  };
+
+  if (category === ERROR_CATEGORIES.RATE_LIMITED) {
+    const retryAfter = getRetryAfter(error);
+    if (retryAfter) classified.retryAfter = retryAfter;
+  }
+
+  return classified;
+}
@@ -0,0 +1,153 @@
+/**
+ * @file health.js
+ * @description Cached health of the configured AI providers.
+ * Hack Club is checked through its `/up` endpoint, which also reports the shared key's budget;
+ * other providers through their OpenAI-compatible `/models` listing. Providers are checked
+ * at most once per TTL, no matter how many clients poll; concurrent requests during a
+ * refresh share the same in-flight check.
+ *
+ * The snapshot describes the default provider at the top level (what the status badge shows)
+ * and every provider under `providers`, with its model prefix so the client can find the
+ * provider of the selected model.
+ *
+ * Status is one of:
+ * - `up`: reachable with budget left
+ * - `degraded`: reachable but slow, or reporting a non-`up` status of its own
+ * - `down`: unreachable, or the daily budget/balance is used up
+ */
+
+import { mockHealth } from './mock';
+import { getProviders, resolveProvider, DEFAULT_PROVIDER_ID } from './providers';
+
+const HEALTH_URL = 'https://ai.hackclub.com/up';
+const DEFAULT_TTL_SECONDS = 30;
+const CHECK_TIMEOUT_MS = 10000;
+// Responses slower than this are reported as degraded
+const SLOW_RESPONSE_MS = 3000;
+
+let cached = null;
+let inFlight = null;
+
+/**
+ * Query Hack Club's status endpoint and derive a status
+ * @returns {Promise<Object>} Health snapshot
+ */
+async function checkHackClubHealth() {
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(HEALTH_URL, { signal: AbortSignal.timeout(CHECK_TIMEOUT_MS) });
+    const latencyMs = Date.now() - startedAt;
+
+    if (!response.ok) {
+      return { status: 'down', reason: 'api_unreachable', latencyMs };
+    }
+
+    const data = await response.json();
+    const health = {
+      status: data.status || 'up',
+      dailyKeyUsageRemaining: data.dailyKeyUsageRemaining,
+      balanceRemaining: data.balanceRemaining,
+      timestamp: data.timestamp,
+      latencyMs
+    };
+
+    if (health.dailyKeyUsageRemaining !== undefined && health.dailyKeyUsageRemaining <= 0) {
+      return { ...health, status: 'down', reason: 'budget_exhausted' };
+    }
+    if (health.balanceRemaining !== undefined && health.balanceRemaining <= 0) {
+      return { ...health, status: 'down', reason: 'balance_depleted' };
+    }
+    if (health.status !== 'up' && health.status !== 'down') {
+      return { ...health, status: 'degraded', reason: 'upstream_degraded' };
+    }
+    if (health.status === 'up' && latencyMs > SLOW_RESPONSE_MS) {
+      return { ...health, status: 'degraded', reason: 'slow_response' };
+    }
+    return health;
+  } catch (error) {
+    return { status: 'down', reason: 'network_error', latencyMs: Date.now() - startedAt };
+  }
+}
+
+/**
+ * Query an OpenAI-compatible provider's model listing and derive a status
+ * @param {Object} provider - Provider from getProviders
+ * @returns {Promise<Object>} Health snapshot
+ */
+async function checkProviderHealth(provider) {
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(`${provider.baseURL.replace(/\/+$/, '')}/models`, {
+      headers: provider.apiKey ? { Authorization: `Bearer ${provider.apiKey}` } : {},
+      signal: AbortSignal.timeout(CHECK_TIMEOUT_MS)
+    });
+    const latencyMs = Date.now() - startedAt;
+
+    if (!response.ok) {
+      return { status: 'down', reason: 'api_unreachable', latencyMs };
+    }
+    if (latencyMs > SLOW_RESPONSE_MS) {
+      return { status: 'degraded', reason: 'slow_response', latencyMs };
+    }
+    return { status: 'up', latencyMs };
+  } catch (error) {
+    return { status: 'down', reason: 'network_error', latencyMs: Date.now() - startedAt };
+  }
+}
+
+/**
+ * Check every provider and build the combined snapshot
+ * @param {Array<Object>} providers - Providers from getProviders
+ * @param {string} defaultId - ID of the provider serving unprefixed models
+ * @param {Function} check - Health check for one provider
+ * @returns {Promise<Object>} Health snapshot
+ */
+async function checkHealth(providers, defaultId, check) {
+  const results = await Promise.all(providers.map(async provider => ({
+    id: provider.id,
+    prefix: provider.prefix,
+    ...(await check(provider))
+  })));
+
+  const { id, prefix, ...defaultHealth } = results.find(result => result.id === defaultId) || results[0];
+  return { ...defaultHealth, provider: id, providers: results };
+}
+
+/**
+ * Get the health of the configured providers, refreshing it if the cached copy is
+ * older than the TTL
+ * @param {Object} config - Runtime config
+ * @returns {Promise<Object>} Health snapshot with `checkedAt` (ISO) and `ttl` (seconds)
+ */
+export async function getHealth(config) {
+  const ttl = Number(config.healthCacheTtl) || DEFAULT_TTL_SECONDS;
+  const providers = getProviders(config);
+  const defaultId = resolveProvider(config).provider.id;
+
+  if (config.mockUpstream) {
+    const health = await checkHealth(providers, defaultId, mockHealth);
+    return { ...health, checkedAt: new Date().toISOString(), ttl };
+  }
+
+  if (cached && Date.now() - cached.checkedAtMs < ttl * 1000) {
+    return cached.health;
+  }
+
+  const check = provider => provider.id === DEFAULT_PROVIDER_ID
+    ? checkHackClubHealth()
+    : checkProviderHealth(provider);
+
+  inFlight ||= checkHealth(providers, defaultId, check)
+    .then((health) => {
+      const checkedAtMs = Date.now();
+      cached = { checkedAtMs, health: { ...health, checkedAt: new Date(checkedAtMs).toISOString(), ttl } };
+      return cached.health;
+    })
+    .finally(() => {
+      inFlight = null;
+    });
+
+  return inFlight;
+}
@@ -0,0 +1,187 @@
+/**
+ * @file images.js
+ * @description Normalizes the different ways providers return generated images into
+ * one shape before they are forwarded to the client:
+ *
+ *   { type: 'image_url', image_url: { url: 'data:image/png;base64,...' }, revised_prompt?: string }
+ *
+ * Handled inputs:
+ * - `images` arrays on `message`/`delta` (OpenRouter style `image_url` objects, `{ url }`,
+ *   `{ b64_json }` as returned by the images API, or bare base64 strings)
+ * - content part arrays containing `image_url` or base64 `image` parts
+ * - JSON-wrapped content such as `{"text": "...", "images": [...]}`
+ * - Markdown images with inline data URLs
+ */
+
+// Magic-number prefixes of base64-encoded image formats
+const BASE64_SIGNATURES = {
+  iVBORw0KGgo: 'image/png',
+  '/9j/': 'image/jpeg',
+  R0lGOD: 'image/gif',
+  UklGR: 'image/webp'
+};
+
+const INLINE_IMAGE_PATTERN = /!\[[^\]]*\]\((data:image\/[a-z+]+;base64,[A-Za-z0-9+/=]+)\)/g;
+
+/**
+ * Turn a URL or raw base64 payload into something an <img> can load
+ * @param {string} value - http(s) URL, data URL or bare base64
+ * @returns {string|null}
+ */
+function toImageUrl(value) {
+  if (typeof value !== 'string' || !value) return null;
+  if (/^(data:|https?:)/.test(value)) return value;
+
+  const signature = Object.keys(BASE64_SIGNATURES).find(prefix => value.startsWith(prefix));
+  if (!signature) return null;
+  return `data:${BASE64_SIGNATURES[signature]};base64,${value}`;
+}
+
+/**
+ * Normalize a single image entry
+ * @param {Object|string} image - Image entry in any supported provider format
+ * @returns {Object|null} Normalized image or null if no usable URL was found
+ */
+function normalizeImage(image) {
+  if (!image) return null;
+
+  if (typeof image === 'string') {
+    const url = toImageUrl(image);
+    return url ? { type: 'image_url', image_url: { url } } : null;
+  }
+
+  const url = toImageUrl(
+    (typeof image.image_url === 'string' ? image.image_url : image.image_url?.url) ||
+    image.url ||
+    image.b64_json ||
+    image.data ||
+    image.source?.data
+  );
+  if (!url) return null;
+
+  const normalized = { type: 'image_url', image_url: { url } };
+  if (image.revised_prompt) {
+    normalized.revised_prompt = image.revised_prompt;
+  }
+  return normalized;
+}
+
+/**
+ * Normalize an array of image entries, dropping unusable ones
+ * @param {Array} images - Image entries in any supported format
+ * @returns {Array<Object>}
+ */
+export function normalizeImages(images) {
+  if (!Array.isArray(images)) return [];
+  return images.map(normalizeImage).filter(Boolean);
+}
+
+/**
+ * Split message content into text and images
+ * @param {string|Array|null} content - Message or delta content
+ * @returns {{ text: string|null, images: Array<Object> }}
+ */
+function extractImagesFromContent(content) {
+  if (Array.isArray(content)) {
+    const textParts = [];
+    const images = [];
+    for (const part of content) {
+      if (part?.type === 'text') {
+        textParts.push(part.text || '');
+      } else {
+        const image = normalizeImage(part);
+        if (image) images.push(image);
+      }
+    }
+    return { text: textParts.join(''), images };
+  }
+
+  if (typeof content !== 'string') {
+    return { text: content ?? null, images: [] };
+  }
+
+  // JSON-wrapped content
+  const trimmed = content.trim();
+  if (trimmed.startsWith('{') && trimmed.endsWith('}')) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      if (Array.isArray(parsed.images)) {
+        return {
+          text: parsed.text ?? parsed.content ?? '',
+          images: normalizeImages(parsed.images)
+        };
+      }
+    } catch (e) {
+      // Not JSON after all, treat as plain text
+    }
+  }
+
+  // Markdown images with inline base64 data
+  if (content.includes('](data:image/')) {
+    const images = [];
+    const text = content.replace(INLINE_IMAGE_PATTERN, (match, url) => {
+      images.push({ type: 'image_url', image_url: { url } });
+      return '';
+    });
+    return { text, images };
+  }
+
+  return { text: content, images: [] };
+}
+
+/**
+ * Normalize a message-like object in place, moving every image it carries into `images`
+ * @param {Object} target - A choice's `message` or `delta`
+ * @param {Array} [extraImages] - Images found elsewhere on the choice
+ */
+function normalizeMessageImages(target, extraImages = []) {
+  const { text, images: contentImages } = extractImagesFromContent(target.content);
+  const images = [...normalizeImages(target.images), ...normalizeImages(extraImages), ...contentImages];
+
+  if (contentImages.length > 0 || Array.isArray(target.content)) {
+    target.content = text;
+  }
+
+  if (images.length > 0) {
+    target.images = images;
+  } else {
+    delete target.images;
+  }
+}
+
+/**
+ * Normalize every image in a non-streaming completion
+ * @param {Object} completion - Chat completion response
+ * @returns {Object} The same completion, mutated
+ */
+export function normalizeCompletionImages(completion) {
+  for (const choice of completion.choices || []) {
+    if (choice.message) {
+      normalizeMessageImages(choice.message);
+    }
+  }
+  return completion;
+}
+
+/**
+ * Normalize every image in a streaming chunk.
+ * Some providers put images on `choice.message` even while streaming, so they are
+ * moved onto `choice.delta` where the client reads them.
+ * @param {Object} chunk - Chat completion chunk
+ * @returns {Object} The same chunk, mutated
+ */
+export function normalizeChunkImages(chunk) {
+  for (const choice of chunk.choices || []) {
+    const messageImages = choice.message?.images || [];
+    if (choice.message) {
+      delete choice.message.images;
+    }
+
+    if (!choice.delta) {
+      if (messageImages.length === 0) continue;
+      choice.delta = {};
+    }
+    normalizeMessageImages(choice.delta, messageImages);
+  }
+  return chunk;
+}
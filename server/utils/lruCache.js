@@ -0,0 +1,57 @@
+/**
+ * @file lruCache.js
+ * @description Small in-memory LRU cache with a per-entry TTL.
+ * Relies on Map keeping insertion order: re-inserting on read moves an entry to the
+ * most-recently-used end, so the first key is always the one to evict.
+ */
+
+export class LRUCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+   * @param {number} options.ttlMs - How long an entry stays fresh
+   */
+  constructor({ maxEntries, ttlMs }) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a fresh value, or undefined if missing or expired
+   * @param {string} key
+   * @returns {*}
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    this.entries.delete(key);
+    if (Date.now() > entry.expiresAt) return undefined;
+
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entry when full
+   * @param {string} key
+   * @param {*} value
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
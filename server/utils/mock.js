@@ -0,0 +1,451 @@
+/**
+ * @file mock.js
+ * @description Offline stand-in for every upstream the server talks to: chat completions,
+ * embeddings, speech, transcription, web search, page fetches and the Hack Club `/up` health check.
+ * Enabled with `runtimeConfig.mockUpstream` (`NUXT_MOCK_UPSTREAM=true`).
+ *
+ * Chat responses are scripted from tags in the last user message, so each UI path can be
+ * exercised deterministically:
+ * - `[reasoning]` streams reasoning deltas before the answer
+ * - `[search]` calls the `search` tool (when offered), then answers from the results
+ * - `[read]` calls the `readPage` tool (when offered) on the first URL in the message
+ * - `[memory]` calls the `addMemory` tool (when offered)
+ * - `[image]` returns a generated image
+ * - `[error]` streams part of an answer, then fails mid-stream
+ * - `[ratelimit]` fails up front with a 429
+ * Anything else gets a short Markdown answer with code and LaTeX.
+ */
+
+const EMBEDDING_DIMENSIONS = 768;
+
+// 8x8 solid indigo PNG
+const MOCK_IMAGE_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAgAAAAICAIAAABLbSncAAAAEUlEQVR4nGPwd3uKFTEMLQkAx2Rege9i6lUAAAAASUVORK5CYII=';
+
+const DEFAULT_ANSWER = `This is a **mock response** from the offline upstream.
+
+\`\`\`js
+console.log("Hello from the mock provider");
+\`\`\`
+
+Inline math like $e^{i\\pi} + 1 = 0$ renders too.`;
+
+/**
+ * Error shaped like the OpenAI SDK's APIError
+ */
+function mockApiError(status, message, type = 'api_error', headers = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.type = type;
+  error.headers = headers;
+  return error;
+}
+
+/**
+ * Resolve after a delay, rejecting early if the request is aborted
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+/**
+ * Split text into small pieces to simulate token streaming
+ */
+function toTokens(text) {
+  return text.match(/\s*\S+|\s+/g) || [];
+}
+
+/**
+ * Rough token estimate used for mock usage numbers
+ */
+function countTokens(value) {
+  return Math.ceil(JSON.stringify(value ?? '').length / 4);
+}
+
+/**
+ * Decide what the mock should answer with for this request
+ * @param {Object} params - Chat completion request params
+ * @returns {{ reasoning?: string, content?: string, toolCalls?: Array, images?: Array, failAfter?: boolean, failUpfront?: boolean }}
+ */
+function buildScript(params) {
+  const messages = params.messages || [];
+  const lastMessage = messages[messages.length - 1];
+  const lastUser = [...messages].reverse().find(msg => msg.role === 'user');
+  const text = typeof lastUser?.content === 'string'
+    ? lastUser.content
+    : (lastUser?.content || []).filter(part => part.type === 'text').map(part => part.text).join(' ');
+  const toolNames = (params.tools || []).map(tool => tool.function?.name);
+
+  if (text.includes('[ratelimit]')) {
+    return { failUpfront: true };
+  }
+
+  // Second round after a tool call: answer from the tool result
+  if (lastMessage?.role === 'tool') {
+    let summary = lastMessage.content;
+    try {
+      const result = JSON.parse(lastMessage.content);
+      if (Array.isArray(result?.results)) {
+        summary = result.results.map((r, i) => `${i + 1}. [${r.title}](${r.url})`).join('\n');
+      } else if (result?.content && result?.url) {
+        summary = `**${result.title || result.url}**\n\n${result.content.slice(0, 500)}`;
+      } else if (result?.message) {
+        summary = result.message;
+      }
+    } catch (e) {
+      // Plain-text tool result, use as-is
+    }
+    return { content: `Here is what the \`${lastMessage.name}\` tool returned:\n\n${summary}` };
+  }
+
+  const script = {};
+
+  if (text.includes('[reasoning]')) {
+    script.reasoning = 'The user asked for reasoning. Let me think about this step by step before answering.';
+  }
+
+  if (text.includes('[search]') && toolNames.includes('search')) {
+    script.toolCalls = [{
+      id: 'call_mock_search',
+      type: 'function',
+      function: { name: 'search', arguments: JSON.stringify({ q: text.replace('[search]', '').trim() || 'mock query' }) }
+    }];
+    return script;
+  }
+
+  if (text.includes('[read]') && toolNames.includes('readPage')) {
+    const url = text.match(/https?:\/\/\S+/)?.[0] || 'https://example.com/mock-article';
+    script.toolCalls = [{
+      id: 'call_mock_read',
+      type: 'function',
+      function: { name: 'readPage', arguments: JSON.stringify({ url }) }
+    }];
+    return script;
+  }
+
+  if (text.includes('[memory]') && toolNames.includes('addMemory')) {
+    script.toolCalls = [{
+      id: 'call_mock_memory',
+      type: 'function',
+      function: { name: 'addMemory', arguments: JSON.stringify({ fact: 'The user is testing the mock provider' }) }
+    }];
+    return script;
+  }
+
+  if (text.includes('[image]')) {
+    script.content = 'Here is your generated image.';
+    script.images = [{ type: 'image_url', image_url: { url: `data:image/png;base64,${MOCK_IMAGE_BASE64}` } }];
+    return script;
+  }
+
+  script.content = DEFAULT_ANSWER;
+  script.failAfter = text.includes('[error]');
+  return script;
+}
+
+/**
+ * Build a chunk in the chat.completion.chunk format
+ */
+function makeChunk(params, delta, finishReason = null) {
+  return {
+    id: 'chatcmpl-mock',
+    object: 'chat.completion.chunk',
+    created: Math.floor(Date.now() / 1000),
+    model: params.model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  };
+}
+
+/**
+ * Stream a script as completion chunks
+ */
+async function* streamScript(params, script, delayMs, signal) {
+  const usage = {
+    prompt_tokens: countTokens(params.messages),
+    completion_tokens: 0,
+    total_tokens: 0,
+    cost: 0
+  };
+
+  yield makeChunk(params, { role: 'assistant', content: '' });
+
+  for (const token of toTokens(script.reasoning || '')) {
+    await sleep(delayMs, signal);
+    usage.completion_tokens++;
+    yield makeChunk(params, { reasoning: token });
+  }
+
+  const contentTokens = toTokens(script.content || '');
+  for (let i = 0; i < contentTokens.length; i++) {
+    await sleep(delayMs, signal);
+    if (script.failAfter && i === Math.floor(contentTokens.length / 2)) {
+      throw mockApiError(502, 'Mock upstream failed mid-stream');
+    }
+    usage.completion_tokens++;
+    yield makeChunk(params, { content: contentTokens[i] });
+  }
+
+  if (script.images) {
+    await sleep(delayMs, signal);
+    yield makeChunk(params, { images: script.images });
+  }
+
+  if (script.toolCalls) {
+    for (const [index, toolCall] of script.toolCalls.entries()) {
+      await sleep(delayMs, signal);
+      yield makeChunk(params, {
+        tool_calls: [{ index, id: toolCall.id, type: 'function', function: { name: toolCall.function.name, arguments: '' } }]
+      });
+      yield makeChunk(params, {
+        tool_calls: [{ index, function: { arguments: toolCall.function.arguments } }]
+      });
+      usage.completion_tokens += countTokens(toolCall.function.arguments);
+    }
+  }
+
+  yield makeChunk(params, {}, script.toolCalls ? 'tool_calls' : 'stop');
+
+  if (params.stream_options?.include_usage) {
+    usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+    yield { ...makeChunk(params, {}), choices: [], usage };
+  }
+}
+
+/**
+ * Deterministic bag-of-words embedding, so texts sharing words land close together
+ * @param {string} text - Input text
+ * @param {number} dimensions - Vector size
+ * @returns {Array<number>}
+ */
+function mockEmbedding(text, dimensions = EMBEDDING_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const words = String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+
+  for (const word of words) {
+    // FNV-1a hash seeds a small LCG per word
+    let seed = 2166136261;
+    for (let i = 0; i < word.length; i++) {
+      seed = Math.imul(seed ^ word.charCodeAt(i), 16777619) >>> 0;
+    }
+    for (let i = 0; i < dimensions; i++) {
+      seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+      vector[i] += seed / 4294967296 - 0.5;
+    }
+  }
+
+  return vector;
+}
+
+/**
+ * Silent 8kHz mono 16-bit WAV, standing in for synthesized speech
+ * @param {number} seconds - Duration
+ * @returns {Buffer}
+ */
+function createSilentWav(seconds) {
+  const sampleRate = 8000;
+  const dataSize = Math.round(seconds * sampleRate) * 2;
+  const wav = Buffer.alloc(44 + dataSize);
+
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + dataSize, 4);
+  wav.write('WAVEfmt ', 8);
+  wav.writeUInt32LE(16, 16); // fmt chunk size
+  wav.writeUInt16LE(1, 20); // PCM
+  wav.writeUInt16LE(1, 22); // mono
+  wav.writeUInt32LE(sampleRate, 24);
+  wav.writeUInt32LE(sampleRate * 2, 28); // byte rate
+  wav.writeUInt16LE(2, 32); // block align
+  wav.writeUInt16LE(16, 34); // bits per sample
+  wav.write('data', 36);
+  wav.writeUInt32LE(dataSize, 40);
+  return wav;
+}
+
+/**
+ * Create a client with the same surface as the OpenAI SDK methods the server uses
+ * @param {Object} [options]
+ * @param {number} [options.delayMs=20] - Delay between streamed chunks
+ * @returns {Object} OpenAI-like client
+ */
+export function createMockClient({ delayMs = 20 } = {}) {
+  return {
+    chat: {
+      completions: {
+        async create(params, { signal } = {}) {
+          const script = buildScript(params);
+          if (script.failUpfront) {
+            throw mockApiError(429, 'Mock upstream is rate limited', 'rate_limit_error', { 'retry-after': '30' });
+          }
+
+          if (params.stream) {
+            return streamScript(params, script, delayMs, signal);
+          }
+
+          const completionTokens = countTokens(script.content) + countTokens(script.reasoning);
+          const promptTokens = countTokens(params.messages);
+          return {
+            id: 'chatcmpl-mock',
+            object: 'chat.completion',
+            created: Math.floor(Date.now() / 1000),
+            model: params.model,
+            choices: [{
+              index: 0,
+              message: {
+                role: 'assistant',
+                content: script.content || '',
+                ...(script.reasoning && { reasoning: script.reasoning }),
+                ...(script.images && { images: script.images }),
+                ...(script.toolCalls && { tool_calls: script.toolCalls })
+              },
+              finish_reason: script.toolCalls ? 'tool_calls' : 'stop'
+            }],
+            usage: {
+              prompt_tokens: promptTokens,
+              completion_tokens: completionTokens,
+              total_tokens: promptTokens + completionTokens,
+              cost: 0
+            }
+          };
+        }
+      }
+    },
+
+    audio: {
+      speech: {
+        async create({ input = '', speed = 1 }) {
+          await sleep(delayMs * 10);
+          // Silence roughly as long as the text would take to read
+          const seconds = Math.min(30, Math.max(1, input.length / 15 / speed));
+          return new Response(createSilentWav(seconds), { headers: { 'Content-Type': 'audio/wav' } });
+        }
+      },
+      transcriptions: {
+        async create({ file }) {
+          await sleep(delayMs * 10);
+          return { text: `This is a mock transcription of ${file?.name || 'your recording'}.` };
+        }
+      }
+    },
+
+    embeddings: {
+      async create({ model, input, dimensions = EMBEDDING_DIMENSIONS }) {
+        const inputs = Array.isArray(input) ? input : [input];
+        return {
+          object: 'list',
+          model,
+          data: inputs.map((text, index) => ({
+            object: 'embedding',
+            index,
+            embedding: mockEmbedding(text, dimensions)
+          })),
+          usage: { prompt_tokens: countTokens(inputs), total_tokens: countTokens(inputs) }
+        };
+      }
+    }
+  };
+}
+
+/**
+ * Mock search in the search API's response shapes: `web.results` for web search,
+ * top-level `results` for news and images. A `site:` operator in the query sets the
+ * result domain, and one result repeats with a tracking parameter to exercise de-duplication.
+ * @param {Object} params - Search params ({ q, count, vertical })
+ * @returns {Object}
+ */
+export function mockSearch({ q, count = 5, vertical = 'web' }) {
+  const total = Math.min(Number(count) || 5, 20);
+  const site = String(q).match(/site:([^\s)]+)/)?.[1] || 'example.com';
+  const topic = String(q).replace(/\(?-?site:[^\s)]+\)?|\bOR\b/g, '').trim().replace(/\s+/g, ' ');
+  const slug = encodeURIComponent(topic.toLowerCase().replace(/\s+/g, '-'));
+
+  const results = Array.from({ length: total }, (_, i) => ({
+    title: `Mock result ${i + 1} for "${topic}"`,
+    url: `https://${site}/${slug}/${i + 1}`,
+    description: `A scripted search result about ${topic}.`,
+    age: 'January 1, 2026'
+  }));
+  if (results.length > 1) {
+    results[results.length - 1].url = `https://www.${site}/${slug}/1/?utm_source=mock`;
+  }
+
+  if (vertical === 'news') {
+    return {
+      type: 'news',
+      query: { original: q },
+      results: results.map(result => ({ ...result, meta_url: { hostname: site } }))
+    };
+  }
+
+  if (vertical === 'images') {
+    return {
+      type: 'images',
+      query: { original: q },
+      results: results.map((result, i) => ({
+        title: result.title,
+        url: result.url,
+        source: site,
+        thumbnail: { src: `https://${site}/${slug}/${i + 1}/thumb.png` },
+        properties: { url: `https://${site}/${slug}/${i + 1}/full.png` }
+      }))
+    };
+  }
+
+  return { query: { original: q }, web: { results } };
+}
+
+/**
+ * Mock article page for `/api/fetch`, wrapped in the navigation, sidebar and comments
+ * that extraction should strip
+ * @param {string} url - Requested URL
+ * @returns {string} HTML
+ */
+export function mockPage(url) {
+  const { hostname, pathname } = new URL(url);
+  const topic = decodeURIComponent(pathname.split('/').filter(Boolean).pop() || 'home').replace(/[-_]+/g, ' ');
+  const paragraphs = Array.from({ length: 6 }, (_, i) => `<p>Paragraph ${i + 1} about ${topic}. This scripted article exists so the page reader can be exercised offline, with enough text, commas, and sentences to score as the main content of the page.</p>`);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>${topic} | ${hostname}</title>
+  <meta property="og:site_name" content="${hostname}">
+  <meta name="description" content="A mock article about ${topic}.">
+</head>
+<body>
+  <header class="site-header"><nav><a href="/">Home</a> <a href="/about">About</a></nav></header>
+  <main>
+    <article class="post">
+      <h1>${topic}</h1>
+      ${paragraphs.slice(0, 3).join('\n      ')}
+      <h2>Details</h2>
+      <ul><li>First point about ${topic}</li><li>Second point with <a href="/more">a relative link</a></li></ul>
+      <pre><code class="language-js">console.log("${topic}");</code></pre>
+      ${paragraphs.slice(3).join('\n      ')}
+    </article>
+    <aside class="sidebar"><a href="/popular">Popular posts</a></aside>
+    <section class="comments"><p>First comment, which is not part of the article at all.</p></section>
+  </main>
+  <footer>&copy; 2026 ${hostname}</footer>
+  <script>console.log('tracking');</script>
+</body>
+</html>`;
+}
+
+/**
+ * Mock Hack Club `/up` health response
+ * @returns {Object}
+ */
+export function mockHealth() {
+  return {
+    status: 'up',
+    dailyKeyUsageRemaining: 100,
+    balanceRemaining: 100,
+    timestamp: new Date().toISOString()
+  };
+}
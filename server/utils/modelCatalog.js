@@ -0,0 +1,261 @@
+/**
+ * @file modelCatalog.js
+ * @description Merges each provider's live model list with the curated capability data
+ * in availableModels.js.
+ *
+ * - Curated models get `context_length`, `modalities` and (if not curated) `pricing`
+ * - Models the provider serves but we haven't curated are appended, grouped by vendor,
+ *   with capabilities inferred from `supported_parameters` and modalities
+ * - Curated models their provider no longer lists are dropped and aliased to a replacement
+ *
+ * The merged catalog is cached for `runtimeConfig.modelCatalogTtl` seconds. If every
+ * provider fails, the curated list is returned unchanged.
+ */
+
+import {
+  availableModels,
+  DEFAULT_MODEL_ID,
+  DEPRECATED_MODEL_IDS,
+  resolveModelAlias
+} from '../../app/composables/availableModels';
+import { getProviders, resolveProvider, createProviderClient } from './providers';
+
+const DEFAULT_TTL_SECONDS = 600;
+// How long a curated-only fallback is kept before providers are tried again
+const FALLBACK_TTL_SECONDS = 60;
+const LIST_TIMEOUT_MS = 10000;
+
+// Non-chat models that show up in provider lists
+const NON_CHAT_MODEL_PATTERN = /embed|rerank|moderation|whisper|tts|transcribe/i;
+
+let cached = null;
+let inFlight = null;
+
+/**
+ * Convert per-token price strings (OpenRouter format) to USD per million tokens
+ */
+function toPricing(pricing) {
+  const prompt = Number(pricing?.prompt);
+  const completion = Number(pricing?.completion);
+  if (!Number.isFinite(prompt) || !Number.isFinite(completion) || prompt < 0 || completion < 0) {
+    return undefined;
+  }
+  return { prompt: prompt * 1_000_000, completion: completion * 1_000_000 };
+}
+
+/**
+ * Pick the catalog metadata we pass to clients from an upstream model entry
+ */
+function toMetadata(entry) {
+  const metadata = {};
+  if (entry.context_length) metadata.context_length = entry.context_length;
+
+  const pricing = toPricing(entry.pricing);
+  if (pricing) metadata.pricing = pricing;
+
+  if (entry.architecture?.input_modalities || entry.architecture?.output_modalities) {
+    metadata.modalities = {
+      input: entry.architecture.input_modalities || ['text'],
+      output: entry.architecture.output_modalities || ['text']
+    };
+  }
+  return metadata;
+}
+
+/**
+ * Whether an upstream entry is past its announced retirement date
+ */
+function isExpired(entry) {
+  return Boolean(entry.expiration_date) && Date.parse(entry.expiration_date) < Date.now();
+}
+
+/**
+ * Capability data for a model that isn't in the curated list
+ */
+function inferModel(id, entry) {
+  const params = entry.supported_parameters || [];
+  const input = entry.architecture?.input_modalities || [];
+  const output = entry.architecture?.output_modalities || [];
+
+  return {
+    id,
+    name: entry.name?.replace(/^[^:]+:\s*/, '') || id,
+    description: entry.description?.split('\n')[0].slice(0, 140) || '',
+    // Without `supported_parameters` we can't tell, so assume the common case
+    tool_use: params.length > 0 ? params.includes('tools') : true,
+    reasoning: params.includes('reasoning')
+      ? { supported: true, toggleable: true, defaultEnabled: false }
+      : { supported: false },
+    vision: input.includes('image'),
+    ...(output.includes('image') && { image_output: true }),
+    uncurated: true,
+    ...toMetadata(entry)
+  };
+}
+
+/**
+ * List one provider's models, keyed by the ID clients use (provider prefix included)
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function listProviderModels(provider) {
+  const client = createProviderClient(provider);
+  // Fail fast: the curated list is a fine fallback, a hanging page load is not
+  const page = await client.models.list(undefined, { timeout: LIST_TIMEOUT_MS, maxRetries: 0 });
+  const entries = new Map();
+
+  for (const entry of page.data || []) {
+    if (!entry?.id || NON_CHAT_MODEL_PATTERN.test(entry.id)) continue;
+    entries.set(provider.prefix + entry.id, entry);
+  }
+  return entries;
+}
+
+/**
+ * Vendor display name and logo for grouping uncurated models
+ */
+function getVendorGroup(modelId, upstreamEntry, vendorCategories) {
+  const vendor = modelId.split('/')[0];
+  const known = vendorCategories.get(vendor);
+  if (known) return known;
+
+  const label = upstreamEntry.name?.includes(':')
+    ? upstreamEntry.name.split(':')[0].trim()
+    : vendor.charAt(0).toUpperCase() + vendor.slice(1);
+  return { category: label, logo: null };
+}
+
+/**
+ * Build the merged catalog
+ * @param {Object} config - Runtime config
+ * @returns {Promise<{ models: Array, aliases: Object, source: string, fetchedAt: string }>}
+ */
+async function buildCatalog(config) {
+  const fetchedAt = new Date().toISOString();
+  const providers = getProviders(config).filter(provider => !provider.mock);
+
+  const results = await Promise.allSettled(providers.map(listProviderModels));
+  const upstream = new Map();
+  // Only providers that answered can retire models
+  const listedProviders = new Set();
+  for (const [index, result] of results.entries()) {
+    if (result.status === 'fulfilled') {
+      listedProviders.add(providers[index].id);
+      for (const [id, entry] of result.value) upstream.set(id, entry);
+    } else {
+      console.error(`Failed to list models for provider "${providers[index].id}":`, result.reason?.message || result.reason);
+    }
+  }
+
+  // Offline, mock mode or every provider failed: curated data is all we have
+  if (upstream.size === 0) {
+    return { models: availableModels, aliases: { ...DEPRECATED_MODEL_IDS }, source: 'curated', fetchedAt };
+  }
+
+  const aliases = { ...DEPRECATED_MODEL_IDS };
+  const curatedIds = new Set();
+  // Vendor prefix -> curated category, so new models land next to their siblings
+  const vendorCategories = new Map();
+
+  const mergeModel = (model) => {
+    curatedIds.add(model.id);
+    const entry = upstream.get(model.id);
+
+    if (model.deprecated || (entry && isExpired(entry))) {
+      aliases[model.id] = model.replacedBy || DEFAULT_MODEL_ID;
+      return null;
+    }
+
+    if (!entry) {
+      // Keep the curated entry as-is if its provider couldn't be listed
+      if (!listedProviders.has(resolveProvider(config, model.id).provider.id)) return model;
+      aliases[model.id] = model.replacedBy || DEFAULT_MODEL_ID;
+      return null;
+    }
+
+    const { pricing, ...metadata } = toMetadata(entry);
+    return { ...metadata, ...(pricing && !model.pricing && { pricing }), ...model };
+  };
+
+  const models = [];
+  for (const item of availableModels) {
+    if (!item.category) {
+      const merged = mergeModel(item);
+      if (merged) models.push(merged);
+      continue;
+    }
+
+    const merged = item.models.map(mergeModel).filter(Boolean);
+    for (const model of item.models) {
+      vendorCategories.set(model.id.split('/')[0], item);
+    }
+    if (merged.length > 0) {
+      models.push({ ...item, models: merged });
+    }
+  }
+
+  // Append models the provider serves that aren't curated yet
+  const extraGroups = new Map();
+  for (const [id, entry] of upstream) {
+    if (curatedIds.has(id) || isExpired(entry) || aliases[id]) continue;
+
+    const group = getVendorGroup(id, entry, vendorCategories);
+    let target = models.find(item => item.category === group.category);
+    if (!target) {
+      target = extraGroups.get(group.category);
+      if (!target) {
+        target = { category: group.category, logo: group.logo, models: [] };
+        extraGroups.set(group.category, target);
+      }
+    }
+    target.models.push(inferModel(id, entry));
+  }
+
+  const sortedExtras = [...extraGroups.values()]
+    .sort((a, b) => a.category.localeCompare(b.category));
+  const merged = [...models, ...sortedExtras];
+
+  // Make sure no alias points at a model that is itself gone
+  const liveIds = new Set(flattenCatalog(merged).map(model => model.id));
+  for (const id of Object.keys(aliases)) {
+    if (!liveIds.has(resolveModelAlias(id, aliases))) {
+      aliases[id] = DEFAULT_MODEL_ID;
+    }
+  }
+
+  return { models: merged, aliases, source: 'provider', fetchedAt };
+}
+
+/**
+ * Get the merged model catalog, rebuilding it when the cached copy is older than the TTL
+ * @param {Object} config - Runtime config
+ * @returns {Promise<{ models: Array, aliases: Object, source: string, fetchedAt: string }>}
+ */
+export async function getModelCatalog(config) {
+  const ttl = Number(config.modelCatalogTtl) || DEFAULT_TTL_SECONDS;
+
+  if (cached && Date.now() - cached.builtAt < cached.ttl * 1000) {
+    return cached.catalog;
+  }
+
+  inFlight ||= buildCatalog(config)
+    .then((catalog) => {
+      // Don't hold on to a curated-only fallback for the full TTL
+      const cacheFor = catalog.source === 'provider' ? ttl : Math.min(ttl, FALLBACK_TTL_SECONDS);
+      cached = { builtAt: Date.now(), ttl: cacheFor, catalog };
+      return catalog;
+    })
+    .finally(() => {
+      inFlight = null;
+    });
+
+  return inFlight;
+}
+
+/**
+ * Flatten the catalog's category groups into a list of models
+ * @param {Array} models - Catalog `models`
+ * @returns {Array<Object>}
+ */
+export function flattenCatalog(models) {
+  return models.flatMap(item => (item.category ? item.models : [item]));
+}
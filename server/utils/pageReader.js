@@ -0,0 +1,421 @@
+import { lookup } from 'node:dns/promises';
+import { isIP } from 'node:net';
+import { request as httpRequest } from 'node:http';
+import { request as httpsRequest } from 'node:https';
+import { Readable, pipeline } from 'node:stream';
+import { createGunzip, createInflate, createBrotliDecompress } from 'node:zlib';
+import { LRUCache } from './lruCache';
+import { mockPage } from './mock';
+import { extractArticle } from './readability';
+
+/**
+ * @file pageReader.js
+ * @description Fetches a web page for `/api/fetch` and the `readPage` tool and returns its
+ * main content as markdown (see readability.js).
+ *
+ * Downloads are limited in time, size and redirects, and only reach public addresses so
+ * the tool can't be pointed at the server's own network. The connection goes to the exact
+ * address that was checked, so a second DNS answer can't redirect it (DNS rebinding).
+ * Results are cached briefly, since a model often reads the same page again in a follow-up turn.
+ */
+
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_BYTES = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+const DEFAULT_MAX_LENGTH = 12000;
+const MIN_MAX_LENGTH = 1000;
+const MAX_MAX_LENGTH = 50000;
+
+const CACHE_ENTRIES = 100;
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; LibreAssistant; +https://github.com/Mostlime12195/Libre-Assistant)';
+
+const cache = new LRUCache({ maxEntries: CACHE_ENTRIES, ttlMs: CACHE_TTL_MS });
+
+const DECOMPRESSORS = {
+    gzip: createGunzip,
+    'x-gzip': createGunzip,
+    deflate: createInflate,
+    br: createBrotliDecompress
+};
+
+/**
+ * Expand an IPv6 address into its 16 bytes, whatever notation it uses
+ * (`::` compression, a dotted IPv4 tail, a zone ID)
+ * @param {string} address - A valid IPv6 address
+ * @returns {number[]}
+ */
+function parseIPv6(address) {
+    let text = address.toLowerCase().split('%')[0];
+
+    const dotted = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted[2].split('.').map(Number);
+        text = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const [head, tail] = text.split('::');
+    const headParts = head ? head.split(':') : [];
+    const tailParts = tail ? tail.split(':') : [];
+    const hextets = tail === undefined
+        ? headParts
+        : [...headParts, ...Array(8 - headParts.length - tailParts.length).fill('0'), ...tailParts];
+
+    return hextets.flatMap(hextet => {
+        const value = parseInt(hextet, 16);
+        return [value >> 8, value & 0xff];
+    });
+}
+
+/**
+ * Whether an IPv6 address is not on the internet, or carries an IPv4 address that isn't
+ * @param {number[]} bytes - The 16 bytes of the address
+ * @returns {boolean}
+ */
+function isPrivateIPv6(bytes) {
+    const embedded = start => bytes.slice(start, start + 4).join('.');
+    const zeros = (from, to) => bytes.slice(from, to).every(byte => byte === 0);
+
+    // IPv4-mapped (::ffff:a.b.c.d) and IPv4-compatible (::a.b.c.d, which covers :: and ::1)
+    if (zeros(0, 10) && ((bytes[10] === 0xff && bytes[11] === 0xff) || zeros(10, 12))) {
+        return isPrivateAddress(embedded(12));
+    }
+    // NAT64 (64:ff9b::/96); its local-use range 64:ff9b:1::/48 only exists inside a network
+    if (bytes[0] === 0x00 && bytes[1] === 0x64 && bytes[2] === 0xff && bytes[3] === 0x9b) {
+        return zeros(4, 12) ? isPrivateAddress(embedded(12)) : true;
+    }
+    // 6to4 (2002::/16) carries the IPv4 address after the prefix
+    if (bytes[0] === 0x20 && bytes[1] === 0x02) {
+        return isPrivateAddress(embedded(2));
+    }
+    // Teredo (2001::/32) and documentation (2001:db8::/32)
+    if (bytes[0] === 0x20 && bytes[1] === 0x01
+        && ((bytes[2] === 0x00 && bytes[3] === 0x00) || (bytes[2] === 0x0d && bytes[3] === 0xb8))) {
+        return true;
+    }
+    // Everything outside global unicast (2000::/3): unique local, link-local, multicast, reserved
+    return (bytes[0] & 0xe0) !== 0x20;
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on the internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+    if (isIP(address) === 6) {
+        return isPrivateIPv6(parseIPv6(address));
+    }
+
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127
+        || (a === 100 && b >= 64 && b <= 127) // Carrier-grade NAT
+        || (a === 169 && b === 254)
+        || (a === 172 && b >= 16 && b <= 31)
+        || (a === 192 && b === 168)
+        || (a === 198 && (b === 18 || b === 19)) // Benchmarking
+        || a >= 224; // Multicast and reserved
+}
+
+function assertHttpUrl(url) {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw createError({
+            statusCode: 400,
+            statusMessage: 'Only http and https URLs can be fetched.'
+        });
+    }
+}
+
+/**
+ * Reject URLs the server shouldn't fetch: other schemes, and hosts that resolve to
+ * internal addresses
+ * @param {URL} url
+ * @returns {Promise<string>} The checked address to connect to
+ * @throws {H3Error}
+ */
+async function assertPublicUrl(url) {
+    assertHttpUrl(url);
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    if (isIP(hostname)) {
+        addresses = [hostname];
+    } else {
+        try {
+            addresses = (await lookup(hostname, { all: true })).map(entry => entry.address);
+        } catch {
+            throw createError({
+                statusCode: 502,
+                statusMessage: `Couldn't resolve ${hostname}.`
+            });
+        }
+    }
+
+    if (addresses.some(isPrivateAddress)) {
+        throw createError({
+            statusCode: 403,
+            statusMessage: `${hostname} is not a public address.`
+        });
+    }
+    return addresses[0];
+}
+
+/**
+ * Wrap a Node response as a fetch Response, decompressing the body
+ * @param {import('node:http').IncomingMessage} res
+ * @returns {Response}
+ */
+function toFetchResponse(res) {
+    const headers = new Headers();
+    for (const [name, value] of Object.entries(res.headers)) {
+        for (const item of [].concat(value)) {
+            try {
+                headers.append(name, item);
+            } catch {
+                // Skip header values fetch doesn't accept
+            }
+        }
+    }
+
+    const decompress = DECOMPRESSORS[(res.headers['content-encoding'] || '').trim().toLowerCase()];
+    const stream = decompress ? pipeline(res, decompress(), () => {}) : res;
+    const hasBody = ![204, 205, 304].includes(res.statusCode);
+
+    return new Response(hasBody ? Readable.toWeb(stream) : null, {
+        status: res.statusCode,
+        statusText: res.statusMessage,
+        headers
+    });
+}
+
+/**
+ * GET a URL, connecting to the given address instead of resolving the host again
+ * @param {URL} url
+ * @param {string} address - Checked IP address of the host
+ * @param {AbortSignal} signal
+ * @returns {Promise<Response>}
+ */
+function requestPinned(url, address, signal) {
+    const family = isIP(address);
+    const pinnedLookup = (hostname, options, callback) => {
+        if (options.all) {
+            callback(null, [{ address, family }]);
+        } else {
+            callback(null, address, family);
+        }
+    };
+
+    const request = url.protocol === 'https:' ? httpsRequest : httpRequest;
+    return new Promise((resolve, reject) => {
+        const req = request(url, {
+            lookup: pinnedLookup,
+            signal,
+            headers: {
+                'User-Agent': USER_AGENT,
+                'Accept': 'text/html,application/xhtml+xml,text/plain,text/markdown,application/json;q=0.9,*/*;q=0.5',
+                'Accept-Encoding': 'gzip, deflate, br'
+            }
+        }, res => resolve(toFetchResponse(res)));
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+/**
+ * Fetch a URL, checking every redirect hop against the address rules
+ * @returns {Promise<{ response: Response, url: URL }>}
+ */
+async function fetchPublic(url, signal) {
+    let current = url;
+
+    for (let redirects = 0; ; redirects++) {
+        const address = await assertPublicUrl(current);
+        const response = await requestPinned(current, address, signal);
+
+        const location = response.headers.get('location');
+        if (response.status < 300 || response.status >= 400 || !location) {
+            return { response, url: current };
+        }
+
+        await response.body?.cancel();
+        if (redirects >= MAX_REDIRECTS) {
+            throw createError({
+                statusCode: 502,
+                statusMessage: `Too many redirects (more than ${MAX_REDIRECTS}).`
+            });
+        }
+        current = new URL(location, current);
+    }
+}
+
+/**
+ * Read at most MAX_BYTES of the body; anything longer is cut off
+ * @returns {Promise<Uint8Array>}
+ */
+async function readLimitedBody(response) {
+    if (!response.body) return new Uint8Array();
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+
+    while (size < MAX_BYTES) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        size += value.byteLength;
+    }
+    await reader.cancel().catch(() => {});
+
+    const body = new Uint8Array(Math.min(size, MAX_BYTES));
+    let offset = 0;
+    for (const chunk of chunks) {
+        const part = chunk.subarray(0, body.length - offset);
+        body.set(part, offset);
+        offset += part.length;
+    }
+    return body;
+}
+
+/**
+ * Decode with the charset from the Content-Type header, or from a `<meta>` tag for HTML
+ */
+function decodeBody(bytes, contentType) {
+    let charset = contentType.match(/charset=["']?([\w-]+)/i)?.[1];
+    if (!charset && /html/.test(contentType)) {
+        const head = new TextDecoder('latin1').decode(bytes.subarray(0, 2048));
+        charset = head.match(/<meta[^>]+charset=["']?([\w-]+)/i)?.[1];
+    }
+
+    try {
+        return new TextDecoder(charset || 'utf-8').decode(bytes);
+    } catch {
+        // Unknown label
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+}
+
+/**
+ * Turn the body into markdown according to its content type
+ * @throws {H3Error} For binary and other unsupported types
+ */
+function toMarkdown(text, contentType, url) {
+    const type = contentType.split(';')[0].trim().toLowerCase();
+
+    if (type === 'text/html' || type === 'application/xhtml+xml' || (!type && /^\s*</.test(text))) {
+        return extractArticle(text, url.href);
+    }
+    if (type === 'application/json' || type.endsWith('+json')) {
+        let pretty = text;
+        try {
+            pretty = JSON.stringify(JSON.parse(text), null, 2);
+        } catch {
+            // Not valid JSON, show it as-is
+        }
+        return { title: null, siteName: null, description: null, publishedTime: null, content: `\`\`\`json\n${pretty}\n\`\`\`` };
+    }
+    if (type.startsWith('text/')) {
+        return { title: null, siteName: null, description: null, publishedTime: null, content: text.trim() };
+    }
+
+    throw createError({
+        statusCode: 415,
+        statusMessage: `Can't read ${type || 'this'} content, only web pages and text.`
+    });
+}
+
+/**
+ * Cut content to a length, preferring a paragraph or line break, and say so
+ * @param {string} content
+ * @param {number} maxLength
+ * @returns {{ content: string, truncated: boolean }}
+ */
+function truncateContent(content, maxLength) {
+    if (content.length <= maxLength) return { content, truncated: false };
+
+    let cut = content.lastIndexOf('\n\n', maxLength);
+    if (cut < maxLength * 0.8) cut = content.lastIndexOf('\n', maxLength);
+    if (cut < maxLength * 0.8) cut = maxLength;
+
+    return {
+        content: `${content.slice(0, cut).trimEnd()}\n\n[Truncated: showing ${cut.toLocaleString('en-US')} of ${content.length.toLocaleString('en-US')} characters]`,
+        truncated: true
+    };
+}
+
+/**
+ * Fetch a page and extract its readable content as markdown
+ * @param {Object} config - Nitro runtime config
+ * @param {Object} params
+ * @param {string} params.url - http(s) URL of the page
+ * @param {number} [params.maxLength=12000] - Maximum content length in characters (1000-50000)
+ * @returns {Promise<Object>} `{ url, title, siteName, description, publishedTime, content, length, truncated }`
+ * @throws {H3Error} When the URL is invalid or not public, or the page can't be fetched or read
+ */
+export async function readPage(config, { url, maxLength = DEFAULT_MAX_LENGTH }) {
+    let target;
+    try {
+        target = new URL(String(url).trim());
+    } catch {
+        throw createError({
+            statusCode: 400,
+            statusMessage: `Invalid URL "${url}".`
+        });
+    }
+    assertHttpUrl(target);
+    target.hash = '';
+
+    const limit = Math.min(Math.max(Number(maxLength) || DEFAULT_MAX_LENGTH, MIN_MAX_LENGTH), MAX_MAX_LENGTH);
+
+    let page = cache.get(target.href);
+    if (!page) {
+        page = config.mockUpstream
+            ? { url: target.href, ...extractArticle(mockPage(target.href), target.href) }
+            : await downloadPage(target);
+        cache.set(target.href, page);
+    }
+
+    const { content, truncated } = truncateContent(page.content, limit);
+    return {
+        ...page,
+        content,
+        length: page.content.length,
+        truncated
+    };
+}
+
+/**
+ * Download and extract a page (uncached)
+ */
+async function downloadPage(target) {
+    let response;
+    let finalUrl;
+    let bytes;
+    try {
+        const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+        ({ response, url: finalUrl } = await fetchPublic(target, signal));
+        if (response.ok) bytes = await readLimitedBody(response);
+    } catch (error) {
+        if (error.statusCode) throw error;
+        throw createError({
+            statusCode: 504,
+            statusMessage: error.name === 'TimeoutError' || error.cause?.name === 'TimeoutError'
+                ? `${target.hostname} took longer than ${FETCH_TIMEOUT_MS / 1000}s to respond.`
+                : `Couldn't fetch ${target.href}: ${error.cause?.message || error.message}`
+        });
+    }
+
+    if (!response.ok) {
+        await response.body?.cancel();
+        throw createError({
+            statusCode: 502,
+            statusMessage: `${finalUrl.hostname} responded with ${response.status} ${response.statusText}`.trim()
+        });
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    const extracted = toMarkdown(decodeBody(bytes, contentType), contentType, finalUrl);
+    return { url: finalUrl.href, ...extracted };
+}
@@ -0,0 +1,132 @@
+import OpenAI from 'openai';
+import { createMockClient } from './mock';
+
+/**
+ * @file providers.js
+ * @description Registry of OpenAI-compatible upstream providers.
+ *
+ * Providers are declared in `runtimeConfig.providers`, keyed by provider ID:
+ *
+ *   providers: {
+ *     hackclub: { baseURL: 'https://ai.hackclub.com/proxy/v1', apiKey: '', prefix: '', allowCustomKey: true, usageAccounting: true },
+ *     local:    { baseURL: 'http://localhost:11434/v1', apiKey: '', prefix: 'local/' }
+ *   }
+ *
+ * A request is routed to the provider whose `prefix` is the longest match for the
+ * model ID. The prefix is stripped before the model ID is sent upstream, so
+ * `local/llama3.1` reaches the local server as `llama3.1`. Providers with an empty
+ * prefix act as the fallback; `runtimeConfig.defaultProvider` picks which one.
+ *
+ * The whole registry can be overridden with a JSON string in `NUXT_PROVIDERS`,
+ * and individual fields with e.g. `NUXT_PROVIDERS_HACKCLUB_API_KEY`.
+ *
+ * With `runtimeConfig.mockUpstream` set, every model routes to the offline mock provider.
+ */
+
+export const DEFAULT_PROVIDER_ID = 'hackclub';
+
+/**
+ * Reads the provider registry from runtime config into a normalized list.
+ * The legacy `hackclubApiKey` is used as the Hack Club provider key when none is set.
+ * @param {Object} config - Nitro runtime config
+ * @returns {Array<Object>} Normalized providers: { id, baseURL, apiKey, prefix, allowCustomKey, usageAccounting }
+ */
+export function getProviders(config) {
+  if (config.mockUpstream) {
+    return [{ id: 'mock', baseURL: 'mock://', apiKey: '', prefix: '', allowCustomKey: false, usageAccounting: false, mock: true }];
+  }
+
+  let registry = config.providers || {};
+  if (typeof registry === 'string') {
+    try {
+      registry = JSON.parse(registry);
+    } catch (error) {
+      console.error('Invalid providers config, expected JSON:', error);
+      registry = {};
+    }
+  }
+
+  const providers = Object.entries(registry)
+    .filter(([, provider]) => provider && provider.baseURL)
+    .map(([id, provider]) => ({
+      id,
+      baseURL: provider.baseURL,
+      apiKey: provider.apiKey || (id === DEFAULT_PROVIDER_ID ? config.hackclubApiKey : '') || '',
+      prefix: provider.prefix || '',
+      allowCustomKey: provider.allowCustomKey ?? id === DEFAULT_PROVIDER_ID,
+      // OpenRouter-style `usage: { include: true }` cost reporting
+      usageAccounting: provider.usageAccounting ?? id === DEFAULT_PROVIDER_ID
+    }));
+
+  // Always keep Hack Club reachable so a partial override can't break the app
+  if (!providers.some(provider => provider.id === DEFAULT_PROVIDER_ID)) {
+    providers.push({
+      id: DEFAULT_PROVIDER_ID,
+      baseURL: 'https://ai.hackclub.com/proxy/v1',
+      apiKey: config.hackclubApiKey || '',
+      prefix: '',
+      allowCustomKey: true,
+      usageAccounting: true
+    });
+  }
+
+  return providers;
+}
+
+/**
+ * Finds the provider responsible for a model ID.
+ * @param {Object} config - Nitro runtime config
+ * @param {string} modelId - Model ID as sent by the client
+ * @returns {{ provider: Object, model: string }} The provider and the upstream model ID
+ */
+export function resolveProvider(config, modelId = '') {
+  const providers = getProviders(config);
+
+  const prefixed = providers
+    .filter(provider => provider.prefix && modelId.startsWith(provider.prefix))
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+  if (prefixed.length > 0) {
+    const provider = prefixed[0];
+    return { provider, model: modelId.slice(provider.prefix.length) };
+  }
+
+  const defaultId = config.defaultProvider || DEFAULT_PROVIDER_ID;
+  const provider = providers.find(p => p.id === defaultId && !p.prefix)
+    || providers.find(p => !p.prefix)
+    || providers[0];
+
+  return { provider, model: modelId };
+}
+
+/**
+ * Whether a request to a provider is made with the user's own key rather than the
+ * server's, which is what exempts it from the shared daily quota.
+ * @param {Object} provider - Provider returned by resolveProvider
+ * @param {string} [customApiKey] - Key supplied by the client, if any
+ * @returns {boolean}
+ */
+export function usesCustomKey(provider, customApiKey = '') {
+  return !!(provider.allowCustomKey && customApiKey);
+}
+
+/**
+ * Creates an OpenAI client for a provider.
+ * A user-supplied key only replaces the server key on providers that allow it,
+ * so a personal Hack Club key is never forwarded to a self-hosted backend.
+ * @param {Object} provider - Provider returned by resolveProvider
+ * @param {string} [customApiKey] - Key supplied by the client, if any
+ * @returns {OpenAI} Configured client
+ */
+export function createProviderClient(provider, customApiKey = '') {
+  if (provider.mock) {
+    return createMockClient();
+  }
+
+  const apiKey = usesCustomKey(provider, customApiKey) ? customApiKey : provider.apiKey;
+
+  return new OpenAI({
+    apiKey: apiKey || '',
+    baseURL: provider.baseURL
+  });
+}
@@ -0,0 +1,229 @@
+import { getRequestIP, getRequestHeader, setResponseHeader } from 'h3';
+
+/**
+ * @file rateLimit.js
+ * @description Server-side daily rate limiter keyed by client IP.
+ * Keeps a "general", an "image" and a "speech" bucket per client, reset at midnight UTC.
+ * Read-aloud has its own bucket because it sends one request per chunk of a long message.
+ * Searches and page reads ("web") and embeddings are counted in buckets of their own too,
+ * so those endpoints can't be called on their own without limit.
+ * Counters live in the Nitro `rate-limit` storage mount (in-memory by default);
+ * mount a shared driver such as Redis or Vercel KV there to enforce limits across instances.
+ *
+ * The quota is counted per user turn rather than per upstream request: follow-up requests
+ * carrying the same turn ID (tool rounds, deep research steps, the title of a new chat) share
+ * the unit used by the first one. Turn IDs come from the client, so a turn is only trusted
+ * within bounds: at most `rateLimit.turnRequests` requests (8 by default), sent within
+ * TURN_WINDOW_MS of the first. The limits therefore cap upstream requests at
+ * `limit * turnRequests` a day; set `turnRequests` to 1 to count every request.
+ *
+ * Updates for a client are serialized within this process. Storage drivers have no atomic
+ * increment, so with several instances sharing a driver, parallel requests can still go
+ * slightly over the limit.
+ */
+
+const STORAGE_BASE = 'rate-limit';
+
+// Requests a turn can make on one unit unless `rateLimit.turnRequests` says otherwise;
+// later ones start a new turn, so reusing an ID can't give unlimited use
+const DEFAULT_TURN_REQUESTS = 8;
+
+// How long after its first request a turn can take follow-ups
+const TURN_WINDOW_MS = 10 * 60 * 1000;
+
+// Turns remembered per client and day, oldest forgotten first
+const MAX_TRACKED_TURNS = 200;
+
+const MAX_TURN_ID_LENGTH = 100;
+
+// How each bucket is named in limit messages
+const BUCKET_LABELS = {
+  general: 'general',
+  image: 'image generation',
+  speech: 'speech',
+  web: 'web search and page reading',
+  embeddings: 'memory embedding'
+};
+
+// Buckets a user's own API key bypasses
+const KEY_BYPASS_BUCKETS = ['general', 'image', 'speech'];
+
+// Pending quota updates by client, so concurrent requests don't read the same count
+const clientQueues = new Map();
+
+/**
+ * Get the start of the current UTC day in epoch milliseconds
+ */
+function getDayStart(now = Date.now()) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+/**
+ * Identify the client making the request by its socket address.
+ * Behind proxies, `runtimeConfig.rateLimit.trustedProxies` says how many there are. Each one
+ * appends the address it got the request from to X-Forwarded-For, so the client is that many
+ * entries from the right; anything further left was sent by the client and is ignored.
+ * @param {H3Event} event - The incoming request
+ * @param {number} trustedProxies - Proxy hops in front of the app
+ */
+function getClientKey(event, trustedProxies) {
+  if (trustedProxies > 0) {
+    const forwarded = (getRequestHeader(event, 'x-forwarded-for') || '')
+      .split(',')
+      .map(address => address.trim())
+      .filter(Boolean);
+    const client = forwarded[Math.max(0, forwarded.length - trustedProxies)];
+    if (client) return client;
+  }
+  return getRequestIP(event) || 'unknown';
+}
+
+/**
+ * Which bucket a model draws from
+ * @param {Object} limits - `runtimeConfig.rateLimit`
+ * @param {string} modelId - The model ID being used
+ * @returns {'general'|'image'}
+ */
+export function getBucketForModel(limits, modelId) {
+  return (limits.imageModels || []).includes(modelId) ? 'image' : 'general';
+}
+
+/**
+ * Load today's counters for a client, starting fresh on a new day
+ */
+async function loadUsage(key) {
+  const dayStart = getDayStart();
+  const stored = await useStorage(STORAGE_BASE).getItem(key);
+
+  if (!stored || stored.dayStart !== dayStart) {
+    return { dayStart, general: 0, image: 0, speech: 0, web: 0, embeddings: 0, turns: {} };
+  }
+  return { general: 0, image: 0, speech: 0, web: 0, embeddings: 0, turns: {}, ...stored };
+}
+
+/**
+ * Run a quota update after the ones already pending for the same client
+ * @param {string} key - Client key
+ * @param {Function} task - Async read-modify-write of the client's counters
+ */
+function withClientQueue(key, task) {
+  const previous = clientQueues.get(key) || Promise.resolve();
+  const current = previous.then(task, task);
+  const settled = current.catch(() => {});
+  clientQueues.set(key, settled);
+  settled.then(() => {
+    if (clientQueues.get(key) === settled) clientQueues.delete(key);
+  });
+  return current;
+}
+
+/**
+ * Error thrown when a client has used up a bucket.
+ * Carries everything the client needs to explain the limit to the user.
+ */
+export class RateLimitError extends Error {
+  constructor(bucket, limit, resetAt) {
+    // Only model requests can be made with the user's own key instead
+    const hint = KEY_BYPASS_BUCKETS.includes(bucket) ? 'Try again tomorrow or use your own API key.' : 'Try again tomorrow.';
+    super(`Daily ${BUCKET_LABELS[bucket]} limit reached (${limit}/${limit}). ${hint}`);
+    this.name = 'RateLimitError';
+    this.type = 'rate_limit_error';
+    this.status = 429;
+    this.bucket = bucket;
+    this.limit = limit;
+    this.resetAt = resetAt;
+  }
+
+  /**
+   * Serialize to the `{ error }` body shape used by the API routes
+   */
+  toJSON() {
+    return {
+      error: {
+        type: this.type,
+        category: 'rate_limited',
+        message: this.message,
+        code: this.status,
+        retryAfter: Math.max(1, Math.ceil((this.resetAt - Date.now()) / 1000)),
+        bucket: this.bucket,
+        limit: this.limit,
+        remaining: 0,
+        resetAt: new Date(this.resetAt).toISOString()
+      }
+    };
+  }
+}
+
+/**
+ * Check the client's quota for a bucket and optionally consume one request.
+ * @param {H3Event} event - The incoming request
+ * @param {Object} options
+ * @param {'general'|'image'|'speech'|'web'|'embeddings'} [options.bucket='general'] - Bucket to check
+ * @param {boolean} [options.consume=true] - Whether to count this request
+ * @param {string} [options.turnId] - User turn the request belongs to; the turn's first
+ *   request is counted and covers a bounded number of follow-ups
+ * @throws {RateLimitError} When the bucket is exhausted
+ * @returns {Promise<{ bucket: string, limit: number, remaining: number }>}
+ */
+export async function enforceRateLimit(event, { bucket = 'general', consume = true, turnId } = {}) {
+  const limits = useRuntimeConfig(event).rateLimit || {};
+  if (limits.enabled === false) {
+    return { bucket, limit: Infinity, remaining: Infinity };
+  }
+
+  const key = getClientKey(event, Number(limits.trustedProxies) || 0);
+  const limit = limits[bucket];
+  const turnAllowance = Number(limits.turnRequests) || DEFAULT_TURN_REQUESTS;
+  const turnKey = typeof turnId === 'string' && turnId && turnId.length <= MAX_TURN_ID_LENGTH
+    ? `${bucket}:${turnId}`
+    : null;
+
+  return withClientQueue(key, async () => {
+    const usage = await loadUsage(key);
+    const resetAt = usage.dayStart + 24 * 60 * 60 * 1000;
+
+    // Follow-ups of a turn that was already counted
+    const turn = turnKey ? usage.turns[turnKey] : undefined;
+    if (consume && turn?.requests < turnAllowance && Date.now() - turn.startedAt < TURN_WINDOW_MS) {
+      turn.requests++;
+      await useStorage(STORAGE_BASE).setItem(key, usage);
+      return { bucket, limit, remaining: Math.max(0, limit - usage[bucket]) };
+    }
+
+    if (usage[bucket] >= limit) {
+      // Streaming responses may have sent their headers already
+      if (!event.node.res.headersSent) {
+        setResponseHeader(event, 'Retry-After', Math.ceil((resetAt - Date.now()) / 1000));
+      }
+      throw new RateLimitError(bucket, limit, resetAt);
+    }
+
+    if (consume) {
+      usage[bucket]++;
+      if (turnKey) {
+        // Re-inserted so the object stays ordered oldest turn first
+        delete usage.turns[turnKey];
+        usage.turns[turnKey] = { requests: 1, startedAt: Date.now() };
+        const tracked = Object.keys(usage.turns);
+        for (const oldKey of tracked.slice(0, tracked.length - MAX_TRACKED_TURNS)) {
+          delete usage.turns[oldKey];
+        }
+      }
+      await useStorage(STORAGE_BASE).setItem(key, usage);
+    }
+
+    return { bucket, limit, remaining: Math.max(0, limit - usage[bucket]) };
+  });
+}
+
+/**
+ * Write a RateLimitError as a JSON 429 response
+ * @param {H3Event} event - The incoming request
+ * @param {RateLimitError} error - The error to send
+ */
+export function sendRateLimitError(event, error) {
+  event.node.res.statusCode = 429;
+  event.node.res.setHeader('Content-Type', 'application/json');
+  event.node.res.end(JSON.stringify(error.toJSON()));
+}
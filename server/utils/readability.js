@@ -0,0 +1,559 @@
+/**
+ * @file readability.js
+ * @description Readability-style main content extraction for `/api/fetch`.
+ *
+ * A tolerant HTML parser builds a light tree; boilerplate (scripts, navigation, sidebars,
+ * comment sections, ...) is pruned; paragraphs score their ancestors by text length and
+ * commas, discounted by link density; the best-scoring container (plus related siblings)
+ * is converted to markdown.
+ */
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+// Content is raw text up to the matching close tag
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'noscript', 'xmp']);
+// Opening one of these implicitly closes the listed open elements
+const IMPLICIT_CLOSE = {
+  li: ['li'],
+  dt: ['dt', 'dd'],
+  dd: ['dt', 'dd'],
+  tr: ['tr', 'td', 'th'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  option: ['option'],
+  p: ['p']
+};
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'dd', 'div', 'dl', 'dt', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr',
+  'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'tbody', 'thead', 'tfoot', 'tr', 'td', 'th', 'ul'
+]);
+
+// Never part of the readable content
+const REMOVED_ELEMENTS = new Set([
+  'head', 'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'embed',
+  'form', 'button', 'input', 'select', 'textarea', 'nav', 'footer', 'aside', 'dialog', 'link', 'meta'
+]);
+const REMOVED_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'dialog', 'menu', 'menubar', 'search']);
+
+const UNLIKELY_CANDIDATES = /-ad-|ad-break|adbox|advert|banner|breadcrumb|combx|comment|community|cookie|consent|disqus|footer|gdpr|legends|menu|modal|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|toolbar|widget/i;
+const MAYBE_CANDIDATES = /and|article|body|column|content|main|shadow|post|entry|story|text/i;
+const POSITIVE_CLASSES = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+const NEGATIVE_CLASSES = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|footer|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|widget/i;
+
+// Paragraph-like elements whose text scores their ancestors
+const SCORED_ELEMENTS = new Set(['p', 'pre', 'td', 'blockquote', 'li']);
+const MIN_PARAGRAPH_LENGTH = 25;
+// Below this much text, the best candidate is probably wrong and the whole body is used
+const MIN_CONTENT_LENGTH = 250;
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', bull: '•', middot: '·',
+  copy: '©', reg: '®', trade: '™', deg: '°', times: '×', divide: '÷', euro: '€', pound: '£', yen: '¥',
+  cent: '¢', sect: '§', para: '¶', shy: '', zwj: '', zwnj: '', thinsp: ' ', ensp: ' ', emsp: ' '
+};
+
+/**
+ * Decode HTML character references
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);?/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded === undefined ? match : decoded;
+  });
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const pattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source || ''))) {
+    attrs[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attrs;
+}
+
+/**
+ * Parse HTML into `{ tag, attrs, children, parent }` element nodes and `{ text }` text nodes.
+ * Never throws: unclosed and stray tags are handled the way browsers mostly do.
+ * @param {string} html
+ * @returns {Object} Root node
+ */
+export function parseHtml(html) {
+  const root = { tag: '#root', attrs: {}, children: [], parent: null };
+  const lower = html.toLowerCase();
+  const tagPattern = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<\/([a-zA-Z][\w:-]*)[^>]*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/g;
+  let current = root;
+  let lastIndex = 0;
+  let match;
+
+  const addText = (text) => {
+    if (text) current.children.push({ text: decodeEntities(text), parent: current });
+  };
+
+  while ((match = tagPattern.exec(html))) {
+    addText(html.slice(lastIndex, match.index));
+    lastIndex = tagPattern.lastIndex;
+
+    const [, closeName, openName, rawAttrs, selfClosing] = match;
+
+    if (openName) {
+      const tag = openName.toLowerCase();
+
+      while (IMPLICIT_CLOSE[tag]?.includes(current.tag) || (current.tag === 'p' && BLOCK_ELEMENTS.has(tag))) {
+        current = current.parent;
+      }
+
+      const node = { tag, attrs: parseAttributes(rawAttrs), children: [], parent: current };
+      current.children.push(node);
+
+      if (RAW_TEXT_ELEMENTS.has(tag)) {
+        const end = lower.indexOf(`</${tag}`, lastIndex);
+        const contentEnd = end === -1 ? html.length : end;
+        node.children.push({ text: tag === 'title' || tag === 'textarea' ? decodeEntities(html.slice(lastIndex, contentEnd)) : html.slice(lastIndex, contentEnd), parent: node });
+        const closeEnd = end === -1 ? -1 : html.indexOf('>', end);
+        lastIndex = tagPattern.lastIndex = closeEnd === -1 ? html.length : closeEnd + 1;
+      } else if (!VOID_ELEMENTS.has(tag) && !selfClosing) {
+        current = node;
+      }
+    } else if (closeName) {
+      const tag = closeName.toLowerCase();
+      let node = current;
+      while (node !== root && node.tag !== tag) node = node.parent;
+      // A stray close tag with nothing open to match is ignored
+      if (node !== root) current = node.parent;
+    }
+  }
+  addText(html.slice(lastIndex));
+
+  return root;
+}
+
+function* walk(node) {
+  for (const child of node.children || []) {
+    if (child.tag) {
+      yield child;
+      yield* walk(child);
+    }
+  }
+}
+
+function findFirst(node, predicate) {
+  for (const element of walk(node)) {
+    if (predicate(element)) return element;
+  }
+  return null;
+}
+
+/**
+ * Text content of a node, with whitespace collapsed
+ */
+function getText(node) {
+  if (node.text !== undefined) return node.text;
+  return node.children.map(getText).join('');
+}
+
+function getNormalizedText(node) {
+  return getText(node).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Share of a node's text that sits inside links
+ */
+function getLinkDensity(node) {
+  const length = getNormalizedText(node).length;
+  if (length === 0) return 0;
+
+  let linkLength = 0;
+  for (const element of walk(node)) {
+    if (element.tag === 'a') linkLength += getNormalizedText(element).length;
+  }
+  return Math.min(1, linkLength / length);
+}
+
+function getClassAndId(node) {
+  return `${node.attrs.class || ''} ${node.attrs.id || ''}`;
+}
+
+function isHidden(node) {
+  const style = (node.attrs.style || '').replace(/\s+/g, '').toLowerCase();
+  return 'hidden' in node.attrs
+    || node.attrs['aria-hidden'] === 'true'
+    || style.includes('display:none')
+    || style.includes('visibility:hidden');
+}
+
+function isInside(node, tags) {
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (tags.includes(parent.tag)) return true;
+  }
+  return false;
+}
+
+/**
+ * Remove boilerplate elements in place
+ */
+function prune(node) {
+  node.children = node.children.filter((child) => {
+    if (!child.tag) return true;
+
+    if (REMOVED_ELEMENTS.has(child.tag) || REMOVED_ROLES.has(child.attrs.role) || isHidden(child)) return false;
+    // Page headers are navigation; headers inside the article hold its title
+    if (child.tag === 'header' && !isInside(child, ['article', 'main'])) return false;
+
+    const classAndId = getClassAndId(child);
+    if (
+      child.tag !== 'body' && child.tag !== 'article' && child.tag !== 'main'
+      && UNLIKELY_CANDIDATES.test(classAndId) && !MAYBE_CANDIDATES.test(classAndId)
+    ) {
+      return false;
+    }
+
+    prune(child);
+    return true;
+  });
+}
+
+function getClassWeight(node) {
+  const classAndId = getClassAndId(node);
+  let weight = 0;
+  if (NEGATIVE_CLASSES.test(classAndId)) weight -= 25;
+  if (POSITIVE_CLASSES.test(classAndId)) weight += 25;
+  return weight;
+}
+
+function getBaseScore(node) {
+  switch (node.tag) {
+    case 'article':
+    case 'main':
+      return 10;
+    case 'div':
+    case 'section':
+      return 5;
+    case 'pre':
+    case 'td':
+    case 'blockquote':
+      return 3;
+    case 'ol':
+    case 'ul':
+    case 'dl':
+    case 'dd':
+    case 'dt':
+    case 'li':
+      return -3;
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+    case 'th':
+      return -5;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * A div with no block children reads as a paragraph
+ */
+function isParagraphLike(node) {
+  if (SCORED_ELEMENTS.has(node.tag)) return true;
+  return node.tag === 'div' && !node.children.some(child => child.tag && BLOCK_ELEMENTS.has(child.tag));
+}
+
+/**
+ * Pick the elements that make up the main content
+ * @param {Object} body - Pruned body (or root) node
+ * @returns {Object[]} Content nodes in document order
+ */
+function selectContent(body) {
+  const scores = new Map();
+  const initialize = (node) => {
+    if (!scores.has(node)) scores.set(node, getBaseScore(node) + getClassWeight(node));
+  };
+
+  for (const element of walk(body)) {
+    if (!isParagraphLike(element)) continue;
+
+    const text = getNormalizedText(element);
+    if (text.length < MIN_PARAGRAPH_LENGTH) continue;
+
+    const commas = (text.match(/[,，、]/g) || []).length;
+    const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+    const ancestors = [element.parent, element.parent?.parent, element.parent?.parent?.parent].filter(node => node && node !== body.parent);
+
+    ancestors.forEach((ancestor, level) => {
+      initialize(ancestor);
+      // Parents get the full score, grandparents half, great-grandparents a third
+      scores.set(ancestor, scores.get(ancestor) + score / (level === 0 ? 1 : level * 2));
+    });
+  }
+
+  let top = null;
+  let topScore = -Infinity;
+  for (const [node, score] of scores) {
+    const adjusted = score * (1 - getLinkDensity(node));
+    scores.set(node, adjusted);
+    if (adjusted > topScore) {
+      top = node;
+      topScore = adjusted;
+    }
+  }
+
+  if (!top || getNormalizedText(top).length < MIN_CONTENT_LENGTH) return [body];
+
+  // Siblings that look like part of the same article (split wrappers, trailing paragraphs)
+  const parent = top.parent;
+  if (!parent || parent === body.parent) return [top];
+
+  const threshold = Math.max(10, topScore * 0.2);
+  return parent.children.filter((sibling) => {
+    if (sibling === top) return true;
+    if (!sibling.tag) return false;
+    if ((scores.get(sibling) || 0) >= threshold) return true;
+
+    if (sibling.tag === 'p') {
+      const text = getNormalizedText(sibling);
+      const linkDensity = getLinkDensity(sibling);
+      return (text.length > 80 && linkDensity < 0.25) || (text.length > 0 && linkDensity === 0 && /\.( |$)/.test(text));
+    }
+    return false;
+  });
+}
+
+/**
+ * Drop link lists and other short, link-heavy blocks left inside the content
+ */
+function cleanContent(node) {
+  node.children = node.children.filter((child) => {
+    if (!child.tag) return true;
+    if (['ul', 'ol', 'div', 'section', 'table'].includes(child.tag)) {
+      const text = getNormalizedText(child);
+      if (text.length === 0 && !findFirst(child, element => element.tag === 'img')) return false;
+      if (getLinkDensity(child) > 0.5 && text.length < 200) return false;
+    }
+    cleanContent(child);
+    return true;
+  });
+}
+
+// --- Markdown conversion ---
+
+function resolveUrl(href, baseUrl) {
+  if (!href || /^(javascript|data|mailto|tel):/i.test(href) || href.startsWith('#')) return null;
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return null;
+  }
+}
+
+function wrapInline(marker, inner) {
+  const trimmed = inner.trim();
+  if (!trimmed) return inner;
+  // Keep surrounding spaces outside the markers so `**bold**` stays valid markdown
+  const leading = inner.match(/^\s*/)[0];
+  const trailing = inner.match(/\s*$/)[0];
+  return `${leading}${marker}${trimmed}${marker}${trailing}`;
+}
+
+function getCodeLanguage(node) {
+  const code = node.tag === 'code' ? node : node.children.find(child => child.tag === 'code');
+  const className = `${node.attrs.class || ''} ${code?.attrs.class || ''}`;
+  return className.match(/(?:lang|language)-([\w+#-]+)/)?.[1] || '';
+}
+
+function renderChildren(node, context) {
+  return node.children.map(child => renderNode(child, context)).join('');
+}
+
+function renderList(node, context) {
+  const indent = context.listIndent ?? '';
+  let index = Number(node.attrs.start) || 1;
+
+  const items = node.children
+    .filter(child => child.tag === 'li')
+    .map((item) => {
+      const marker = node.tag === 'ol' ? `${index++}.` : '-';
+      // Nested content lines up with the text after the marker
+      const childIndent = `${indent}${' '.repeat(marker.length + 1)}`;
+      const content = renderChildren(item, { ...context, listIndent: childIndent })
+        .replace(/\n{2,}/g, '\n')
+        .trim()
+        .replace(/\n(?!\s*(?:[-*]|\d+\.) )/g, `\n${childIndent}`);
+      return content ? `${indent}${marker} ${content}` : '';
+    })
+    .filter(Boolean);
+
+  return indent ? `\n${items.join('\n')}\n` : `\n\n${items.join('\n')}\n\n`;
+}
+
+function renderTable(node, context) {
+  const rows = [];
+  for (const element of walk(node)) {
+    if (element.tag !== 'tr') continue;
+    const cells = element.children
+      .filter(child => child.tag === 'td' || child.tag === 'th')
+      .map(cell => renderChildren(cell, { ...context, inTable: true }).replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim());
+    if (cells.some(Boolean)) rows.push(cells);
+  }
+  if (rows.length === 0) return '';
+
+  const columns = Math.max(...rows.map(row => row.length));
+  const lines = rows.map(row => `| ${[...row, ...Array(columns - row.length).fill('')].join(' | ')} |`);
+  lines.splice(1, 0, `| ${Array(columns).fill('---').join(' | ')} |`);
+  return `\n\n${lines.join('\n')}\n\n`;
+}
+
+function renderNode(node, context) {
+  if (node.text !== undefined) {
+    return node.text.replace(/\s+/g, ' ');
+  }
+
+  const { tag } = node;
+  switch (tag) {
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6': {
+      const text = renderChildren(node, context).replace(/\s+/g, ' ').trim();
+      return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+    }
+    case 'br':
+      return context.inTable ? ' ' : '\n';
+    case 'hr':
+      return '\n\n---\n\n';
+    case 'strong':
+    case 'b':
+      return wrapInline('**', renderChildren(node, context));
+    case 'em':
+    case 'i':
+      return wrapInline('_', renderChildren(node, context));
+    case 'del':
+    case 's':
+    case 'strike':
+      return wrapInline('~~', renderChildren(node, context));
+    case 'code': {
+      const text = getText(node).replace(/\s+/g, ' ');
+      const fence = text.includes('`') ? '``' : '`';
+      return text.trim() ? `${fence}${text}${fence}` : '';
+    }
+    case 'pre': {
+      const code = getText(node).replace(/^\n+|\s+$/g, '');
+      if (!code) return '';
+      const longestRun = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+      const fence = '`'.repeat(longestRun + 1);
+      return `\n\n${fence}${getCodeLanguage(node)}\n${code}\n${fence}\n\n`;
+    }
+    case 'a': {
+      const inner = renderChildren(node, context);
+      const href = resolveUrl(node.attrs.href, context.baseUrl);
+      const text = inner.replace(/\s+/g, ' ').trim();
+      // Permalink markers next to headings (¶, #, §)
+      if (node.attrs.href?.startsWith('#') && /^[^\p{L}\p{N}]$/u.test(text)) return '';
+      if (!href || !text) return inner;
+      return text === href ? href : `[${text}](${href})`;
+    }
+    case 'img': {
+      const alt = (node.attrs.alt || '').replace(/\s+/g, ' ').trim();
+      const src = resolveUrl(node.attrs.src || node.attrs['data-src'], context.baseUrl);
+      return alt && src ? `![${alt}](${src})` : '';
+    }
+    case 'ul':
+    case 'ol':
+      return renderList(node, context);
+    case 'table':
+      return renderTable(node, context);
+    case 'blockquote': {
+      const inner = renderChildren(node, context).replace(/\n{3,}/g, '\n\n').trim();
+      return inner ? `\n\n${inner.split('\n').map(line => `> ${line}`.trimEnd()).join('\n')}\n\n` : '';
+    }
+    case 'dt':
+      return `\n\n**${renderChildren(node, context).trim()}**\n`;
+    case 'dd':
+      return `\n${renderChildren(node, context).trim()}\n\n`;
+    default: {
+      const inner = renderChildren(node, context);
+      return BLOCK_ELEMENTS.has(tag) || tag === 'body' || tag === 'figure' ? `\n\n${inner}\n\n` : inner;
+    }
+  }
+}
+
+/**
+ * Tidy whitespace outside code fences
+ */
+function normalizeMarkdown(markdown) {
+  // Split into [text, fence, fenceMarker, text, ...]; the backreference keeps nested fences intact
+  const segments = markdown.split(/(^(`{3,})[^\n]*\n[\s\S]*?\n\2$)/m);
+
+  return segments
+    .map((segment, index) => {
+      if (index % 3 === 1) return segment;
+      if (index % 3 === 2) return '';
+      return segment
+        .split('\n')
+        .map((line) => {
+          const trimmed = line.replace(/\s+$/, '').replace(/(\S)[ \t]{2,}/g, '$1 ');
+          // Nested list items keep their indentation
+          return /^\s*(?:[-*]|\d+\.) /.test(trimmed) ? trimmed : trimmed.trimStart();
+        })
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n');
+    })
+    .join('')
+    .trim();
+}
+
+function getMeta(root, names) {
+  for (const element of walk(root)) {
+    if (element.tag !== 'meta') continue;
+    const key = (element.attrs.property || element.attrs.name || '').toLowerCase();
+    if (names.includes(key) && element.attrs.content?.trim()) {
+      return element.attrs.content.trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Extract the main content of an HTML document as markdown
+ * @param {string} html - The page's HTML
+ * @param {string} baseUrl - URL the page was fetched from, to resolve relative links
+ * @returns {{ title: string|null, siteName: string|null, description: string|null, publishedTime: string|null, content: string }}
+ */
+export function extractArticle(html, baseUrl) {
+  const root = parseHtml(html);
+
+  const titleElement = findFirst(root, element => element.tag === 'title');
+  const documentTitle = titleElement ? getNormalizedText(titleElement) : null;
+  const title = getMeta(root, ['og:title', 'twitter:title']) || documentTitle;
+  const siteName = getMeta(root, ['og:site_name', 'application-name']);
+  const description = getMeta(root, ['og:description', 'description', 'twitter:description']);
+  const publishedTime = getMeta(root, ['article:published_time', 'date', 'pubdate']);
+
+  const body = findFirst(root, element => element.tag === 'body') || root;
+  prune(body);
+
+  const contentNodes = selectContent(body);
+  const container = { tag: 'div', attrs: {}, children: contentNodes, parent: null };
+  cleanContent(container);
+
+  let content = normalizeMarkdown(renderNode(container, { baseUrl }));
+
+  // The article usually repeats the page title as its first heading
+  const firstHeading = content.match(/^#{1,2} (.+)\n*/);
+  if (firstHeading && title && title.includes(firstHeading[1].trim())) {
+    content = content.slice(firstHeading[0].length);
+  }
+
+  return { title, siteName, description, publishedTime, content };
+}
@@ -0,0 +1,186 @@
+import { LRUCache } from './lruCache';
+import { getSearchBackend } from './searchBackends';
+
+/**
+ * @file search.js
+ * @description Web, news and image search through the configured backend (see
+ * searchBackends.js), shared by `/api/search` and the server-side `search` tool of the
+ * OpenAI-compatible endpoint.
+ *
+ * Results are filtered by domain, de-duplicated by canonical URL and cached in memory
+ * (LRU with a TTL, `runtimeConfig.searchCache`) keyed by the normalized query and options.
+ * Every vertical responds in the same shape: `{ query, vertical, [vertical]: { results } }`.
+ */
+
+const DEFAULT_CACHE_TTL_SECONDS = 300;
+const DEFAULT_CACHE_ENTRIES = 500;
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAM_PATTERN = /^(utm_\w+|fbclid|gclid|msclkid|mc_cid|mc_eid|ref|ref_src)$/i;
+
+let cache = null;
+
+function getCache(config) {
+    cache ||= new LRUCache({
+        maxEntries: Number(config.searchCache?.maxEntries) || DEFAULT_CACHE_ENTRIES,
+        ttlMs: (Number(config.searchCache?.ttl) || DEFAULT_CACHE_TTL_SECONDS) * 1000
+    });
+    return cache;
+}
+
+/**
+ * Lowercase and collapse whitespace so trivially different queries share a cache entry
+ * @param {string} q - Search query
+ * @returns {string}
+ */
+function normalizeQuery(q) {
+    return String(q).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Parse a domain list from an array or a comma-separated string into bare hostnames
+ * @param {string|string[]} [value] - e.g. "https://www.example.com/docs, github.com"
+ * @returns {string[]} Sorted, de-duplicated hostnames
+ */
+export function parseDomains(value) {
+    if (!value) return [];
+    const items = Array.isArray(value) ? value : String(value).split(',');
+
+    const domains = items
+        .map(item => String(item).trim().toLowerCase()
+            .replace(/^[a-z]+:\/\//, '')
+            .replace(/[/?#].*$/, '')
+            .replace(/^www\./, ''))
+        .filter(Boolean);
+    return [...new Set(domains)].sort();
+}
+
+/**
+ * Canonical form of a URL for de-duplication: no scheme, `www.`, fragment,
+ * tracking parameters or trailing slash, and sorted query parameters
+ * @param {string} url
+ * @returns {string}
+ */
+export function canonicalizeUrl(url) {
+    try {
+        const parsed = new URL(url);
+        const params = [...parsed.searchParams]
+            .filter(([key]) => !TRACKING_PARAM_PATTERN.test(key))
+            .sort(([a], [b]) => a.localeCompare(b));
+        const search = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+        const path = parsed.pathname.replace(/\/+$/, '');
+
+        return `${parsed.hostname.toLowerCase().replace(/^www\./, '')}${path}${search}`;
+    } catch {
+        return url;
+    }
+}
+
+function getHostname(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+        return '';
+    }
+}
+
+function matchesDomain(hostname, domains) {
+    return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+/**
+ * Add `site:` operators so the upstream does the domain filtering where it can
+ */
+function buildUpstreamQuery(q, includeDomains, excludeDomains) {
+    const parts = [q];
+    if (includeDomains.length === 1) {
+        parts.push(`site:${includeDomains[0]}`);
+    } else if (includeDomains.length > 1) {
+        parts.push(`(${includeDomains.map(domain => `site:${domain}`).join(' OR ')})`);
+    }
+    for (const domain of excludeDomains) {
+        parts.push(`-site:${domain}`);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Apply domain filters (the upstream may ignore `site:`) and drop duplicate URLs
+ */
+function filterResults(results, includeDomains, excludeDomains) {
+    const seen = new Set();
+
+    return results.filter((result) => {
+        if (!result?.url) return false;
+
+        const hostname = getHostname(result.url);
+        if (includeDomains.length > 0 && !matchesDomain(hostname, includeDomains)) return false;
+        if (excludeDomains.length > 0 && matchesDomain(hostname, excludeDomains)) return false;
+
+        const key = canonicalizeUrl(result.url);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Runs a search, served from the cache when the same search ran recently.
+ * @param {Object} config - Nitro runtime config
+ * @param {Object} params
+ * @param {string} params.q - Search query
+ * @param {string} [params.vertical='web'] - web | news | images
+ * @param {number} [params.count=20] - Number of results (capped by the backend)
+ * @param {number} [params.offset=0] - Page offset (max 9)
+ * @param {string} [params.safesearch='moderate'] - off | moderate | strict
+ * @param {string} [params.freshness] - pd | pw | pm | py
+ * @param {string|string[]} [params.includeDomains] - Only return results from these domains
+ * @param {string|string[]} [params.excludeDomains] - Never return results from these domains
+ * @returns {Promise<Object>} `{ query, vertical, [vertical]: { results } }`
+ * @throws {H3Error} When the backend isn't configured, the vertical is unknown or the search fails
+ */
+export async function webSearch(config, {
+    q,
+    vertical = 'web',
+    count = 20,
+    offset = 0,
+    safesearch = 'moderate',
+    freshness,
+    includeDomains,
+    excludeDomains
+}) {
+    const backend = getSearchBackend(config);
+    if (!backend.verticals.includes(vertical)) {
+        throw createError({
+            statusCode: 400,
+            statusMessage: `Unknown search vertical "${vertical}". Use one of: ${backend.verticals.join(', ')}.`
+        });
+    }
+
+    const include = parseDomains(includeDomains);
+    const exclude = parseDomains(excludeDomains);
+    const params = {
+        q: buildUpstreamQuery(String(q).trim(), include, exclude),
+        count: Number(count) || 20,
+        offset: Math.min(Math.max(Number(offset) || 0, 0), 9),
+        safesearch,
+        freshness
+    };
+
+    const searchCache = getCache(config);
+    const cacheKey = JSON.stringify([
+        backend.id, vertical, normalizeQuery(q), params.count, params.offset, safesearch, freshness || '', include, exclude
+    ]);
+    const cached = searchCache.get(cacheKey);
+    if (cached) return cached;
+
+    const data = await backend.search(config, vertical, params);
+    const result = {
+        query: data.query || { original: q },
+        vertical,
+        [vertical]: { results: filterResults(data[vertical]?.results || [], include, exclude) }
+    };
+
+    searchCache.set(cacheKey, result);
+    return result;
+}
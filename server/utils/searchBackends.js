@@ -0,0 +1,226 @@
+import { mockSearch } from './mock';
+
+/**
+ * @file searchBackends.js
+ * @description Search backends behind `webSearch` (see search.js). Each adapter takes the
+ * same params and normalizes its upstream response to the shape the `search` tool reads:
+ *
+ *   { query: { original }, [vertical]: { results: [{ title, url, description, age, source?, thumbnail?, image? }] } }
+ *
+ * The backend is chosen with `runtimeConfig.searchBackend` ('hackclub', 'brave' or
+ * 'searxng'). Left empty, the first backend with credentials configured is used.
+ */
+
+// Brave Search API limits per vertical (the Hack Club search API proxies it)
+const BRAVE_VERTICALS = {
+    web: { path: 'web/search', maxCount: 20, maxOffset: 9 },
+    news: { path: 'news/search', maxCount: 50, maxOffset: 9 },
+    images: { path: 'images/search', maxCount: 100, maxOffset: 0 }
+};
+
+// SearXNG category per vertical, and Brave-style parameters mapped to SearXNG's
+const SEARXNG_CATEGORIES = { web: 'general', news: 'news', images: 'images' };
+const SEARXNG_SAFESEARCH = { off: 0, moderate: 1, strict: 2 };
+const SEARXNG_TIME_RANGES = { pd: 'day', pw: 'week', pm: 'month', py: 'year' };
+
+const SEARCH_TIMEOUT_MS = 15000;
+
+/**
+ * Bring Brave-style results into one result shape
+ */
+function normalizeBraveResults(vertical, data) {
+    if (vertical === 'web') {
+        return data.web?.results || [];
+    }
+
+    return (data.results || []).map(result => ({
+        title: result.title,
+        url: result.url,
+        description: result.description || '',
+        age: result.age || result.page_age,
+        source: result.meta_url?.hostname || result.source,
+        ...(result.thumbnail?.src && { thumbnail: result.thumbnail.src }),
+        ...(result.properties?.url && { image: result.properties.url })
+    }));
+}
+
+/**
+ * Fetch JSON from a search API, turning failures into H3 errors
+ */
+async function fetchJson(url, headers, label) {
+    let response;
+    try {
+        response = await fetch(url, { headers, signal: AbortSignal.timeout(SEARCH_TIMEOUT_MS) });
+    } catch (error) {
+        throw createError({
+            statusCode: 504,
+            statusMessage: `${label} is unreachable: ${error.message}`
+        });
+    }
+
+    if (!response.ok) {
+        throw createError({
+            statusCode: response.status,
+            statusMessage: `${label} failed: ${response.statusText}`
+        });
+    }
+
+    return await response.json();
+}
+
+/**
+ * Backend for Brave-compatible APIs (Brave itself and the Hack Club proxy)
+ */
+function createBraveStyleBackend({ id, label, baseUrl, getApiKey, getHeaders }) {
+    return {
+        id,
+        verticals: Object.keys(BRAVE_VERTICALS),
+        isConfigured: config => Boolean(getApiKey(config)),
+        async search(config, vertical, { q, count, offset, safesearch, freshness }) {
+            const apiKey = getApiKey(config);
+            if (!apiKey) {
+                throw createError({
+                    statusCode: 500,
+                    statusMessage: `${label} key is not configured.`
+                });
+            }
+
+            const { path, maxCount, maxOffset } = BRAVE_VERTICALS[vertical];
+            const searchUrl = new URL(`${baseUrl}/${path}`);
+            searchUrl.searchParams.append('q', q);
+            searchUrl.searchParams.append('count', Math.min(count, maxCount).toString());
+            if (maxOffset > 0) {
+                searchUrl.searchParams.append('offset', Math.min(offset, maxOffset).toString()); // API max offset is 9 for pages
+            }
+            // Image search only knows 'off' and 'strict'
+            searchUrl.searchParams.append('safesearch', vertical === 'images' && safesearch !== 'off' ? 'strict' : safesearch);
+            if (freshness && vertical !== 'images') {
+                searchUrl.searchParams.append('freshness', freshness);
+            }
+
+            const data = await fetchJson(searchUrl, getHeaders(apiKey), label);
+            return {
+                query: data.query || { original: q },
+                [vertical]: { results: normalizeBraveResults(vertical, data) }
+            };
+        }
+    };
+}
+
+const hackclubBackend = createBraveStyleBackend({
+    id: 'hackclub',
+    label: 'Search API',
+    baseUrl: 'https://search.hackclub.com/res/v1',
+    getApiKey: config => config.hackclubSearchApiKey,
+    getHeaders: apiKey => ({
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+    })
+});
+
+const braveBackend = createBraveStyleBackend({
+    id: 'brave',
+    label: 'Brave Search API',
+    baseUrl: 'https://api.search.brave.com/res/v1',
+    getApiKey: config => config.braveSearchApiKey,
+    getHeaders: apiKey => ({
+        'X-Subscription-Token': apiKey,
+        'Accept': 'application/json'
+    })
+});
+
+/**
+ * Self-hosted SearXNG instance. Its `search.formats` setting must include `json`.
+ */
+const searxngBackend = {
+    id: 'searxng',
+    verticals: Object.keys(SEARXNG_CATEGORIES),
+    isConfigured: config => Boolean(config.searxngUrl),
+    async search(config, vertical, { q, count, offset, safesearch, freshness }) {
+        if (!config.searxngUrl) {
+            throw createError({
+                statusCode: 500,
+                statusMessage: 'SearXNG URL is not configured.'
+            });
+        }
+
+        const searchUrl = new URL('search', config.searxngUrl.replace(/\/?$/, '/'));
+        searchUrl.searchParams.append('q', q);
+        searchUrl.searchParams.append('format', 'json');
+        searchUrl.searchParams.append('categories', SEARXNG_CATEGORIES[vertical]);
+        searchUrl.searchParams.append('pageno', (offset + 1).toString());
+        searchUrl.searchParams.append('safesearch', String(SEARXNG_SAFESEARCH[safesearch] ?? 1));
+        if (SEARXNG_TIME_RANGES[freshness]) {
+            searchUrl.searchParams.append('time_range', SEARXNG_TIME_RANGES[freshness]);
+        }
+
+        let data;
+        try {
+            data = await fetchJson(searchUrl, { 'Accept': 'application/json' }, 'SearXNG');
+        } catch (error) {
+            // SearXNG answers 403 when the JSON format isn't enabled
+            if (error.statusCode === 403) {
+                error.statusMessage = 'SearXNG refused the request: enable "json" in search.formats of its settings.yml.';
+            }
+            throw error;
+        }
+
+        // SearXNG has no count parameter; a page is usually 10-20 results
+        const results = (data.results || []).slice(0, count).map(result => ({
+            title: result.title,
+            url: result.url,
+            description: result.content || '',
+            age: result.publishedDate || undefined,
+            source: result.parsed_url?.[1] || result.engine,
+            ...(result.thumbnail_src && { thumbnail: result.thumbnail_src }),
+            ...(result.img_src && { image: result.img_src })
+        }));
+
+        return { query: { original: data.query || q }, [vertical]: { results } };
+    }
+};
+
+/**
+ * Offline stand-in for `runtimeConfig.mockUpstream`; mockSearch answers in the Brave shape
+ */
+const mockBackend = {
+    id: 'mock',
+    verticals: Object.keys(BRAVE_VERTICALS),
+    isConfigured: () => true,
+    async search(config, vertical, { q, count }) {
+        const data = mockSearch({ q, count, vertical });
+        return { query: data.query, [vertical]: { results: normalizeBraveResults(vertical, data) } };
+    }
+};
+
+// Auto-selection order when no backend is set explicitly
+const SEARCH_BACKENDS = {
+    hackclub: hackclubBackend,
+    brave: braveBackend,
+    searxng: searxngBackend
+};
+
+/**
+ * Pick the configured search backend
+ * @param {Object} config - Nitro runtime config
+ * @returns {Object} Backend with `id`, `verticals`, `search(config, vertical, params)`
+ * @throws {H3Error} When `searchBackend` names an unknown backend
+ */
+export function getSearchBackend(config) {
+    if (config.mockUpstream) return mockBackend;
+
+    const name = String(config.searchBackend || '').trim().toLowerCase();
+    if (name) {
+        const backend = SEARCH_BACKENDS[name];
+        if (!backend) {
+            throw createError({
+                statusCode: 500,
+                statusMessage: `Unknown search backend "${name}". Use one of: ${Object.keys(SEARCH_BACKENDS).join(', ')}.`
+            });
+        }
+        return backend;
+    }
+
+    // Nothing configured: keep the original default so the error names the missing key
+    return Object.values(SEARCH_BACKENDS).find(backend => backend.isConfigured(config)) || hackclubBackend;
+}
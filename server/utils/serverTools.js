@@ -0,0 +1,82 @@
+import { readPage } from './pageReader';
+import { webSearch } from './search';
+import {
+  SEARCH_TOOL_SCHEMA,
+  READ_PAGE_TOOL_SCHEMA,
+  toSearchOptions,
+  formatSearchResults,
+  toReadPageOptions,
+  formatPageResult
+} from '../../app/composables/webTools';
+
+/**
+ * @file serverTools.js
+ * @description Tools executed on the server for the OpenAI-compatible endpoint.
+ * Schemas and result formatting come from app/composables/webTools.js, shared with the
+ * browser tools, so API clients get the same behaviour as the web app. Memory tools are
+ * not included: memories live in the browser.
+ */
+
+const SERVER_TOOLS = {
+  search: {
+    schema: SEARCH_TOOL_SCHEMA,
+    async executor(config, args) {
+      const options = toSearchOptions(args);
+      return formatSearchResults(await webSearch(config, options), options.q);
+    }
+  },
+  readPage: {
+    schema: READ_PAGE_TOOL_SCHEMA,
+    async executor(config, args) {
+      return formatPageResult(await readPage(config, toReadPageOptions(args)));
+    }
+  }
+};
+
+/**
+ * Whether a tool name is handled on the server
+ * @param {string} name - Tool name
+ * @returns {boolean}
+ */
+export function isServerTool(name) {
+  return Object.prototype.hasOwnProperty.call(SERVER_TOOLS, name);
+}
+
+/**
+ * Get schemas for specific server tool names
+ * @param {string[]} names - Tool names
+ * @returns {Array<Object>} Tool schemas in OpenAI format
+ */
+export function getServerToolSchemas(names = []) {
+  return names.filter(isServerTool).map(name => SERVER_TOOLS[name].schema);
+}
+
+/**
+ * Execute a server tool call and build the tool message for the conversation.
+ * Failures are returned to the model as an error payload rather than thrown.
+ * @param {Object} config - Nitro runtime config
+ * @param {Object} toolCall - Accumulated tool call { id, function: { name, arguments } }
+ * @returns {Promise<Object>} Tool message
+ */
+export async function executeServerToolCall(config, toolCall) {
+  const name = toolCall.function.name;
+  let content;
+
+  try {
+    const args = JSON.parse(toolCall.function.arguments || '{}');
+    const result = await SERVER_TOOLS[name].executor(config, args);
+    content = JSON.stringify(result ?? null);
+  } catch (err) {
+    console.error(`Error executing tool "${name}"`, err);
+    content = JSON.stringify({
+      error: `Tool execution failed: ${err.statusMessage || err.message || String(err)}`
+    });
+  }
+
+  return {
+    role: "tool",
+    tool_call_id: toolCall.id,
+    name,
+    content
+  };
+}
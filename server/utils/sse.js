@@ -0,0 +1,71 @@
+/**
+ * @file sse.js
+ * @description Server-Sent Events helper for streaming routes.
+ * Sends proper `text/event-stream` framing, periodic keep-alive comments so proxies
+ * don't drop idle connections, and aborts a signal when the client disconnects.
+ */
+
+const KEEP_ALIVE_INTERVAL_MS = 15000;
+
+/**
+ * Starts an SSE response on the event.
+ * @param {H3Event} event - The incoming request
+ * @returns {{ signal: AbortSignal, send: Function, close: Function, isClosed: Function }}
+ *   `signal` aborts when the client goes away; pass it to upstream requests.
+ */
+export function createSseStream(event) {
+  const res = event.node.res;
+  const controller = new AbortController();
+  let closed = false;
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop reverse proxies such as nginx from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  const keepAlive = setInterval(() => {
+    if (!closed) res.write(': keep-alive\n\n');
+  }, KEEP_ALIVE_INTERVAL_MS);
+
+  // The response closing before we ended it means the client disconnected
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    if (!closed) {
+      closed = true;
+      controller.abort();
+    }
+  });
+
+  return {
+    signal: controller.signal,
+
+    /**
+     * Send one `data:` frame
+     * @param {Object|string} data - JSON-serializable payload, or a raw string such as '[DONE]'
+     */
+    send(data) {
+      if (closed) return;
+      res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+    },
+
+    /**
+     * End the stream
+     */
+    close() {
+      clearInterval(keepAlive);
+      if (closed) return;
+      closed = true;
+      res.end();
+    },
+
+    /**
+     * Whether the stream has ended or the client has disconnected
+     */
+    isClosed() {
+      return closed;
+    }
+  };
+}